@@ -1,7 +1,19 @@
+import { normalizeFields } from './form_hydrator_class_vanilla.js'
+import { renderCustomHtml, renderFormMessageToString, renderErrorSummaryToString } from './form_renderer_ssr.js'
+import { resolveVisibility, valueFromControls } from './form_logic.js'
+import { FormidableSubmitHandler, SUBMIT_EVENTS, DEFAULT_HONEYPOT_SELECTOR } from './form_submit_handler.js'
+import { successSettings, successOutcome } from './form_success.js'
+import { readItemMeta } from './form_summary.js'
+import { DEFAULT_RULES, validateValue, parseServerErrors } from './form_validation.js'
+
+// Fields are rendered from the normalized FormField model (see normalizeFields),
+// using each field's custom_html template when it has one.
 export default async function FormidableFormRendererEngine({
   formKey,
   mountSelector,
-  enableCaptcha = false
+  enableCaptcha = false,
+  customHtml = true,
+  honeypotSelector = DEFAULT_HONEYPOT_SELECTOR
 }) {
   // ─── Data‐fetching helpers ─────────────────────────────────────────────────────
   const getFormIdFromKey = async (key) => {
@@ -26,21 +38,33 @@ export default async function FormidableFormRendererEngine({
   function createContainer(field, metaId) {
     const div = document.createElement('div')
     div.id = `frm_field_${metaId}_container`
-    div.className = `frm_form_field form-field ${field.field_options?.classes || ''}`
+    div.className = `frm_form_field form-field ${field.layout.classes || ''}`
     return div
   }
 
   function createLabel(field, metaId) {
     const label = document.createElement('label')
-    label.htmlFor = `field_${field.field_key}`
-    label.id = `field_${field.field_key}_label`
+    label.htmlFor = `field_${field.key}`
+    label.id = `field_${field.key}_label`
     label.className = 'frm_primary_label'
     label.innerHTML = `${field.name || ''}${field.required ? '<span class="frm_required">*</span>' : ''}`
     return label
   }
 
+  // Single-root HTML string -> element (null when empty or not a single element)
+  function htmlToElement(html) {
+    if (!html) return null
+    const tpl = document.createElement('template')
+    tpl.innerHTML = html.trim()
+    return tpl.content.childElementCount === 1 ? tpl.content.firstElementChild : null
+  }
+
   // ─── Core field‐builder ─────────────────────────────────────────────────────────
   function buildField(field) {
+    // Builder-customized markup wins (see renderCustomHtml in form_renderer_ssr.js)
+    const custom = customHtml ? htmlToElement(renderCustomHtml(field)) : null
+    if (custom) return custom
+
     const container = createContainer(field, field.id)
     let label, input
 
@@ -59,7 +83,7 @@ export default async function FormidableFormRendererEngine({
 
       case 'textarea':
         input = document.createElement('textarea')
-        input.rows = field.field_options.max || 5
+        input.rows = field.layout.max || 5
         break
 
       case 'checkbox':
@@ -75,11 +99,11 @@ export default async function FormidableFormRendererEngine({
           ctrl.name = field.type === 'checkbox'
             ? `item_meta[${field.id}][]`
             : `item_meta[${field.id}]`
-          ctrl.id = `field_${field.field_key}-${i}`
-          ctrl.value = opt.value ?? opt
+          ctrl.id = `field_${field.key}-${i}`
+          ctrl.value = opt.value
           const optLabel = document.createElement('label')
           optLabel.htmlFor = ctrl.id
-          optLabel.textContent = opt.label ?? opt
+          optLabel.textContent = opt.label
           wrap.append(ctrl, optLabel)
           input.append(wrap)
         })
@@ -89,15 +113,15 @@ export default async function FormidableFormRendererEngine({
       case 'hidden':
         input = document.createElement('input')
         input.type = 'hidden'
-        input.value = field.default_value || ''
+        input.value = field.defaultValue || ''
         break
 
       case 'captcha':
         input = document.createElement('div')
         input.className = 'cf-turnstile'
         input.dataset.sitekey = '0x4AAAAAAAWYtWRiMaUVODel'
-        input.dataset.size = field.field_options.captcha_size || 'normal'
-        input.dataset.theme = field.field_options.captcha_theme || 'light'
+        input.dataset.size = field.config.captcha_size || 'normal'
+        input.dataset.theme = field.config.captcha_theme || 'light'
         break
 
       case 'submit':
@@ -118,7 +142,7 @@ export default async function FormidableFormRendererEngine({
           const el = document.createElement('input')
           el.type = 'text'
           el.name = `item_meta[${field.id}][${part}]`
-          el.id = `field_${field.field_key}_${part}`
+          el.id = `field_${field.key}_${part}`
           el.placeholder = part.charAt(0).toUpperCase() + part.slice(1)
           container.append(el)
         })
@@ -127,15 +151,15 @@ export default async function FormidableFormRendererEngine({
       case 'number':
         input = document.createElement('input')
         input.type = 'number'
-        input.min = field.field_options.minnum || ''
-        input.max = field.field_options.maxnum || ''
-        input.step = field.field_options.step || '1'
+        input.min = field.validation.minnum || ''
+        input.max = field.validation.maxnum || ''
+        input.step = field.validation.step || '1'
         break
 
       case 'password':
         input = document.createElement('input')
         input.type = 'password'
-        input.placeholder = field.field_options.placeholder || ''
+        input.placeholder = field.placeholder || ''
         break
 
       case 'name':
@@ -143,7 +167,7 @@ export default async function FormidableFormRendererEngine({
           const el = document.createElement('input')
           el.type = 'text'
           el.name = `item_meta[${field.id}][${part}]`
-          el.id = `field_${field.field_key}_${part}`
+          el.id = `field_${field.key}_${part}`
           el.placeholder = part.charAt(0).toUpperCase() + part.slice(1)
           container.append(el)
         })
@@ -156,16 +180,16 @@ export default async function FormidableFormRendererEngine({
 
       case 'select':
         input = document.createElement('select')
-        if (field.field_options.blank) {
+        if (field.messages.blank) {
           const blankOpt = document.createElement('option')
           blankOpt.value = ''
-          blankOpt.textContent = field.field_options.blank
+          blankOpt.textContent = field.messages.blank
           input.append(blankOpt)
         }
         field.options.forEach(opt => {
           const o = document.createElement('option')
-          o.value = opt.value ?? opt
-          o.textContent = opt.label ?? opt
+          o.value = opt.value
+          o.textContent = opt.label
           input.append(o)
         })
         break
@@ -173,16 +197,16 @@ export default async function FormidableFormRendererEngine({
       case 'file':
         input = document.createElement('input')
         input.type = 'file'
-        if (field.multiple) input.multiple = true
+        if (field.validation.multiple) input.multiple = true
         break
 
       case 'range':
         input = document.createElement('input')
         input.type = 'range'
-        input.min = field.field_options.minnum || 0
-        input.max = field.field_options.maxnum || 100
-        input.step = field.field_options.step || 1
-        input.value = field.default_value || 0
+        input.min = field.validation.minnum || 0
+        input.max = field.validation.maxnum || 100
+        input.step = field.validation.step || 1
+        input.value = field.defaultValue || 0
         break
 
       // Extended types
@@ -223,17 +247,17 @@ export default async function FormidableFormRendererEngine({
     // Common attributes and description
     if (input && !['hidden','submit'].includes(field.type)) {
       input.name = input.name || `item_meta[${field.id}]`
-      input.id = input.id || `field_${field.field_key}`
-      input.setAttribute('data-key', field.field_key)
-      if (field.field_options?.blank)   input.setAttribute('data-reqmsg',   field.field_options.blank)
-      if (field.field_options?.invalid) input.setAttribute('data-invmsg',   field.field_options.invalid)
+      input.id = input.id || `field_${field.key}`
+      input.setAttribute('data-key', field.key)
+      if (field.messages.blank)   input.setAttribute('data-reqmsg',   field.messages.blank)
+      if (field.messages.invalid) input.setAttribute('data-invmsg',   field.messages.invalid)
       input.setAttribute('aria-required', field.required ? 'true' : 'false')
       container.append(input)
     }
 
     if (field.description) {
       const desc = document.createElement('div')
-      desc.id = `frm_desc_field_${field.field_key}`
+      desc.id = `frm_desc_field_${field.key}`
       desc.className = 'frm_description'
       desc.innerHTML = field.description
       container.append(desc)
@@ -243,47 +267,89 @@ export default async function FormidableFormRendererEngine({
   }
 
   // ─── Conditional logic ─────────────────────────────────────────────────────────
+  // Shared evaluator (form_logic.js): all Formidable operators, every field type, cascading
   function applyConditionalLogic(formEl, fields) {
-    fields.forEach(f => {
-      const opts = f.field_options
-      if (!opts?.hide_field?.length) return
-      const target = formEl.querySelector(`#frm_field_${f.id}_container`)
-      const evaluate = () => {
-        const results = opts.hide_field.map((key, i) => {
-          const operator = opts.hide_field_cond?.[i] || '=='
-          const trg = formEl.querySelector(`[data-key="${key}"]`)
-          const val = trg?.value ?? ''
-          const comp = opts.hide_opt?.[i] ?? ''
-          return operator === '!=' ? val !== comp : val === comp
-        })
-        const meets = opts.any_all === 'any' ? results.some(Boolean) : results.every(Boolean)
-        const show  = opts.show_hide === 'show' ? meets : !meets
-        if (target) target.style.display = show ? '' : 'none'
-      }
-      opts.hide_field.forEach(key => {
-        const trg = formEl.querySelector(`[data-key="${key}"]`)
-        if (trg) trg.addEventListener('input', evaluate)
+    const evaluate = () => {
+      const controls = [...formEl.querySelectorAll('[name^="item_meta["]')]
+      const visible = resolveVisibility(fields, id => valueFromControls(controls, `item_meta[${id}]`))
+      fields.forEach(f => {
+        if (!f.logic) return
+        const target = formEl.querySelector(`#frm_field_${f.id}_container`)
+        if (target) target.style.display = visible.get(f.id) ? '' : 'none'
       })
-      evaluate()
-    })
+    }
+    formEl.addEventListener('input', evaluate)
+    formEl.addEventListener('change', evaluate)
+    evaluate()
   }
 
   // ─── Validation on submit ─────────────────────────────────────────────────────
-  function validateFormFields(formEl) {
-    let valid = true
-    formEl.querySelectorAll('[data-reqmsg]').forEach(el => {
-      if (!el.value.trim()) {
-        el.setAttribute('aria-invalid','true')
-        el.classList.add('invalid')
-        valid = false
-      } else {
-        el.setAttribute('aria-invalid','false')
-        el.classList.remove('invalid')
+  // Rule-based (form_validation.js DEFAULT_RULES), like the main engine: every field shown on
+  // the form is checked and messages go in its frm_error_field_[key] container
+  const NOT_INPUTS = ['divider', 'end_divider', 'break', 'html', 'submit', 'captcha', 'summary']
+
+  async function validateFormFields(formEl, fields) {
+    const all = [...formEl.querySelectorAll('[name^="item_meta["]')]
+    const results = await Promise.all(fields.filter(f => !NOT_INPUTS.includes(f.type)).map(async field => {
+      const container = formEl.querySelector(`[id="frm_field_${field.id}_container"]`)
+      if (!container || container.style.display === 'none') return true
+      const controls = [...container.querySelectorAll('[name^="item_meta["]')]
+      const context = {
+        valueOf: ref => valueFromControls(all, `item_meta[${ref}]`),
+        files: controls.flatMap(control => [...(control.files || [])])
       }
-    })
+      const message = await validateValue(field, valueFromControls(controls, `item_meta[${field.id}]`), context, DEFAULT_RULES)
+      markField(formEl, field, message)
+      return !message
+    }))
+    const valid = results.every(Boolean)
+    if (!valid) formEl.querySelector('[aria-invalid="true"]')?.focus()
     return valid
   }
 
+  // ─── Field errors ──────────────────────────────────────────────────────────────
+  // Show a message in the field's frm_error_field_[key] container (clear it with null), and
+  // return the field's first control, or null when the field is not on the form
+  function markField(form, field, message) {
+    const container = form.querySelector(`[id="frm_field_${field.id}_container"]`)
+    if (!container) return null
+    const errorId = `frm_error_field_${field.key}`
+    const controls = [...container.querySelectorAll('[name^="item_meta["]')]
+    container.classList.toggle('frm_blank_field', !!message)
+    controls.forEach(control => {
+      control.setAttribute('aria-invalid', message ? 'true' : 'false')
+      control.classList.toggle('invalid', !!message)
+      const described = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && id !== errorId)
+      if (message) described.push(errorId)
+      if (described.length) control.setAttribute('aria-describedby', described.join(' '))
+      else control.removeAttribute('aria-describedby')
+    })
+    let errorEl = container.querySelector(`[id="${errorId}"]`)
+    if (!message) {
+      errorEl?.remove()
+    } else {
+      if (!errorEl) {
+        errorEl = document.createElement('div')
+        errorEl.className = 'frm_error'
+        errorEl.id = errorId
+        errorEl.setAttribute('role', 'alert')
+        container.append(errorEl)
+      }
+      errorEl.textContent = message
+    }
+    return controls[0] || null
+  }
+
+  // A rejected submit (parseServerErrors): mark each field, list everything in a summary at
+  // the top of the form and move focus to the first invalid field
+  function showServerErrors(form, { fieldErrors, formErrors }) {
+    form.querySelector(':scope > .frm_error_style')?.remove()
+    const marked = fieldErrors.map(({ field, message }) => markField(form, field, message)).filter(Boolean)
+    const summary = htmlToElement(renderErrorSummaryToString(formErrors, fieldErrors))
+    if (summary) form.prepend(summary)
+    ;(marked[0] || summary)?.focus()
+  }
+
   // ─── Forward entry to ActiveCampaign ───────────────────────────────────────────
   async function forwardToActiveCampaign(data) {
     const payload = {
@@ -304,39 +370,37 @@ export default async function FormidableFormRendererEngine({
   }
 
   // ─── Handle form submission ────────────────────────────────────────────────────
-  function handleSubmit(form) {
-    form.addEventListener('submit', async (e) => {
-      e.preventDefault()
-      // Honeypot
-      const honeypot = form.querySelector('input[name="item_meta[672]"]')
-      if (honeypot?.value) return
-      if (!validateFormFields(form)) return
-
-      const data = new FormData(form)
-      try {
-        const res = await fetch(`/wp-json/frm/v2/forms/${data.get('form_id')}/entries`, {
-          method:      'POST',
-          headers:     { 'X-WP-Nonce': wpApiSettings?.nonce || '' },
-          body:        data,
-          credentials: 'same-origin'
-        })
-        if (!res.ok) throw new Error('Submission failed')
-        const result = await res.json()
-        alert('Form submitted successfully!')
-        form.reset()
-        await forwardToActiveCampaign(result)
-      } catch (err) {
-        console.error(err)
-        alert('Error submitting form.')
-      }
+  // Success follows the form's settings (form_success.js): redirect, or success_msg inline.
+  // A rejected submit marks the fields the server named and lists its messages.
+  function handleSubmit(form, fields, meta) {
+    const success = successSettings(meta)
+    form.addEventListener(SUBMIT_EVENTS.success, async (e) => {
+      form.querySelector(':scope > .frm_error_style')?.remove()
+      const outcome = successOutcome(success, {
+        entry: e.detail.result, fields, answers: readItemMeta(e.detail.formData), formName: meta.name, href: location.href
+      })
+      await forwardToActiveCampaign(e.detail.result)
+      if (outcome.redirect) return location.assign(outcome.redirect)
+
+      form.parentNode.querySelector(':scope > .frm_message')?.remove()
+      form.insertAdjacentHTML('beforebegin', renderFormMessageToString(outcome.message))
+      const message = form.previousElementSibling
+      message.tabIndex = -1
+      if (outcome.showForm) form.reset()
+      else form.hidden = true
+      message.focus()
+    })
+    form.addEventListener(SUBMIT_EVENTS.error, (e) => {
+      showServerErrors(form, parseServerErrors(e.detail.body, fields))
     })
+    return new FormidableSubmitHandler(form, { formKey, validate: formEl => validateFormFields(formEl, fields), honeypotSelector }).attach()
   }
 
   // ─── Hydration & rendering sequence ────────────────────────────────────────────
   try {
     const formId   = await getFormIdFromKey(formKey)
     const meta     = await getFormMetadata(formId)
-    const fields   = Object.values(await getFormFields(formId))
+    const fields   = normalizeFields(await getFormFields(formId))
     const mountEl  = document.querySelector(mountSelector)
     if (!mountEl) throw new Error('Mount element not found')
 
@@ -377,7 +441,7 @@ export default async function FormidableFormRendererEngine({
     mountEl.innerHTML = ''
     mountEl.append(form)
     applyConditionalLogic(form, fields)
-    handleSubmit(form)
+    handleSubmit(form, fields, meta)
 
   } catch (err) {
     console.error('Formidable hydration error:', err)
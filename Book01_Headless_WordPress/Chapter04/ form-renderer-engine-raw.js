@@ -2,11 +2,22 @@
  * Formidable Form Renderer Engine
  * Dynamically builds and renders a Formidable Form using hydrated JSON metadata.
  *
- * Dependencies: jQuery
+ * Dependencies: jQuery, form_submit_handler.js (load as a module)
  * Expected Payloads:
  * 1. formMetadata: JSON object from /wp-json/frm/v2/forms/{form_id}
  * 2. fieldsMetadata: JSON object from /wp-json/frm/v2/forms/{form_id}/fields
+ * Fields are read through normalizeFields (form_hydrator_class_vanilla.js), like the
+ * other renderers, rather than from raw field_options.
  */
+
+import { normalizeFields } from './form_hydrator_class_vanilla.js';
+import { resolveVisibility, valueFromControls } from './form_logic.js';
+import { FormidableSubmitHandler, SUBMIT_EVENTS } from './form_submit_handler.js';
+import { parseServerErrors } from './form_validation.js';
+import { renderErrorSummaryToString, renderFormMessageToString } from './form_renderer_ssr.js';
+import { successSettings, successOutcome } from './form_success.js';
+import { readItemMeta } from './form_summary.js';
+
 function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElementId) {
   const $container = $('#' + targetElementId);
   if ($container.length === 0) {
@@ -35,11 +46,10 @@ function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElemen
   hiddenFields.forEach(field => $form.append($('<input>', { type: 'hidden', ...field })));
 
   // Step 3: Build each field container
-  Object.values(fieldsMetadata).forEach(field => {
-    const { id, name, description, type, required, field_key, field_options } = field;
-    const requiredAttr = required === '1';
-    const ariaRequired = requiredAttr ? 'true' : 'false';
-    const containerClass = `frm_form_field form-field ${requiredAttr ? 'frm_required_field' : ''} ${field_options.classes}`;
+  normalizeFields(fieldsMetadata).forEach(field => {
+    const { id, key, name, description, type, required, messages, layout } = field;
+    const ariaRequired = required ? 'true' : 'false';
+    const containerClass = `frm_form_field form-field ${required ? 'frm_required_field' : ''} ${layout.classes}`;
 
     const $fieldContainer = $('<div>', {
       id: 'frm_field_' + id + '_container',
@@ -49,10 +59,10 @@ function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElemen
     // Create label
     if (type !== 'hidden' && type !== 'submit') {
       const $label = $('<label>', {
-        for: 'field_' + field_key,
-        id: 'field_' + field_key + '_label',
+        for: 'field_' + key,
+        id: 'field_' + key + '_label',
         class: 'frm_primary_label',
-        html: name + (requiredAttr ? ' <span class="frm_required">*</span>' : '')
+        html: name + (required ? ' <span class="frm_required">*</span>' : '')
       });
       $fieldContainer.append($label);
     }
@@ -64,11 +74,11 @@ function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElemen
       case 'email':
         $input = $('<input>', {
           type: type,
-          id: 'field_' + field_key,
+          id: 'field_' + key,
           name: 'item_meta[' + id + ']',
           value: '',
-          'data-reqmsg': field_options.blank,
-          'data-invmsg': field_options.invalid,
+          'data-reqmsg': messages.blank,
+          'data-invmsg': messages.invalid,
           'aria-required': ariaRequired,
           'aria-invalid': 'false'
         });
@@ -76,11 +86,11 @@ function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElemen
 
       case 'textarea':
         $input = $('<textarea>', {
-          id: 'field_' + field_key,
+          id: 'field_' + key,
           name: 'item_meta[' + id + ']',
-          rows: field_options.max || 5,
-          'data-reqmsg': field_options.blank,
-          'data-invmsg': field_options.invalid,
+          rows: layout.max || 5,
+          'data-reqmsg': messages.blank,
+          'data-invmsg': messages.invalid,
           'aria-required': ariaRequired,
           'aria-invalid': 'false'
         });
@@ -90,12 +100,12 @@ function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElemen
         $input = $('<div>', {
           class: 'frm_opt_container',
           role: 'group',
-          'aria-labelledby': 'field_' + field_key + '_label'
+          'aria-labelledby': 'field_' + key + '_label'
         });
         field.options.forEach((opt, index) => {
           const $checkboxLabel = $('<label>', {
-            for: 'field_' + field_key + '-' + index,
-            html: `<input type="checkbox" name="item_meta[${id}][]" id="field_${field_key}-${index}" value="${opt.value || opt}" /> ${opt.label || opt}`
+            for: 'field_' + key + '-' + index,
+            html: `<input type="checkbox" name="item_meta[${id}][]" id="field_${key}-${index}" value="${opt.value}" /> ${opt.label}`
           });
           $input.append($('<div>', { class: 'frm_checkbox' }).append($checkboxLabel));
         });
@@ -113,8 +123,8 @@ function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElemen
         $input = $('<input>', {
           type: 'hidden',
           name: 'item_meta[' + id + ']',
-          id: 'field_' + field_key,
-          value: field.default_value
+          id: 'field_' + key,
+          value: field.defaultValue ?? ''
         });
         break;
 
@@ -129,7 +139,7 @@ function FormidableFormRendererEngine(formMetadata, fieldsMetadata, targetElemen
     if (description) {
       $fieldContainer.append($('<div>', {
         class: 'frm_description',
-        id: 'frm_desc_field_' + field_key,
+        id: 'frm_desc_field_' + key,
         html: description
       }));
     }
@@ -193,7 +203,7 @@ function FormidableFormRendererEngine({
   containerDiv.appendChild(createHiddenInput('frm_submit_entry_' + formId, generateCSRF()));
 
   // Render visible fields
-  const sortedFields = Object.values(fieldsData).sort((a, b) => a.field_order - b.field_order);
+  const sortedFields = normalizeFields(fieldsData); // in field_order
   sortedFields.forEach(field => {
     const fieldEl = renderField(field);
     if (fieldEl) containerDiv.appendChild(fieldEl);
@@ -237,12 +247,12 @@ function FormidableFormRendererEngine({
   function renderField(field) {
     const wrapper = document.createElement('div');
     wrapper.id = `frm_field_${field.id}_container`;
-    wrapper.className = `frm_form_field form-field frm_top_container frm_${field.field_options.classes || 'full'}`;
+    wrapper.className = `frm_form_field form-field frm_top_container frm_${field.layout.classes || 'full'}`;
     if (field.required) wrapper.classList.add('frm_required_field');
 
     let label = document.createElement('label');
-    label.htmlFor = `field_${field.field_key}`;
-    label.id = `field_${field.field_key}_label`;
+    label.htmlFor = `field_${field.key}`;
+    label.id = `field_${field.key}_label`;
     label.className = 'frm_primary_label';
     label.textContent = field.name;
     if (field.required) {
@@ -259,15 +269,15 @@ function FormidableFormRendererEngine({
       case 'email':
         input = document.createElement('input');
         input.type = field.type;
-        input.id = `field_${field.field_key}`;
+        input.id = `field_${field.key}`;
         input.name = `item_meta[${field.id}]`;
         input.setAttribute('aria-required', field.required ? 'true' : 'false');
         input.setAttribute('aria-invalid', 'false');
         break;
       case 'textarea':
         input = document.createElement('textarea');
-        input.rows = field.field_options.max || 5;
-        input.id = `field_${field.field_key}`;
+        input.rows = field.layout.max || 5;
+        input.id = `field_${field.key}`;
         input.name = `item_meta[${field.id}]`;
         input.setAttribute('aria-required', field.required ? 'true' : 'false');
         input.setAttribute('aria-invalid', 'false');
@@ -276,9 +286,9 @@ function FormidableFormRendererEngine({
         input = document.createElement('div');
         input.className = 'frm_opt_container';
         input.role = 'group';
-        input.setAttribute('aria-labelledby', `field_${field.field_key}_label`);
+        input.setAttribute('aria-labelledby', `field_${field.key}_label`);
         field.options.forEach((opt, i) => {
-          const checkboxId = `field_${field.field_key}-${i}`;
+          const checkboxId = `field_${field.key}-${i}`;
           const wrapper = document.createElement('div');
           wrapper.className = 'frm_checkbox';
           const label = document.createElement('label');
@@ -286,10 +296,10 @@ function FormidableFormRendererEngine({
           box.type = 'checkbox';
           box.name = `item_meta[${field.id}][]`;
           box.id = checkboxId;
-          box.value = opt;
+          box.value = opt.value;
           label.htmlFor = checkboxId;
           label.appendChild(box);
-          label.append(` ${opt}`);
+          label.append(` ${opt.label}`);
           wrapper.appendChild(label);
           input.appendChild(wrapper);
         });
@@ -302,7 +312,7 @@ function FormidableFormRendererEngine({
 
     if (field.description) {
       const desc = document.createElement('div');
-      desc.id = `frm_desc_field_${field.field_key}`;
+      desc.id = `frm_desc_field_${field.key}`;
       desc.className = 'frm_description';
       desc.textContent = field.description;
       wrapper.appendChild(desc);
@@ -317,58 +327,24 @@ function FormidableFormRendererEngine({
   }
 }
 
+// Show/hide fields by their normalized logic (form_logic.js), re-run on every answer change
 function applyConditionalLogic(formEl, fieldsData) {
-  const fieldMap = Object.values(fieldsData).reduce((acc, field) => {
-    acc[field.field_key] = field;
-    return acc;
-  }, {});
-
-  Object.values(fieldsData).forEach(field => {
-    const options = field.field_options;
-    if (!options.hide_field?.length) return;
-
-    const targetEl = formEl.querySelector(`#frm_field_${field.id}_container`);
-    if (!targetEl) return;
-
-    const conditionFields = options.hide_field;
-    const conditionOps = options.hide_field_cond || [];
-    const logicType = options.any_all || 'all';
-
-    const evaluateVisibility = () => {
-      const results = conditionFields.map((depKey, index) => {
-        const operator = conditionOps[index] || '==';
-        const depField = fieldMap[depKey];
-        const depInput = formEl.querySelector(`#field_${depKey}`);
-        const depValue = depInput?.value || '';
-        const expectedValue = options.hide_opt?.[index] ?? '';
-
-        if (operator === '==' || operator === '=') {
-          return depValue === expectedValue;
-        }
-        if (operator === '!=') {
-          return depValue !== expectedValue;
-        }
-        return false;
-      });
-
-      const shouldShow = options.show_hide === 'show'
-        ? logicType === 'any' ? results.some(Boolean) : results.every(Boolean)
-        : logicType === 'any' ? !results.some(Boolean) : !results.every(Boolean);
-
-      targetEl.style.display = shouldShow ? '' : 'none';
-    };
-
-    // Attach listeners to dependent fields
-    conditionFields.forEach(depKey => {
-      const depField = formEl.querySelector(`#field_${depKey}`);
-      if (depField) {
-        depField.addEventListener('change', evaluateVisibility);
-      }
+  const fields = normalizeFields(fieldsData);
+
+  const evaluateVisibility = () => {
+    const controls = [...formEl.querySelectorAll('[name^="item_meta["]')];
+    const visible = resolveVisibility(fields, id => valueFromControls(controls, `item_meta[${id}]`));
+    fields.forEach(field => {
+      const targetEl = formEl.querySelector(`#frm_field_${field.id}_container`);
+      if (field.logic && targetEl) targetEl.style.display = visible.get(field.id) ? '' : 'none';
     });
+  };
 
-    // Initial evaluation
-    evaluateVisibility();
-  });
+  formEl.addEventListener('input', evaluateVisibility);
+  formEl.addEventListener('change', evaluateVisibility);
+
+  // Initial evaluation
+  evaluateVisibility();
 }
 
 function FormidableFormRendererEngine({ formMeta, fieldsData, mountSelector }) {
@@ -396,29 +372,29 @@ function FormidableFormRendererEngine({ formMeta, fieldsData, mountSelector }) {
   `;
 
   // Loop through fields and render each
-  Object.values(fieldsData).forEach(field => {
+  normalizeFields(fieldsData).forEach(field => {
     const wrapper = document.createElement('div');
-    wrapper.className = `frm_form_field form-field ${field.required === '1' ? 'frm_required_field' : ''}`;
+    wrapper.className = `frm_form_field form-field ${field.required ? 'frm_required_field' : ''}`;
     wrapper.id = `frm_field_${field.id}_container`;
 
     // Label
     const label = document.createElement('label');
     label.className = 'frm_primary_label';
-    label.setAttribute('for', `field_${field.field_key}`);
-    label.id = `field_${field.field_key}_label`;
-    label.innerHTML = `${field.name} ${field.required === '1' ? '<span class="frm_required">*</span>' : ''}`;
+    label.setAttribute('for', `field_${field.key}`);
+    label.id = `field_${field.key}_label`;
+    label.innerHTML = `${field.name} ${field.required ? '<span class="frm_required">*</span>' : ''}`;
     wrapper.appendChild(label);
 
     // Input
     let input;
     if (field.type === 'textarea') {
       input = document.createElement('textarea');
-      input.rows = field.field_options.max || 5;
+      input.rows = field.layout.max || 5;
     } else if (field.type === 'checkbox') {
       input = document.createElement('div');
       input.className = 'frm_opt_container';
-      (field.options || []).forEach((opt, index) => {
-        const checkboxId = `field_${field.field_key}-${index}`;
+      field.options.forEach((opt, index) => {
+        const checkboxId = `field_${field.key}-${index}`;
         const checkboxWrapper = document.createElement('div');
         checkboxWrapper.className = 'frm_checkbox';
         checkboxWrapper.innerHTML = `
@@ -433,8 +409,8 @@ function FormidableFormRendererEngine({ formMeta, fieldsData, mountSelector }) {
       input = document.createElement('input');
       input.type = 'hidden';
       input.name = `item_meta[${field.id}]`;
-      input.id = `field_${field.field_key}`;
-      input.value = field.default_value || '';
+      input.id = `field_${field.key}`;
+      input.value = field.defaultValue || '';
     } else {
       input = document.createElement('input');
       input.type = field.type === 'email' ? 'email' : 'text';
@@ -442,11 +418,11 @@ function FormidableFormRendererEngine({ formMeta, fieldsData, mountSelector }) {
 
     if (!['checkbox', 'hidden'].includes(field.type)) {
       input.name = `item_meta[${field.id}]`;
-      input.id = `field_${field.field_key}`;
+      input.id = `field_${field.key}`;
       input.setAttribute('aria-invalid', 'false');
-      if (field.required === '1') {
+      if (field.required) {
         input.setAttribute('aria-required', 'true');
-        input.setAttribute('data-reqmsg', field.field_options.blank || `${field.name} cannot be blank.`);
+        input.setAttribute('data-reqmsg', field.messages.blank || `${field.name} cannot be blank.`);
       }
     }
 
@@ -456,7 +432,7 @@ function FormidableFormRendererEngine({ formMeta, fieldsData, mountSelector }) {
     if (field.description) {
       const desc = document.createElement('div');
       desc.className = 'frm_description';
-      desc.id = `frm_desc_field_${field.field_key}`;
+      desc.id = `frm_desc_field_${field.key}`;
       desc.innerHTML = field.description;
       wrapper.appendChild(desc);
     }
@@ -519,16 +495,16 @@ async function FormidableFormRendererEngine(formKey, mountSelector) {
 
   const buildField = (field) => {
     const wrapper = document.createElement('div');
-    wrapper.className = `frm_form_field form-field ${field.field_options.classes || ''}`.trim();
+    wrapper.className = `frm_form_field form-field ${field.layout.classes || ''}`.trim();
     wrapper.id = `frm_field_${field.id}_container`;
 
-    if (field.required === '1') wrapper.classList.add('frm_required_field');
+    if (field.required) wrapper.classList.add('frm_required_field');
 
     const label = document.createElement('label');
-    label.htmlFor = `field_${field.field_key}`;
-    label.id = `field_${field.field_key}_label`;
+    label.htmlFor = `field_${field.key}`;
+    label.id = `field_${field.key}_label`;
     label.className = 'frm_primary_label';
-    label.innerHTML = `${field.name} ${field.required === '1' ? '<span class="frm_required">*</span>' : ''}`;
+    label.innerHTML = `${field.name} ${field.required ? '<span class="frm_required">*</span>' : ''}`;
     wrapper.appendChild(label);
 
     let input;
@@ -537,25 +513,25 @@ async function FormidableFormRendererEngine(formKey, mountSelector) {
       case 'email':
         input = document.createElement('input');
         input.type = field.type;
-        input.id = `field_${field.field_key}`;
+        input.id = `field_${field.key}`;
         input.name = `item_meta[${field.id}]`;
-        input.setAttribute('data-key', field.field_key);
+        input.setAttribute('data-key', field.key);
         input.value = '';
-        if (field.required === '1') {
+        if (field.required) {
           input.required = true;
-          input.setAttribute('data-reqmsg', field.field_options.blank || `${field.name} cannot be blank.`);
+          input.setAttribute('data-reqmsg', field.messages.blank || `${field.name} cannot be blank.`);
           input.setAttribute('aria-required', 'true');
         }
         break;
       case 'textarea':
         input = document.createElement('textarea');
-        input.id = `field_${field.field_key}`;
+        input.id = `field_${field.key}`;
         input.name = `item_meta[${field.id}]`;
-        input.setAttribute('data-key', field.field_key);
-        input.rows = field.field_options.max || 5;
-        if (field.required === '1') {
+        input.setAttribute('data-key', field.key);
+        input.rows = field.layout.max || 5;
+        if (field.required) {
           input.required = true;
-          input.setAttribute('data-reqmsg', field.field_options.blank || `${field.name} cannot be blank.`);
+          input.setAttribute('data-reqmsg', field.messages.blank || `${field.name} cannot be blank.`);
           input.setAttribute('aria-required', 'true');
         }
         break;
@@ -566,13 +542,13 @@ async function FormidableFormRendererEngine(formKey, mountSelector) {
           const div = document.createElement('div');
           div.className = 'frm_checkbox';
           const lbl = document.createElement('label');
-          lbl.htmlFor = `field_${field.field_key}-${idx}`;
+          lbl.htmlFor = `field_${field.key}-${idx}`;
           const box = document.createElement('input');
           box.type = 'checkbox';
-          box.id = `field_${field.field_key}-${idx}`;
+          box.id = `field_${field.key}-${idx}`;
           box.name = `item_meta[${field.id}][]`;
           box.value = opt.value;
-          box.setAttribute('data-key', field.field_key);
+          box.setAttribute('data-key', field.key);
           lbl.appendChild(box);
           lbl.append(` ${opt.label}`);
           div.appendChild(lbl);
@@ -582,17 +558,17 @@ async function FormidableFormRendererEngine(formKey, mountSelector) {
       case 'hidden':
         input = document.createElement('input');
         input.type = 'hidden';
-        input.id = `field_${field.field_key}`;
+        input.id = `field_${field.key}`;
         input.name = `item_meta[${field.id}]`;
-        input.value = field.default_value || '';
+        input.value = field.defaultValue || '';
         break;
       case 'captcha':
         input = document.createElement('div');
-        input.id = `field_${field.field_key}`;
+        input.id = `field_${field.key}`;
         input.className = 'cf-turnstile';
         input.dataset.sitekey = '0x4AAAAAAAWYtWRiMaUVODel';
-        input.dataset.size = field.field_options.captcha_size || 'normal';
-        input.dataset.theme = field.field_options.captcha_theme || 'light';
+        input.dataset.size = field.config.captcha_size || 'normal';
+        input.dataset.theme = field.config.captcha_theme || 'light';
         break;
       case 'submit':
         const buttonWrapper = document.createElement('div');
@@ -612,27 +588,17 @@ async function FormidableFormRendererEngine(formKey, mountSelector) {
   };
 
   const applyConditionalLogic = (formElement, fields) => {
-    fields.forEach((field) => {
-      const opts = field.field_options;
-      if (!opts || !opts.hide_field || opts.hide_field.length === 0) return;
-
-      const targets = Array.isArray(opts.hide_field) ? opts.hide_field : [opts.hide_field];
-      const operators = Array.isArray(opts.hide_field_cond) ? opts.hide_field_cond : ['=='];
-
-      targets.forEach((targetKey, idx) => {
-        const operator = operators[idx] || '==';
-        const trigger = formElement.querySelector(`[data-key="${targetKey}"]`);
-        if (!trigger) return;
-
-        trigger.addEventListener('input', () => {
-          const container = formElement.querySelector(`#frm_field_${field.id}_container`);
-          const value = trigger.value;
-          const show = operator === '==' ? value !== '' : value === '';
-          const visible = opts.show_hide === 'show' ? show : !show;
-          if (container) container.style.display = visible ? 'block' : 'none';
-        });
+    const evaluate = () => {
+      const controls = [...formElement.querySelectorAll('[name^="item_meta["]')];
+      const visible = resolveVisibility(fields, (id) => valueFromControls(controls, `item_meta[${id}]`));
+      fields.forEach((field) => {
+        const container = formElement.querySelector(`#frm_field_${field.id}_container`);
+        if (field.logic && container) container.style.display = visible.get(field.id) ? 'block' : 'none';
       });
-    });
+    };
+    formElement.addEventListener('input', evaluate);
+    formElement.addEventListener('change', evaluate);
+    evaluate();
   };
 
   try {
@@ -640,7 +606,7 @@ async function FormidableFormRendererEngine(formKey, mountSelector) {
     if (!formId) throw new Error('Missing form ID');
 
     const formData = await getFormMetadata(formId);
-    const fields = Object.values(await getFormFields(formId));
+    const fields = normalizeFields(await getFormFields(formId));
 
     const formWrapper = document.querySelector(mountSelector);
     if (!formWrapper) throw new Error('Mount element not found');
@@ -677,130 +643,112 @@ async function FormidableFormRendererEngine(formKey, mountSelector) {
 /**
  * Formidable Form Renderer Engine
  * Step 3: Form Submission Handler
- * Handles submit, draft, and anti-spam logic.
+ * Submits through FormidableSubmitHandler (form_submit_handler.js), which handles the
+ * honeypot, double submits, drafts and the nonce; this only reports the outcome. A rejected
+ * submit marks the fields the server named (parseServerErrors, form_validation.js) and
+ * lists its messages above the form; a saved one follows the form's success settings
+ * (form_success.js): redirect, or success_msg inline. `fields` are the normalized fields the
+ * form was built from and `formMetadata` its /frm/v2/forms/{id} response.
  */
 
-function attachFormidableFormSubmitHandler(formContainer) {
-  const form = formContainer.querySelector('form');
-  if (!form) return;
-
-  form.addEventListener('submit', async (e) => {
-    e.preventDefault();
-
-    // Spam honeypot check
-    const honeypot = form.querySelector('input.frm_verify');
-    if (honeypot && honeypot.value !== '') {
-      console.warn('Spam honeypot triggered. Aborting submission.');
-      return;
-    }
-
-    // Build form data object
-    const formData = new FormData(form);
-
-    // Extract required values
-    const formId = formData.get('form_id');
-    const entryKey = formData.get('item_key') || '';
-    const action = formData.get('frm_action') || 'create';
-
-    // Endpoint
-    const endpoint = `/wp-json/frm/v2/forms/${formId}/entries`;
-
-    try {
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'X-WP-Nonce': wpApiSettings?.nonce || ''
-        },
-        body: formData,
-        credentials: 'same-origin'
-      });
+// Show a message in the field's frm_error_field_[key] container; returns its first control
+function markFieldError(form, field, message) {
+  const container = form.querySelector(`#frm_field_${field.id}_container`);
+  if (!container) return null;
+  const errorId = `frm_error_field_${field.key}`;
+  const controls = [...container.querySelectorAll('[name^="item_meta["]')];
+  container.classList.add('frm_blank_field');
+  controls.forEach((control) => {
+    control.setAttribute('aria-invalid', 'true');
+    control.setAttribute('aria-describedby', errorId);
+    control.classList.add('invalid');
+  });
+  let errorEl = document.getElementById(errorId);
+  if (!errorEl) {
+    errorEl = document.createElement('div');
+    errorEl.className = 'frm_error';
+    errorEl.id = errorId;
+    errorEl.setAttribute('role', 'alert');
+    container.appendChild(errorEl);
+  }
+  errorEl.textContent = message;
+  return controls[0] || null;
+}
 
-      if (!response.ok) {
-        const err = await response.json();
-        console.error('Form submission failed:', err);
-        alert('There was a problem submitting the form.');
-        return;
-      }
+function showServerErrors(form, { fieldErrors, formErrors }) {
+  form.querySelectorAll('.frm_blank_field').forEach((container) => {
+    container.classList.remove('frm_blank_field');
+    container.querySelector('.frm_error')?.remove();
+    container.querySelectorAll('[aria-invalid]').forEach((control) => {
+      control.setAttribute('aria-invalid', 'false');
+      control.removeAttribute('aria-describedby');
+      control.classList.remove('invalid');
+    });
+  });
+  form.querySelector(':scope > .frm_error_style')?.remove();
+  const marked = fieldErrors.map(({ field, message }) => markFieldError(form, field, message)).filter(Boolean);
+  form.insertAdjacentHTML('afterbegin', renderErrorSummaryToString(formErrors, fieldErrors));
+  const summary = form.querySelector(':scope > .frm_error_style');
+  (marked[0] || summary)?.focus();
+}
 
-      const result = await response.json();
-      console.log('Form submission result:', result);
-      alert('Form submitted successfully!');
+function attachFormidableFormSubmitHandler(formContainer, fields = [], formMetadata = {}) {
+  const form = formContainer.querySelector('form');
+  if (!form) return null;
 
-      // Optional: redirect, show message, or reset form
-      // window.location.href = '/thank-you';
-      form.reset();
+  form.addEventListener(SUBMIT_EVENTS.error, (e) => {
+    showServerErrors(form, parseServerErrors(e.detail.body, fields));
+  });
 
-    } catch (error) {
-      console.error('Unexpected error during form submission:', error);
-      alert('An unexpected error occurred. Please try again later.');
+  const success = successSettings(formMetadata);
+  form.addEventListener(SUBMIT_EVENTS.success, (e) => {
+    form.querySelector(':scope > .frm_error_style')?.remove();
+    const outcome = successOutcome(success, {
+      entry: e.detail.result, fields, answers: readItemMeta(e.detail.formData), formName: formMetadata.name, href: location.href
+    });
+    if (outcome.redirect) {
+      location.assign(outcome.redirect);
+      return;
     }
+    form.parentNode.querySelector(':scope > .frm_message')?.remove();
+    form.insertAdjacentHTML('beforebegin', renderFormMessageToString(outcome.message));
+    const message = form.previousElementSibling;
+    message.tabIndex = -1;
+    if (outcome.showForm) form.reset();
+    else form.hidden = true;
+    message.focus();
   });
+
+  return new FormidableSubmitHandler(form, { validate: validateBeforeSubmit }).attach();
 }
 /**
  * Enhance the Formidable Form Renderer Engine with draft save and success message handling.
+ * The Save Draft link and the submit both go through FormidableSubmitHandler.
  */
 function enhanceFormidableEngineWithDrafting() {
   const forms = document.querySelectorAll('form[data-frm-id]');
   forms.forEach(form => {
     const formId = form.getAttribute('data-frm-id');
-    const saveDraftButton = form.querySelector('.frm_save_draft');
     const messageContainer = document.createElement('div');
     messageContainer.className = 'frm_success_msg';
     messageContainer.setAttribute('aria-live', 'polite');
     form.appendChild(messageContainer);
 
-    if (saveDraftButton) {
-      saveDraftButton.addEventListener('click', function (e) {
-        e.preventDefault();
-        const formData = new FormData(form);
-        formData.append('draft', '1');
-
-        fetch(`/wp-json/frm/v2/entries`, {
-          method: 'POST',
-          headers: {
-            'X-WP-Nonce': wpApiSettings.nonce
-          },
-          body: formData,
-          credentials: 'same-origin'
-        })
-        .then(response => {
-          if (!response.ok) throw new Error('Failed to save draft');
-          return response.json();
-        })
-        .then(data => {
-          messageContainer.textContent = 'Your draft has been saved.';
-        })
-        .catch(error => {
-          messageContainer.textContent = 'An error occurred while saving your draft.';
-          console.error(error);
-        });
-      });
-    }
-
-    form.addEventListener('submit', function (e) {
-      e.preventDefault();
-      const formData = new FormData(form);
-      fetch(`/wp-json/frm/v2/entries`, {
-        method: 'POST',
-        headers: {
-          'X-WP-Nonce': wpApiSettings.nonce
-        },
-        body: formData,
-        credentials: 'same-origin'
-      })
-      .then(response => {
-        if (!response.ok) throw new Error('Form submission failed');
-        return response.json();
-      })
-      .then(data => {
-        messageContainer.textContent = 'Your responses were successfully submitted. Thank you!';
-        form.reset();
-      })
-      .catch(error => {
-        messageContainer.textContent = 'There was an issue submitting the form.';
-        console.error(error);
-      });
+    form.addEventListener(SUBMIT_EVENTS.draft, () => {
+      messageContainer.textContent = 'Your draft has been saved.';
+    });
+    form.addEventListener(SUBMIT_EVENTS.success, () => {
+      messageContainer.textContent = 'Your responses were successfully submitted. Thank you!';
+      form.reset();
     });
+    form.addEventListener(SUBMIT_EVENTS.error, (e) => {
+      messageContainer.textContent = e.detail.draft
+        ? 'An error occurred while saving your draft.'
+        : 'There was an issue submitting the form.';
+      console.error(e.detail.body || e.detail.error);
+    });
+
+    new FormidableSubmitHandler(form, { validate: validateBeforeSubmit }).attach();
   });
 }
 
@@ -896,21 +844,20 @@ function validateFormFields(formEl) {
   return isValid;
 }
 
-if (!validateFormFields(form)) {
-  console.warn('Form validation failed. Submission halted.');
-  return;
-}
-
-const honeypot = form.querySelector('input[name="item_meta[672]"]'); // adjust ID
-if (honeypot && honeypot.value.trim() !== '') {
-  console.warn('Bot detected by honeypot. Aborting submission.');
-  return;
-}
+// Validator for FormidableSubmitHandler: required fields, then the CAPTCHA. The honeypot
+// is the handler's own check (DEFAULT_HONEYPOT_SELECTOR).
+function validateBeforeSubmit(formEl) {
+  if (!validateFormFields(formEl)) {
+    console.warn('Form validation failed. Submission halted.');
+    return false;
+  }
 
-const captchaContainer = form.querySelector('.cf-turnstile');
-if (captchaContainer && !captchaContainer.querySelector('textarea[name="cf-turnstile-response"]')) {
-  console.warn('CAPTCHA not completed.');
-  return;
+  const captchaContainer = formEl.querySelector('.cf-turnstile');
+  if (captchaContainer && !captchaContainer.querySelector('textarea[name="cf-turnstile-response"]')) {
+    console.warn('CAPTCHA not completed.');
+    return false;
+  }
+  return true;
 }
 
 add_filter('frm_entries_before_create', function($errors, $form) {
@@ -2,10 +2,114 @@
  * Formidable Form Renderer Engine
  * Enterprise-grade rendering engine for headless Formidable Forms using REST API metadata.
  * Supports: conditional logic, validation, anti-spam, draft saving, ActiveCampaign forwarding.
+ * Fields are rendered from the normalized FormField model (see normalizeFields in form_hydrator_class_vanilla.js).
  * Usage: FormidableFormRendererEngine({ formKey: 'contact-form', mountSelector: '#app' });
+ *
+ * Server-rendered forms (form_renderer_ssr.js): pass mode: 'hydrate' to adopt the existing
+ * <form> instead of rebuilding it. Fields whose markup matches the payload stay in place;
+ * only mismatched or missing fields are rebuilt, in their own page and section
+ * (form_adopt.js), so the page does not shift. Pass the
+ * payload the server rendered from (e.g. embedded JSON) to skip the REST round trip.
+ *   FormidableFormRendererEngine({ formKey: 'contact-form', mountSelector: '#app', mode: 'hydrate', payload });
+ *
+ * Fields with a Formidable custom_html template are built from it (renderCustomHtml); pass
+ * customHtml: false to always use the built-in markup.
+ *
+ * Multi-page forms: `break` fields split the form into pages (form_pages.js) with
+ * Previous/Next buttons, per-page validation and an optional rootline. The current step
+ * lives in the URL hash (#form_<key>-step-<n>) and only the last page can submit.
+ *
+ * Conditional logic (form_logic.js) supports Formidable's operators (== != > < >= <= LIKE,
+ * not LIKE, ^ starts with, $ ends with), reads checkbox groups, radios, stars, multi-part
+ * and file fields, and cascades: a field hidden by logic counts as empty for its dependants.
+ *
+ * Calculated fields (form_calc.js) evaluate field_options.calc without eval, in dependency
+ * order, and format results with the field's decimals and currency. Circular calculations
+ * are skipped with a console warning. Calcs inside repeater rows are not computed.
+ *
+ * Validation (form_validation.js) runs rules built from the field model — required, format
+ * masks/regex, email/url/phone syntax, number ranges, length and file size limits,
+ * confirmation fields and an optional uniqueness check — on blur, per page and on submit,
+ * with messages in Formidable's frm_error_field_[key] containers. Pass `validationRules`
+ * to add rules and `checkUnique(field, value)` to check unique fields before submit.
+ *
+ * Sections: `divider` fields render as a <fieldset> holding the fields whose in_section
+ * points at them (form_sections.js); collapsible ones get a toggle. A section hidden by
+ * conditional logic hides its children and they are not validated.
+ *
+ * Repeatable sections render one row per entry of Formidable's child form, posted as
+ * item_meta[section][row][field]. Users add, remove and reorder rows within the section's
+ * limits; conditional logic between fields of the same row is evaluated per row.
+ *
+ * Summary fields (form_summary.js) list the current answers with option labels, joined
+ * name/address parts and file names, skipping fields hidden by logic. Each row's Edit link
+ * returns to the field's page and focuses it.
+ *
+ * Submission uses FormidableSubmitHandler (form_submit_handler.js): pass `honeypotSelector`
+ * to match your honeypot input. Its formidable:* events bubble from the form.
+ *
+ * Drafts (form_drafts.js): forms with save_draft get a Save Draft link. Saving shows
+ * draft_msg with a resume URL (?frm_resume=<item_key>, also written to the address bar);
+ * opening it loads the form and the draft through FormHydrator.hydrateEntry and fills in
+ * the answers. Later saves and the final submit update the draft entry. Pass `hydrator`
+ * to reuse a configured FormHydrator and `resumeParam` to rename the URL parameter.
+ *
+ * Autosave (form_autosave.js) is opt-in: pass `autosave: true` (or its options, e.g.
+ * { delayMs, maxAgeMs, version, storage }) to keep answers in localStorage while they are
+ * typed. The next render offers to restore them; password, file and captcha answers are
+ * never stored, and the copy is cleared once the entry is submitted. Restored repeater
+ * answers fill the rows that are rendered.
+ *
+ * Editing (form_edit.js): pass `editEntry` (an entry id or item_key) to render the form
+ * for that entry. The entry is loaded through FormHydrator.hydrateEntry, its answers fill
+ * the rendered controls (checkbox groups, name/address parts...) and stored uploads are
+ * listed with Remove buttons. The form posts frm_action=update to the entry and the button
+ * says edit_value. Users without editable_role (own
+ * entries) or open_editable_role (others') see a permission message instead; pass `user`
+ * ({ id, roles }, or null when logged out) to skip the wp/v2/users/me lookup.
+ *
+ * Availability (form_availability.js): before a new entry's form is shown, login-only forms
+ * (logged_in, logged_in_role) show a login prompt to visitors who may not use them, and
+ * closed forms (open_status, open_date/close_date, max_entries) show closed_msg. Forms
+ * limited to one entry per cookie (single_entry) set a cookie for cookie_expiration hours
+ * after a submit and show an "already submitted" message while it lasts. Pass `loginUrl`
+ * (default /wp-login.php) if needed. max_entries is left to the server unless you pass
+ * `entryCount` (entries so far): the entries route needs entry-view rights, so the engine
+ * cannot count them for visitors. open_date/close_date are in the site's time zone; pass
+ * `gmtOffset` (the /wp-json/ index's gmt_offset, in hours) or they are read in the
+ * browser's. The server still enforces every rule.
+ *
+ * After a successful submit the form's settings apply (form_success.js): success_action
+ * shows success_msg inline (shortcodes such as [id] or [email] filled in from the entry) or
+ * redirects to success_url / success_page_id with ?entry=<item_key>; show_form keeps the
+ * form under the message, otherwise the message replaces it. Updates use the edit_* options.
+ *
+ * Server-side errors (a failed entries request) are mapped back onto their fields with
+ * parseServerErrors(); a form-level summary links to each one and focus moves to the first.
  */
 
-async function FormidableFormRendererEngine({ formKey, mountSelector, enableCaptcha = false }) {
+import { normalizeFields, createHydrator } from './form_hydrator_class_vanilla.js';
+import {
+  renderCustomHtml, renderRootlineToString, renderPageNavToString, renderSectionToString,
+  renderRepeaterToString, renderSummaryToString, renderConfirmationToString, renderErrorSummaryToString,
+  renderDraftLinkToString, renderDraftMessageToString, renderAutosavePromptToString, renderFormMessageToString,
+  renderFileReferencesToString, renderLoginPromptToString, renderControlToString,
+} from './form_renderer_ssr.js';
+import { fieldMarkupMatches, insertionPoint } from './form_adopt.js';
+import { splitPages, paginationSettings, clampPage } from './form_pages.js';
+import { nestSections, nextRowKey, canAddRow, canRemoveRow, ROW_PLACEHOLDER } from './form_sections.js';
+import { readItemMeta, summarize } from './form_summary.js';
+import { resolveVisibility, valueFromControls } from './form_logic.js';
+import { planCalcs, runCalcs } from './form_calc.js';
+import { DEFAULT_RULES, validateValue, parseServerErrors } from './form_validation.js';
+import { FormidableSubmitHandler, SUBMIT_EVENTS, DEFAULT_HONEYPOT_SELECTOR } from './form_submit_handler.js';
+import { createAutosave } from './form_autosave.js';
+import { RESUME_PARAM, draftSettings, entryReference, isDraft, entryToItemMeta, itemMetaToControls, resumeKeyFromUrl, resumeUrl } from './form_drafts.js';
+import { EDIT_DENIED_MESSAGE, EDIT_LOAD_ERROR_MESSAGE, actionInputs, canEditEntry, editSettings, fileReferences, updatableFields } from './form_edit.js';
+import { successSettings, successOutcome } from './form_success.js';
+import { availabilitySettings, formAvailability, hasSubmittedCookie, submittedCookie, loginLink } from './form_availability.js';
+
+export async function FormidableFormRendererEngine({ formKey, mountSelector, enableCaptcha = false, mode = 'render', payload, customHtml = true, validationRules = [], checkUnique, honeypotSelector = DEFAULT_HONEYPOT_SELECTOR, hydrator, resumeParam = RESUME_PARAM, autosave = false, editEntry, user, loginUrl = '/wp-login.php', entryCount, gmtOffset }) {
   const getFormIdFromKey = async (key) => {
     const response = await fetch(`/wp-json/custom/v1/form-id/${key}`);
     if (!response.ok) throw new Error('Form ID not found');
@@ -26,16 +130,19 @@ async function FormidableFormRendererEngine({ formKey, mountSelector, enableCapt
   };
 
   const buildField = (field) => {
+    const custom = customHtml ? htmlToElement(renderCustomHtml(field)) : null;
+    if (custom) return custom;
+
     const wrapper = document.createElement('div');
     wrapper.id = `frm_field_${field.id}_container`;
-    wrapper.className = `frm_form_field form-field ${field.required === '1' ? 'frm_required_field' : ''} ${field.field_options.classes || ''}`;
+    wrapper.className = `frm_form_field form-field ${field.required ? 'frm_required_field' : ''} ${field.layout.classes || ''}`;
 
-    if (!['hidden', 'captcha', 'submit'].includes(field.type)) {
+    if (!['hidden', 'captcha', 'submit', 'summary'].includes(field.type)) {
       const label = document.createElement('label');
-      label.htmlFor = `field_${field.field_key}`;
-      label.id = `field_${field.field_key}_label`;
+      label.htmlFor = `field_${field.key}`;
+      label.id = `field_${field.key}_label`;
       label.className = 'frm_primary_label';
-      label.innerHTML = `${field.name} ${field.required === '1' ? '<span class="frm_required">*</span>' : ''}`;
+      label.innerHTML = `${field.name} ${field.required ? '<span class="frm_required">*</span>' : ''}`;
       wrapper.appendChild(label);
     }
 
@@ -46,41 +153,41 @@ async function FormidableFormRendererEngine({ formKey, mountSelector, enableCapt
         input = document.createElement('input');
         input.type = field.type;
         input.name = `item_meta[${field.id}]`;
-        input.id = `field_${field.field_key}`;
-        input.setAttribute('data-key', field.field_key);
-        input.setAttribute('data-reqmsg', field.field_options.blank);
-        input.setAttribute('data-invmsg', field.field_options.invalid);
-        input.setAttribute('aria-required', field.required === '1' ? 'true' : 'false');
+        input.id = `field_${field.key}`;
+        input.setAttribute('data-key', field.key);
+        input.setAttribute('data-reqmsg', field.messages.blank);
+        input.setAttribute('data-invmsg', field.messages.invalid);
+        input.setAttribute('aria-required', field.required ? 'true' : 'false');
         break;
 
       case 'textarea':
         input = document.createElement('textarea');
         input.name = `item_meta[${field.id}]`;
-        input.id = `field_${field.field_key}`;
-        input.rows = field.field_options.max || 5;
-        input.setAttribute('data-key', field.field_key);
-        input.setAttribute('data-reqmsg', field.field_options.blank);
-        input.setAttribute('data-invmsg', field.field_options.invalid);
-        input.setAttribute('aria-required', field.required === '1' ? 'true' : 'false');
+        input.id = `field_${field.key}`;
+        input.rows = field.layout.max || 5;
+        input.setAttribute('data-key', field.key);
+        input.setAttribute('data-reqmsg', field.messages.blank);
+        input.setAttribute('data-invmsg', field.messages.invalid);
+        input.setAttribute('aria-required', field.required ? 'true' : 'false');
         break;
 
       case 'checkbox':
         input = document.createElement('div');
         input.className = 'frm_opt_container';
         input.setAttribute('role', 'group');
-        input.setAttribute('aria-labelledby', `field_${field.field_key}_label`);
+        input.setAttribute('aria-labelledby', `field_${field.key}_label`);
         field.options.forEach((opt, idx) => {
           const checkboxWrapper = document.createElement('div');
           checkboxWrapper.className = 'frm_checkbox';
           const label = document.createElement('label');
-          label.htmlFor = `field_${field.field_key}-${idx}`;
+          label.htmlFor = `field_${field.key}-${idx}`;
           const checkbox = document.createElement('input');
           checkbox.type = 'checkbox';
           checkbox.name = `item_meta[${field.id}][]`;
-          checkbox.id = `field_${field.field_key}-${idx}`;
-          checkbox.value = opt.value || opt;
+          checkbox.id = `field_${field.key}-${idx}`;
+          checkbox.value = opt.value;
           label.appendChild(checkbox);
-          label.append(` ${opt.label || opt}`);
+          label.append(` ${opt.label}`);
           checkboxWrapper.appendChild(label);
           input.appendChild(checkboxWrapper);
         });
@@ -90,17 +197,28 @@ async function FormidableFormRendererEngine({ formKey, mountSelector, enableCapt
         input = document.createElement('input');
         input.type = 'hidden';
         input.name = `item_meta[${field.id}]`;
-        input.id = `field_${field.field_key}`;
-        input.value = field.default_value || '';
+        input.id = `field_${field.key}`;
+        input.value = field.defaultValue || '';
         break;
 
       case 'captcha':
         input = document.createElement('div');
-        input.id = `field_${field.field_key}`;
+        input.id = `field_${field.key}`;
         input.className = 'cf-turnstile';
         input.dataset.sitekey = '0x4AAAAAAAWYtWRiMaUVODel';
-        input.dataset.size = field.field_options.captcha_size || 'normal';
-        input.dataset.theme = field.field_options.captcha_theme || 'light';
+        input.dataset.size = field.config.captcha_size || 'normal';
+        input.dataset.theme = field.config.captcha_theme || 'light';
+        break;
+
+      case 'summary':
+        input = htmlToElement(renderSummaryToString(field, [], { formKey }));
+        break;
+
+      // Multi-part and upload controls come from the SSR renderer, so both name them alike
+      case 'name':
+      case 'address':
+      case 'file':
+        input = htmlToElement(renderControlToString(field));
         break;
 
       case 'submit':
@@ -121,7 +239,7 @@ async function FormidableFormRendererEngine({ formKey, mountSelector, enableCapt
 
     if (field.description) {
       const desc = document.createElement('div');
-      desc.id = `frm_desc_field_${field.field_key}`;
+      desc.id = `frm_desc_field_${field.key}`;
       desc.className = 'frm_description';
       desc.innerHTML = field.description;
       wrapper.appendChild(desc);
@@ -130,89 +248,439 @@ async function FormidableFormRendererEngine({ formKey, mountSelector, enableCapt
     return wrapper;
   };
 
+  // Show/hide fields by their conditional logic (form_logic.js) on every input or change.
+  // Returns a function that re-evaluates every rule (call it after adding repeater rows).
   const applyConditionalLogic = (formEl, fields) => {
-    const fieldMap = Object.fromEntries(fields.map(f => [f.field_key, f]));
-    fields.forEach(field => {
-      const opts = field.field_options;
-      if (!opts || !opts.hide_field?.length) return;
-
-      const targetEl = formEl.querySelector(`#frm_field_${field.id}_container`);
-      const evaluate = () => {
-        const results = opts.hide_field.map((key, idx) => {
-          const operator = opts.hide_field_cond?.[idx] || '==';
-          const trigger = formEl.querySelector(`[data-key="${key}"]`);
-          const value = trigger?.value ?? '';
-          const compare = opts.hide_opt?.[idx] ?? '';
-          return operator === '!=' ? value !== compare : value === compare;
+    const repeaters = new Set(fields.filter(f => f.section?.repeat).map(f => f.id));
+    const topLevel = fields.filter(f => !repeaters.has(f.layout.inSection));
+    const controlsIn = (scope) => [...scope.querySelectorAll('[name^="item_meta["]')];
+
+    const setVisible = (targetEl, show) => {
+      if (!targetEl) return;
+      targetEl.style.display = show ? '' : 'none';
+      targetEl.toggleAttribute('data-frm-hidden', !show); // skipped by validation, with any children
+    };
+
+    const evaluateAll = () => {
+      const formControls = controlsIn(formEl);
+      const read = (id) => valueFromControls(formControls, `item_meta[${id}]`);
+      const visible = resolveVisibility(topLevel, read);
+      topLevel.forEach(field => {
+        if (field.logic) setVisible(formEl.querySelector(`#frm_field_${field.id}_container`), visible.get(field.id));
+      });
+
+      // Inside a repeater row, rules on fields of the same section read that row's controls.
+      const outside = (id) => (visible.get(id) === false ? '' : read(id));
+      repeaters.forEach(sectionId => {
+        const children = fields.filter(f => f.layout.inSection === sectionId);
+        const inRow = new Set(children.map(f => f.id));
+        formEl.querySelectorAll(`[data-section="${sectionId}"] .frm_repeat_rows > .frm_repeat_sec`).forEach(row => {
+          const rowKey = row.dataset.row;
+          const rowControls = controlsIn(row);
+          const rowVisible = resolveVisibility(children, id => (inRow.has(id)
+            ? valueFromControls(rowControls, `item_meta[${sectionId}][${rowKey}][${id}]`)
+            : outside(id)));
+          children.forEach(field => {
+            if (field.logic) setVisible(row.querySelector(`[id="frm_field_${field.id}-${sectionId}-${rowKey}_container"]`), rowVisible.get(field.id));
+          });
         });
+      });
+    };
 
-        const show = opts.show_hide === 'show'
-          ? (opts.any_all === 'any' ? results.some(Boolean) : results.every(Boolean))
-          : !(opts.any_all === 'any' ? results.some(Boolean) : results.every(Boolean));
+    // Delegated, so rows added later are covered without extra listeners
+    formEl.addEventListener('input', evaluateAll);
+    formEl.addEventListener('change', evaluateAll);
+    evaluateAll();
+    return evaluateAll;
+  };
 
-        if (targetEl) targetEl.style.display = show ? '' : 'none';
-      };
+  // Rule-based validation (form_validation.js). validateFormFields(scope) checks every visible
+  // field container in scope (a page, the form) and resolves true when all pass; messages
+  // go in Formidable's frm_error_field_[key] containers. Fields are also checked on blur.
+  // markField(field, row, message) shows a message from elsewhere (the server) and returns
+  // the field's first control, or null when the field is not on the form.
+  const createValidator = (form, fields) => {
+    const byId = new Map(fields.map(f => [f.id, f]));
+    const rules = [...DEFAULT_RULES, ...validationRules];
+    const NOT_INPUTS = ['divider', 'end_divider', 'break', 'html', 'submit', 'captcha', 'summary'];
+    const CONTAINER = /^frm_field_(\d+)(?:-\d+-([^_]+))?_container$/;
+
+    const locate = (container) => {
+      const match = CONTAINER.exec(container.id);
+      const field = match && byId.get(Number(match[1]));
+      return field && !NOT_INPUTS.includes(field.type) ? { container, field, row: match[2] } : null;
+    };
 
-      opts.hide_field.forEach(key => {
-        const trigger = formEl.querySelector(`[data-key="${key}"]`);
-        if (trigger) trigger.addEventListener('input', evaluate);
+    const showError = (container, field, row, controls, message) => {
+      const errorId = `frm_error_field_${row === undefined ? field.key : `${field.key}-${row}`}`;
+      let errorEl = container.querySelector(`[id="${errorId}"]`);
+      container.classList.toggle('frm_blank_field', !!message);
+      controls.forEach(control => {
+        control.setAttribute('aria-invalid', message ? 'true' : 'false');
+        control.classList.toggle('invalid', !!message);
+        const described = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && id !== errorId);
+        if (message) described.push(errorId);
+        if (described.length) control.setAttribute('aria-describedby', described.join(' '));
+        else control.removeAttribute('aria-describedby');
       });
+      if (!message) return errorEl?.remove();
+      if (!errorEl) {
+        errorEl = document.createElement('div');
+        errorEl.className = 'frm_error';
+        errorEl.id = errorId;
+        errorEl.setAttribute('role', 'alert');
+        container.appendChild(errorEl);
+      }
+      errorEl.textContent = message;
+      expandSection(container);
+    };
 
-      evaluate();
+    const validateContainer = async ({ container, field, row }) => {
+      const base = row === undefined ? `item_meta[${field.id}]` : `item_meta[${field.layout.inSection}][${row}][${field.id}]`;
+      const controls = [...container.querySelectorAll('[name^="item_meta["]')];
+      const context = {
+        valueOf: (ref) => valueFromControls(form.querySelectorAll('[name^="item_meta["]'), `item_meta[${ref}]`),
+        files: controls.flatMap(control => [...(control.files || [])]),
+        isUnique: checkUnique,
+      };
+      const message = await validateValue(field, valueFromControls(controls, base), context, rules);
+      showError(container, field, row, controls, message);
+      return !message;
+    };
+
+    const validateFormFields = async (scope) => {
+      const targets = [...scope.querySelectorAll('[id^="frm_field_"][id$="_container"]')]
+        .filter(container => !container.closest('[data-frm-hidden]'))
+        .map(locate)
+        .filter(Boolean);
+      const results = await Promise.all(targets.map(validateContainer));
+      return results.every(Boolean);
+    };
+
+    // Blur: check a field once focus leaves its container (not when moving between its options).
+    // A confirmation input re-checks the field it confirms.
+    form.addEventListener('focusout', (e) => {
+      const container = e.target.closest?.('[id^="frm_field_"][id$="_container"]');
+      if (!container || container.contains(e.relatedTarget)) return;
+      const confirms = /^frm_field_conf_(\d+)_container$/.exec(container.id);
+      const target = confirms ? form.querySelector(`#frm_field_${confirms[1]}_container`) : container;
+      const located = target && !target.closest('[data-frm-hidden]') ? locate(target) : null;
+      // A rule that rejects (a custom rule, a lookup) leaves the field as it was; submit checks again
+      if (located) validateContainer(located).catch(err => console.warn(`Formidable: field "${located.field.key}" could not be validated:`, err));
+    });
+
+    const markField = (field, row, message) => {
+      const id = row === undefined ? field.id : `${field.id}-${field.layout.inSection}-${row}`;
+      const container = form.querySelector(`[id="frm_field_${id}_container"]`);
+      if (!container) return null;
+      const controls = [...container.querySelectorAll('[name^="item_meta["]')];
+      showError(container, field, row, controls, message);
+      return controls[0] || null;
+    };
+
+    return { validateFormFields, markField };
+  };
+
+  // Open any collapsed section around an element so its error is visible.
+  const expandSection = (el) => {
+    const content = el.closest('.frm_section_content[hidden]');
+    if (!content) return;
+    content.hidden = false;
+    content.closest('.frm_section_heading')?.querySelector('.frm_trigger')?.setAttribute('aria-expanded', 'true');
+    expandSection(content.parentElement);
+  };
+
+  // Collapsible sections: the heading button toggles its content.
+  const wireSections = (form) => {
+    form.addEventListener('click', (e) => {
+      const trigger = e.target.closest('.frm_section_heading .frm_trigger');
+      if (!trigger || !form.contains(trigger)) return;
+      const content = form.querySelector(`[id="${trigger.getAttribute('aria-controls')}"]`);
+      const expanded = trigger.getAttribute('aria-expanded') === 'true';
+      trigger.setAttribute('aria-expanded', String(!expanded));
+      if (content) content.hidden = expanded;
     });
   };
 
-  const validateFormFields = (formEl) => {
-    let isValid = true;
-    formEl.querySelectorAll('[data-reqmsg]').forEach(field => {
-      const val = field.value.trim();
-      const errorMsg = field.getAttribute('data-reqmsg');
-      if (!val) {
-        field.setAttribute('aria-invalid', 'true');
-        field.classList.add('invalid');
-        isValid = false;
+  // Repeatable sections: add rows from the section's <template>, remove and reorder them
+  // within the limits. onChange runs after every change (e.g. to re-apply logic).
+  const wireRepeaters = (form, fields, onChange) => {
+    const repeats = new Map(fields.filter(f => f.section?.repeat).map(f => [String(f.id), f.section.repeat]));
+    const rowsOf = (sectionEl) => [...sectionEl.querySelectorAll('.frm_repeat_rows > .frm_repeat_sec')];
+
+    const sync = (sectionEl) => {
+      const repeat = repeats.get(sectionEl.dataset.section);
+      const rows = rowsOf(sectionEl);
+      sectionEl.querySelectorAll('.frm_add_form_row').forEach(b => { b.disabled = !canAddRow(repeat, rows.length); });
+      rows.forEach((row, i) => {
+        row.querySelector('.frm_remove_form_row').disabled = !canRemoveRow(repeat, rows.length);
+        row.querySelector('.frm_move_up').disabled = i === 0;
+        row.querySelector('.frm_move_down').disabled = i === rows.length - 1;
+      });
+    };
+
+    form.querySelectorAll('.frm_repeat_section[data-section]').forEach(sectionEl => {
+      if (repeats.has(sectionEl.dataset.section)) sync(sectionEl);
+    });
+
+    form.addEventListener('click', (e) => {
+      const button = e.target.closest('.frm_add_form_row, .frm_remove_form_row, .frm_move_up, .frm_move_down');
+      const sectionEl = button?.closest('.frm_repeat_section[data-section]');
+      if (!sectionEl || !form.contains(sectionEl) || !repeats.has(sectionEl.dataset.section)) return;
+      e.preventDefault();
+      const repeat = repeats.get(sectionEl.dataset.section);
+      const rows = rowsOf(sectionEl);
+      const row = button.closest('.frm_repeat_sec');
+
+      if (button.classList.contains('frm_add_form_row')) {
+        if (!canAddRow(repeat, rows.length)) return;
+        const template = sectionEl.querySelector('.frm_repeat_template');
+        const key = nextRowKey(rows.map(r => r.dataset.row));
+        const fresh = htmlToElement(template.innerHTML.replaceAll(ROW_PLACEHOLDER, key));
+        sectionEl.querySelector('.frm_repeat_rows').appendChild(fresh);
+        fresh.querySelector('input:not([type="hidden"]), select, textarea')?.focus();
+      } else if (button.classList.contains('frm_remove_form_row')) {
+        if (!canRemoveRow(repeat, rows.length)) return;
+        row.remove();
+      } else if (button.classList.contains('frm_move_up')) {
+        row.previousElementSibling?.before(row);
       } else {
-        field.setAttribute('aria-invalid', 'false');
-        field.classList.remove('invalid');
+        row.nextElementSibling?.after(row);
       }
+      // row_ids[] follow DOM order, so Formidable saves the rows as displayed
+      sync(sectionEl);
+      onChange();
     });
-    return isValid;
   };
 
-  const handleSubmit = (form, fields) => {
-    form.addEventListener('submit', async (e) => {
+  // Page navigation for forms split by break fields; null for single-page forms.
+  const setupPagination = (form, pages, settings, validateFormFields) => {
+    const pageEls = [...form.querySelectorAll('.frm_page_break[data-page]')];
+    if (pageEls.length < 2) return null;
+
+    const hashPrefix = `#${form.id}-step-`;
+    const stepFromHash = () => (location.hash.startsWith(hashPrefix) ? clampPage(location.hash.slice(hashPrefix.length), pageEls.length) : 1);
+    let current = 0;
+
+    const show = (n, { updateHash = true } = {}) => {
+      current = clampPage(n, pageEls.length);
+      pageEls.forEach((el, i) => {
+        const active = i + 1 === current;
+        el.classList.toggle('frm_active_page', active);
+        if (settings.transition) el.classList.toggle(settings.transition, active);
+      });
+      const rootline = form.querySelector('.frm_rootline_group');
+      const fresh = htmlToElement(renderRootlineToString(pages, current, settings));
+      if (rootline && fresh) rootline.replaceWith(fresh);
+      if (updateHash && location.hash !== `${hashPrefix}${current}`) location.hash = `${hashPrefix}${current}`;
+    };
+
+    // Moving forward requires every page in between to validate; stop on the first that does not.
+    const goTo = async (n) => {
+      const target = clampPage(n, pageEls.length);
+      for (let i = current; i < target; i++) {
+        if (!(await validateFormFields(pageEls[i - 1]))) return show(i);
+      }
+      show(target);
+    };
+
+    form.addEventListener('click', (e) => {
+      const button = e.target.closest('.frm_next_page, .frm_prev_page');
+      if (!button || !form.contains(button)) return;
       e.preventDefault();
+      goTo(button.classList.contains('frm_next_page') ? current + 1 : current - 1);
+    });
+    window.addEventListener('hashchange', () => {
+      const step = stepFromHash();
+      if (step !== current) goTo(step);
+    });
+
+    show(1, { updateHash: false });
+    const initial = stepFromHash();
+    if (initial > 1) goTo(initial);
+
+    return {
+      isLastPage: () => current === pageEls.length,
+      next: () => goTo(current + 1),
+      goTo,
+      // Open the page holding an element, without validating the pages before it.
+      reveal: (el) => {
+        const page = pageEls.findIndex(pageEl => pageEl.contains(el));
+        if (page !== -1 && page + 1 !== current) show(page + 1);
+      },
+      // Jump to the first page that fails validation; true when every page is valid.
+      validateAll: async () => {
+        const results = await Promise.all(pageEls.map(el => validateFormFields(el)));
+        const invalid = results.indexOf(false);
+        if (invalid === -1) return true;
+        show(invalid + 1);
+        return false;
+      }
+    };
+  };
 
-      // Honeypot check
-      const honeypot = form.querySelector('input[name="item_meta[672]"]');
-      if (honeypot?.value.trim() !== '') return;
+  // Summary fields: rebuild the review from the current answers whenever they change.
+  // Edit links open the field's page and focus it. Returns the refresh function.
+  const wireSummaries = (form, fields, pagination = null) => {
+    const summaries = fields.filter(f => f.type === 'summary');
+    if (!summaries.length) return () => {};
+
+    const containerOf = (field, row) => form.querySelector(row === undefined
+      ? `[id="frm_field_${field.id}_container"]`
+      : `[id="frm_field_${field.id}-${field.layout.inSection}-${row}_container"]`);
+    const isHidden = (field, row) => !!containerOf(field, row)?.closest('[data-frm-hidden]');
+
+    const refresh = () => {
+      const meta = readItemMeta(new FormData(form));
+      summaries.forEach(summary => {
+        const items = summarize(fields, meta, { isHidden, exclude: summary.config.exclude_fields });
+        const el = form.querySelector(`[id="field_${summary.key}"]`);
+        const fresh = htmlToElement(renderSummaryToString(summary, items, { formKey }));
+        if (el && fresh) el.replaceWith(fresh);
+      });
+    };
 
-      if (!validateFormFields(form)) return;
+    form.addEventListener('input', refresh);
+    form.addEventListener('change', refresh);
+    form.addEventListener('click', async (e) => {
+      const link = e.target.closest('.frm_summary_edit');
+      if (!link || !form.contains(link)) return;
+      e.preventDefault();
+      const { field, row, page } = link.dataset;
+      if (pagination && page) await pagination.goTo(Number(page));
+      const target = fields.find(f => String(f.id) === field);
+      const prefix = row === undefined ? `item_meta[${field}]` : `item_meta[${target?.layout.inSection}][${row}][${field}]`;
+      form.querySelector(`[name^="${prefix}"]`)?.focus();
+    });
 
-      const data = new FormData(form);
-      const endpoint = `/wp-json/frm/v2/forms/${data.get('form_id')}/entries`;
+    refresh();
+    return refresh;
+  };
 
-      try {
-        const res = await fetch(endpoint, {
-          method: 'POST',
-          headers: { 'X-WP-Nonce': wpApiSettings?.nonce || '' },
-          body: data,
-          credentials: 'same-origin'
-        });
+  // Show a failed submission: mark each field the server rejected, list everything in a
+  // summary at the top of the form, and move focus to the first invalid field.
+  const showServerErrors = (form, { fieldErrors, formErrors }, markField, pagination) => {
+    form.querySelector(':scope > .frm_error_style')?.remove();
+    const marked = fieldErrors.map(({ field, row, message }) => markField(field, row, message)).filter(Boolean);
+    const summary = htmlToElement(renderErrorSummaryToString(formErrors, fieldErrors));
+    if (summary) form.prepend(summary);
+    const first = marked[0] || summary;
+    if (!first) return;
+    pagination?.reveal(first);
+    first.focus();
+  };
 
-        if (!res.ok) throw new Error('Submission failed');
-        const result = await res.json();
-        alert('Form submitted successfully!');
-        form.reset();
+  // Submission goes through FormidableSubmitHandler (form_submit_handler.js); this wires its
+  // lifecycle events to the renderer's error summary, the form's success settings
+  // (form_success.js) and ActiveCampaign forwarding.
+  const handleSubmit = (form, fields, validateFormFields, markField, pagination, entry, success, formName) => {
+    // Enter on an earlier page advances instead of submitting
+    const validate = async () => {
+      if (pagination && !pagination.isLastPage()) {
+        pagination.next();
+        return false;
+      }
+      return pagination ? pagination.validateAll() : validateFormFields(form);
+    };
 
-        await forwardToActiveCampaign(result);
-      } catch (err) {
-        console.error(err);
-        alert('Error submitting form.');
+    form.addEventListener(SUBMIT_EVENTS.error, (e) => {
+      if (e.detail.error) console.error(e.detail.error);
+      showServerErrors(form, parseServerErrors(e.detail.body, fields), markField, pagination);
+    });
+    let message = null;
+    form.addEventListener(SUBMIT_EVENTS.success, async (e) => {
+      form.querySelector(':scope > .frm_error_style')?.remove();
+      const outcome = successOutcome(success, {
+        entry: e.detail.result, fields, answers: readItemMeta(e.detail.formData), formName, href: location.href,
+      });
+      await forwardToActiveCampaign(e.detail.result); // before leaving the page
+      if (outcome.redirect) {
+        location.assign(outcome.redirect);
+        return;
       }
+
+      // Inline message: above the form when it stays (cleared, unless it edits an entry), in
+      // its place otherwise; focused so it is announced
+      message?.remove();
+      message = htmlToElement(renderFormMessageToString(outcome.message));
+      message.tabIndex = -1;
+      if (outcome.showForm) {
+        if (e.detail.formData.get('frm_action') !== 'update') form.reset();
+        form.prepend(message);
+      } else {
+        form.before(message);
+        form.hidden = true;
+      }
+      message.focus();
+    });
+
+    return new FormidableSubmitHandler(form, { formKey, hydrator: entryHydrator(), validate, honeypotSelector, entry: entryReference(entry) }).attach();
+  };
+
+  // Save Draft: add the link if the markup lacks it, confirm each save with draft_msg and a
+  // resume URL (also put in the address bar so a reload resumes), and drop the parameter
+  // once the entry is submitted.
+  const wireDrafts = (form, draft) => {
+    if (!draft.enabled) return;
+    const button = form.querySelector('.frm_button_submit');
+    if (button && !form.querySelector('.frm_save_draft')) button.insertAdjacentHTML('afterend', renderDraftLinkToString(draft));
+
+    const setResumeParam = (key) => {
+      const url = new URL(location.href);
+      if (key) url.searchParams.set(resumeParam, key);
+      else url.searchParams.delete(resumeParam);
+      history.replaceState(history.state, '', url);
+    };
+
+    form.addEventListener(SUBMIT_EVENTS.draft, (e) => {
+      const key = e.detail.entry?.key;
+      const url = key ? resumeUrl(location.href, key, resumeParam) : '';
+      form.querySelector(':scope > .frm_draft_msg')?.remove();
+      form.prepend(htmlToElement(renderDraftMessageToString(draft, url)));
+      if (key) setResumeParam(key);
+    });
+    form.addEventListener(SUBMIT_EVENTS.success, () => {
+      form.querySelector(':scope > .frm_draft_msg')?.remove();
+      setResumeParam(null);
     });
   };
 
+  // Local autosave (form_autosave.js), when `autosave` is set: offer to restore a saved
+  // copy, save on every change once the offer is answered, flush when the page is left and
+  // clear after a successful submit.
+  const wireAutosave = (form, fields, onRestore) => {
+    if (!autosave) return;
+    const store = createAutosave({ formKey, fields, ...(autosave === true ? {} : autosave) });
+    const saved = store.load();
+    let waiting = false; // don't overwrite the saved copy before the user has chosen
+
+    if (saved) {
+      const prompt = htmlToElement(renderAutosavePromptToString());
+      waiting = true;
+      form.prepend(prompt);
+      prompt.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.classList.contains('frm_autosave_restore')) {
+          fillControls(form, saved.meta);
+          onRestore();
+        } else {
+          store.clear();
+        }
+        prompt.remove();
+        waiting = false;
+      });
+    }
+
+    const save = () => {
+      if (!waiting) store.schedule(() => readItemMeta(new FormData(form)));
+    };
+    form.addEventListener('input', save);
+    form.addEventListener('change', save);
+    form.addEventListener(SUBMIT_EVENTS.success, () => store.clear());
+    window.addEventListener('pagehide', store.flush);
+  };
+
   const forwardToActiveCampaign = async (data) => {
     const payload = {
       email: data.email || '',
@@ -232,33 +700,270 @@ async function FormidableFormRendererEngine({ formKey, mountSelector, enableCapt
     }
   };
 
+  const appendHiddenInput = (form, name, value) => {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  };
+
+  // Adopt server-rendered markup: keep fields that match the payload, rebuild the rest in place.
+  // `editing` is the entry being edited (entryReference), whose action inputs replace the server's.
+  const adoptForm = (form, formData, fields, editing = null) => {
+    const standard = [...actionInputs(editing), ['form_id', formData.id], ['form_key', formKey]];
+    standard.forEach(([name, value]) => {
+      const input = form.querySelector(`input[name="${name}"]`);
+      if (!input) appendHiddenInput(form, name, value);
+      else if (editing) input.value = value;
+    });
+
+    const rebuilt = [];
+    const repeaters = new Set(fields.filter(f => f.section?.repeat).map(f => f.id));
+    const pages = splitPages(fields);
+    const placed = new Map(); // field id → its last element in the form (its confirmation, if any)
+
+    // A field the markup lacks goes into its page or section (form_adopt.js insertionPoint)
+    const insert = (field, el) => {
+      const { after, page, section } = insertionPoint(field, pages, placed);
+      const scope = section !== null
+        ? placed.get(section).querySelector('.frm_section_content')
+        : form.querySelector(`.frm_page_break[data-page="${page}"]`);
+      const hidden = [...form.querySelectorAll(':scope > input[type="hidden"]')].pop();
+      if (after !== null) placed.get(after).after(el);
+      else if (scope) scope.prepend(el);
+      else if (hidden) hidden.after(el);
+      else form.prepend(el);
+    };
+
+    fields.forEach(field => {
+      // Repeater rows are adopted as the server rendered them (row count varies per entry)
+      if (repeaters.has(field.layout.inSection)) return;
+      const existing = form.querySelector(`#frm_field_${field.id}_container`)
+        || (field.type === 'submit' ? form.querySelector('.frm_submit:not(.frm_page_nav)') : null);
+      // Sections are kept as long as the server rendered them; their children are checked on their own
+      if (field.type === 'divider' && existing?.matches(field.section.repeat ? '[data-section].frm_repeat_section' : '[data-section]')) {
+        placed.set(field.id, existing);
+        return;
+      }
+      let el = existing;
+      if (!existing || !fieldMarkupMatches(field, readFieldMarkup(existing))) {
+        el = buildField(field);
+        if (!el) return; // unknown type: leave whatever the server rendered
+        if (existing) existing.replaceWith(el);
+        else insert(field, el);
+        rebuilt.push(field.id);
+      }
+      const confirmation = form.querySelector(`#frm_field_conf_${field.id}_container`) || htmlToElement(renderConfirmationToString(field));
+      if (confirmation && !confirmation.isConnected) el.after(confirmation);
+      placed.set(field.id, confirmation || el);
+    });
+
+    if (rebuilt.length) console.warn('Formidable hydration: re-rendered fields that did not match the payload:', rebuilt);
+  };
+
+  // Calculated fields (form_calc.js): recompute whenever an answer changes. A changed
+  // result fires `change`, so logic and summaries that read it update as well.
+  const wireCalcs = (form, fields) => {
+    const plan = planCalcs(fields);
+    plan.errors.forEach(({ field, message }) => console.warn(`Formidable calc: skipped field ${field.id}: ${message}`));
+    plan.cycles.forEach(cycle => console.warn('Formidable calc: circular calculation between fields', cycle));
+    if (plan.blocked.length) console.warn('Formidable calc: skipped fields that read a circular calculation', plan.blocked);
+    if (!plan.steps.length) return () => {};
+
+    const recompute = () => {
+      const controls = [...form.querySelectorAll('[name^="item_meta["]')];
+      runCalcs(plan, fields, id => valueFromControls(controls, `item_meta[${id}]`)).forEach((value, id) => {
+        const control = form.querySelector(`[name="item_meta[${id}]"]`);
+        if (!control || control.value === value) return;
+        control.value = value;
+        control.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+    };
+
+    form.addEventListener('input', recompute);
+    form.addEventListener('change', recompute);
+    recompute();
+    return recompute;
+  };
+
+  // Everything interactive, shared by freshly rendered and adopted forms. `entry` is a
+  // resumed draft or the entry being edited (`edit` set); its answers are filled in before
+  // logic and calcs first run.
+  const wireForm = (form, fields, pages, { formData, settings, draft, entry = null, edit = null }) => {
+    // Server markup may still hold repeatable sections, which updates leave out (updatableFields);
+    // drafts keep them so they can still be finished
+    if (edit && !isDraft(entry)) form.querySelectorAll('.frm_repeat_section[data-section]').forEach(sectionEl => sectionEl.remove());
+    if (entry) {
+      const meta = entryToItemMeta(entry, fields);
+      fillControls(form, meta);
+      showFileReferences(form, fields, meta);
+    }
+    wireSections(form);
+    const recompute = wireCalcs(form, fields); // before logic, so rules see computed values
+    const evaluateLogic = applyConditionalLogic(form, fields);
+    const { validateFormFields, markField } = createValidator(form, fields);
+    const pagination = setupPagination(form, pages, settings, validateFormFields);
+    const refreshSummaries = wireSummaries(form, fields, pagination);
+    const refresh = () => {
+      recompute();
+      evaluateLogic();
+      refreshSummaries();
+    };
+    wireRepeaters(form, fields, refresh);
+    // An edited entry can still be saved as a draft while it is one; autosave is for new entries
+    if (!edit || Number(entry.is_draft)) wireDrafts(form, draft);
+    else form.querySelectorAll('.frm_button_submit').forEach(button => { button.textContent = edit.label; });
+    if (!edit) wireAutosave(form, fields, refresh);
+    const success = successSettings(formData, { editing: !!edit });
+    const rules = availabilitySettings(formData);
+    if (!edit && rules.singleEntry && rules.cookie) {
+      form.addEventListener(SUBMIT_EVENTS.success, () => { document.cookie = submittedCookie(formData.id, rules.cookieHours); });
+    }
+    handleSubmit(form, fields, validateFormFields, markField, pagination, entry, success, formData.name);
+  };
+
+  let ownHydrator = null;
+  const entryHydrator = () => hydrator || (ownHydrator ??= createHydrator({ wpNonce: globalThis.wpApiSettings?.nonce }));
+
+  // A draft from a resume URL, with its form; null (after a warning) when it cannot be loaded
+  // or is no longer a draft. Completed entries are only reopened through editEntry, which
+  // checks the edit permissions.
+  const resumeDraft = async (key) => {
+    try {
+      const loaded = await entryHydrator().hydrateEntry(formKey, key);
+      if (isDraft(loaded.entry)) return loaded;
+      console.warn(`Formidable entry "${key}" is not a draft and was not resumed.`);
+    } catch (err) {
+      console.warn(`Formidable draft "${key}" could not be resumed:`, err);
+    }
+    return null;
+  };
+
+  // The `user` option, else the logged-in user from wp/v2/users/me (null when logged out)
+  const currentUser = async () => (user === undefined ? entryHydrator().getCurrentUser() : user);
+
+  // Availability rules (form_availability.js) for a new entry. The user is only looked up
+  // for login-only forms; when that lookup fails the visitor is treated as logged out.
+  const checkAvailability = async (formData) => {
+    const rules = availabilitySettings(formData, { gmtOffset });
+    let who = null;
+    if (rules.loggedIn) {
+      try {
+        who = await currentUser();
+      } catch (err) {
+        console.warn('Formidable: the current user could not be loaded:', err);
+      }
+    }
+    return formAvailability(rules, { user: who, entryCount, submitted: hasSubmittedCookie(document.cookie, formData.id) });
+  };
+
+  // The entry to edit, with its form ({ loaded }), or the message to show instead
+  // ({ message }): denied when the user may not edit it (WordPress refusing the entry, 401
+  // or 403, counts as that), a load error when it cannot be loaded
+  const loadEditable = async (ref) => {
+    let loaded, who;
+    try {
+      loaded = await entryHydrator().hydrateEntry(formKey, ref);
+      who = await currentUser();
+    } catch (err) {
+      console.warn(`Formidable entry "${ref}" could not be loaded for editing:`, err);
+      return { message: err?.status === 401 || err?.status === 403 ? EDIT_DENIED_MESSAGE : EDIT_LOAD_ERROR_MESSAGE };
+    }
+    if (canEditEntry(editSettings(loaded.metadata), who, loaded.entry)) return { loaded };
+    console.warn(`Formidable entry "${ref}" cannot be edited by the current user.`);
+    return { message: EDIT_DENIED_MESSAGE };
+  };
+
   // Hydration sequence
   try {
-    const formId = await getFormIdFromKey(formKey);
-    const formData = await getFormMetadata(formId);
-    const fields = Object.values(await getFormFields(formId));
-
     const wrapper = document.querySelector(mountSelector);
     if (!wrapper) throw new Error('Mount element not found');
 
+    let formData, fields, entry = null, edit = null;
+    const editing = editEntry !== undefined && editEntry !== null && editEntry !== '';
+    const resumeKey = editing ? null : resumeKeyFromUrl(location.href, resumeParam);
+    const editable = editing ? await loadEditable(editEntry) : null;
+    if (editable?.message) {
+      wrapper.innerHTML = renderFormMessageToString(editable.message, 'error');
+      return;
+    }
+    const loaded = editing ? editable.loaded : (resumeKey ? await resumeDraft(resumeKey) : null);
+    if (loaded) {
+      formData = loaded.metadata;
+      entry = loaded.entry;
+      if (editing) edit = editSettings(formData);
+      fields = edit && !isDraft(entry) ? updatableFields(loaded.fields) : loaded.fields;
+    } else if (payload) {
+      formData = payload.metadata;
+      fields = normalizeFields(payload.fields ?? payload.fieldsRaw);
+    } else {
+      const formId = await getFormIdFromKey(formKey);
+      formData = await getFormMetadata(formId);
+      fields = normalizeFields(await getFormFields(formId));
+    }
+
+    // Editing goes by the edit permissions instead (form_edit.js)
+    const availability = edit ? { open: true } : await checkAvailability(formData);
+    if (!availability.open) {
+      wrapper.innerHTML = availability.reason === 'login'
+        ? renderLoginPromptToString(availability.message, loginLink(loginUrl, location.href))
+        : renderFormMessageToString(availability.message);
+      return;
+    }
+
+    const pages = splitPages(fields);
+    const settings = paginationSettings(formData);
+    const draft = draftSettings(formData);
+
+    const existingForm = mode === 'hydrate' ? wrapper.querySelector(`form[id="form_${formKey}"]`) : null;
+    const action = edit ? entryReference(entry) : null;
+    if (existingForm) {
+      adoptForm(existingForm, formData, fields, action);
+      wireForm(existingForm, fields, pages, { formData, settings, draft, entry, edit });
+      return;
+    }
+
     const form = document.createElement('form');
     form.method = 'post';
     form.className = 'frm-show-form headless-formidable';
     form.id = `form_${formKey}`;
 
     // Standard hidden fields
-    ['frm_action', 'form_id', 'form_key'].forEach(name => {
-      const input = document.createElement('input');
-      input.type = 'hidden';
-      input.name = name;
-      input.value = name === 'frm_action' ? 'create' : (name === 'form_id' ? formData.id : formKey);
-      form.appendChild(input);
+    actionInputs(action).forEach(([name, value]) => appendHiddenInput(form, name, value));
+    appendHiddenInput(form, 'form_id', formData.id);
+    appendHiddenInput(form, 'form_key', formKey);
+
+    // One container per page; a form without break fields renders flat
+    const pageEls = pages.map(page => {
+      if (pages.length < 2) return form;
+      const pageEl = document.createElement('div');
+      pageEl.className = 'frm_page_break';
+      pageEl.id = `frm_page_${formData.id}_${page.number}`;
+      pageEl.dataset.page = page.number;
+      form.appendChild(pageEl);
+      return pageEl;
     });
 
-    fields.forEach(field => {
+    // Section children go inside their divider's fieldset
+    const appendNodes = (parent, nodes) => nodes.forEach(({ field, children }) => {
+      if (field.section?.repeat) {
+        const rows = renderRepeaterToString(field, children.map(child => child.field), { customHtml });
+        parent.appendChild(htmlToElement(renderSectionToString(field, rows)));
+        return;
+      }
+      if (field.type === 'divider') {
+        const section = htmlToElement(renderSectionToString(field, ''));
+        appendNodes(section.querySelector('.frm_section_content'), children);
+        parent.appendChild(section);
+        return;
+      }
       const el = buildField(field);
-      if (el) form.appendChild(el);
+      if (el) parent.appendChild(el);
+      const confirmation = htmlToElement(renderConfirmationToString(field));
+      if (confirmation) parent.appendChild(confirmation);
     });
+    pages.forEach((page, i) => appendNodes(pageEls[i], nestSections(page.fields)));
 
     if (enableCaptcha) {
       const captcha = document.createElement('div');
@@ -266,20 +971,84 @@ async function FormidableFormRendererEngine({ formKey, mountSelector, enableCapt
       captcha.dataset.sitekey = '0x4AAAAAAAWYtWRiMaUVODel';
       captcha.dataset.size = 'normal';
       captcha.dataset.theme = 'light';
-      form.appendChild(captcha);
+      pageEls[pageEls.length - 1].appendChild(captcha);
+    }
+
+    if (pages.length > 1) {
+      pages.forEach((page, i) => {
+        const nav = htmlToElement(renderPageNavToString(pages, page.number, settings));
+        if (nav) pageEls[i].appendChild(nav);
+      });
+      const rootline = htmlToElement(renderRootlineToString(pages, 1, settings));
+      if (rootline) {
+        if (settings.position === 'below') form.appendChild(rootline);
+        else pageEls[0].before(rootline);
+      }
     }
 
     wrapper.innerHTML = '';
     wrapper.appendChild(form);
 
-    applyConditionalLogic(form, fields);
-    handleSubmit(form, fields);
+    wireForm(form, fields, pages, { formData, settings, draft, entry, edit });
 
   } catch (err) {
     console.error('Formidable hydration error:', err);
   }
 }
 
+// Parse a single-root HTML string (e.g. a custom_html field) into an element; null otherwise.
+function htmlToElement(html) {
+  if (!html) return null;
+  const template = document.createElement('template');
+  template.innerHTML = html.trim();
+  return template.content.childElementCount === 1 ? template.content.firstElementChild : null;
+}
+
+// Set controls from an item_meta object (form_drafts.js): checkboxes and radios are checked
+// when their value is listed, multi-selects select theirs, other controls take the value.
+// File inputs cannot be set from script and are left empty.
+function fillControls(form, meta) {
+  itemMetaToControls(meta).forEach((value, name) => {
+    const values = [].concat(value);
+    form.querySelectorAll(`[name="${name}"]`).forEach(control => {
+      if (control.type === 'file') return;
+      if (control.type === 'checkbox' || control.type === 'radio') control.checked = values.includes(control.value);
+      else if (control.multiple) [...control.options].forEach(option => { option.selected = values.includes(option.value); });
+      else control.value = values[0] ?? '';
+    });
+  });
+}
+
+// List the uploads an entry already has after each file input (form_edit.js). They post back
+// as hidden inputs until removed; choosing a new file replaces them in single-file fields.
+function showFileReferences(form, fields, meta) {
+  fields.filter(field => field.type === 'file' && meta[field.id] !== undefined).forEach(field => {
+    const input = form.querySelector(`input[type="file"][name^="item_meta[${field.id}]"]`);
+    const list = htmlToElement(renderFileReferencesToString(field, fileReferences(meta[field.id])));
+    if (!input || !list) return;
+    input.after(list);
+    list.addEventListener('click', (e) => {
+      const remove = e.target.closest('.frm_remove_link');
+      if (!remove) return;
+      remove.closest('.frm_uploaded_file').remove();
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    if (!field.validation.multiple) input.addEventListener('change', () => { if (input.files?.length) list.remove(); });
+  });
+}
+
+// Snapshot of a field container for fieldMarkupMatches (form_adopt.js)
+function readFieldMarkup(container) {
+  return {
+    controls: [...container.querySelectorAll('[name^="item_meta["]')].map(c => ({
+      name: c.name, type: c.type, id: c.id, value: c.value, required: c.getAttribute('aria-required') === 'true',
+    })),
+    ids: [...container.querySelectorAll('[id]')].map(el => el.id),
+    summaries: [...container.querySelectorAll('.frm_summary')].map(el => el.id),
+    submit: !!container.querySelector('button[type="submit"], input[type="submit"]'),
+  };
+}
+
 function renderAddressField(field, metaId) {
   const container = createContainer(field, metaId);
   const label = createLabel(field, metaId);
@@ -331,12 +1100,12 @@ function renderNumberField(field, metaId) {
   const input = document.createElement('input');
   input.type = 'number';
   input.name = `item_meta[${metaId}]`;
-  input.id = `field_${field.field_key}`;
-  input.min = field.field_options.minnum || '';
-  input.max = field.field_options.maxnum || '';
-  input.step = field.field_options.step || '1';
+  input.id = `field_${field.key}`;
+  input.min = field.validation.minnum || '';
+  input.max = field.validation.maxnum || '';
+  input.step = field.validation.step || '1';
   input.setAttribute('aria-invalid', false);
-  input.placeholder = field.field_options.placeholder || '';
+  input.placeholder = field.placeholder || '';
 
   container.appendChild(label);
   container.appendChild(input);
@@ -350,9 +1119,9 @@ function renderPasswordField(field, metaId) {
   const input = document.createElement('input');
   input.type = 'password';
   input.name = `item_meta[${metaId}]`;
-  input.id = `field_${field.field_key}`;
+  input.id = `field_${field.key}`;
   input.setAttribute('aria-invalid', false);
-  input.placeholder = field.field_options.placeholder || '';
+  input.placeholder = field.placeholder || '';
 
   container.appendChild(label);
   container.appendChild(input);
@@ -390,25 +1159,9 @@ function renderEmailField(field, metaId) {
   const input = document.createElement('input');
   input.type = 'email';
   input.name = `item_meta[${metaId}]`;
-  input.id = `field_${field.field_key}`;
-  input.setAttribute('aria-invalid', false);
-  input.placeholder = field.field_options.placeholder || '';
-
-  container.appendChild(label);
-  container.appendChild(input);
-  return container;
-}
-
-function renderPhoneField(field, metaId) {
-  const container = createContainer(field, metaId);
-  const label = createLabel(field, metaId);
-
-  const input = document.createElement('input');
-  input.type = 'tel';
-  input.name = `item_meta[${metaId}]`;
-  input.id = `field_${field.field_key}`;
+  input.id = `field_${field.key}`;
   input.setAttribute('aria-invalid', false);
-  input.placeholder = field.field_options.placeholder || '';
+  input.placeholder = field.placeholder || '';
 
   container.appendChild(label);
   container.appendChild(input);
@@ -422,9 +1175,9 @@ function renderPhoneField(field, metaId) {
   const input = document.createElement('input');
   input.type = 'tel';
   input.name = `item_meta[${metaId}]`;
-  input.id = `field_${field.field_key}`;
+  input.id = `field_${field.key}`;
   input.setAttribute('aria-invalid', false);
-  input.placeholder = field.field_options.placeholder || '';
+  input.placeholder = field.placeholder || '';
 
   container.appendChild(label);
   container.appendChild(input);
@@ -437,21 +1190,21 @@ function renderSelectField(field, metaId) {
 
   const select = document.createElement('select');
   select.name = `item_meta[${metaId}]`;
-  select.id = `field_${field.field_key}`;
+  select.id = `field_${field.key}`;
   select.setAttribute('aria-invalid', false);
   select.className = 'frm_select';
 
-  if (field.field_options.blank) {
+  if (field.messages.blank) {
     const blankOption = document.createElement('option');
     blankOption.value = '';
-    blankOption.textContent = field.field_options.blank;
+    blankOption.textContent = field.messages.blank;
     select.appendChild(blankOption);
   }
 
-  (field.options || []).forEach(opt => {
+  field.options.forEach(opt => {
     const option = document.createElement('option');
-    option.value = opt.value || opt;
-    option.textContent = opt.label || opt;
+    option.value = opt.value;
+    option.textContent = opt.label;
     select.appendChild(option);
   });
 
@@ -469,7 +1222,7 @@ function createContainer(field, metaId) {
 
 function createLabel(field, metaId) {
   const label = document.createElement('label');
-  label.setAttribute('for', `field_${field.field_key}`);
+  label.setAttribute('for', `field_${field.key}`);
   label.className = 'frm_primary_label';
   label.textContent = field.name || '';
   if (field.required) {
@@ -487,9 +1240,9 @@ function renderFileField(field, metaId) {
 
   const input = document.createElement('input');
   input.type = 'file';
-  input.name = `item_meta[${metaId}]${field.multiple ? '[]' : ''}`;
-  input.id = `field_${field.field_key}`;
-  if (field.multiple) input.multiple = true;
+  input.name = `item_meta[${metaId}]${field.validation.multiple ? '[]' : ''}`;
+  input.id = `field_${field.key}`;
+  if (field.validation.multiple) input.multiple = true;
   input.setAttribute('aria-invalid', false);
 
   container.appendChild(label);
@@ -503,11 +1256,11 @@ function renderRangeField(field, metaId) {
   const input = document.createElement('input');
   input.type = 'range';
   input.name = `item_meta[${metaId}]`;
-  input.id = `field_${field.field_key}`;
-  input.min = field.field_options.minnum || 0;
-  input.max = field.field_options.maxnum || 100;
-  input.step = field.field_options.step || 1;
-  input.value = field.default_value || 0;
+  input.id = `field_${field.key}`;
+  input.min = field.validation.minnum || 0;
+  input.max = field.validation.maxnum || 100;
+  input.step = field.validation.step || 1;
+  input.value = field.defaultValue || 0;
 
   container.appendChild(label);
   container.appendChild(input);
@@ -520,7 +1273,7 @@ function renderCheckboxField(field, metaId) {
   const inputWrapper = document.createElement('div');
   inputWrapper.className = 'frm_opt_container';
 
-  (field.options || []).forEach((opt, i) => {
+  field.options.forEach((opt, i) => {
     const checkboxId = `${metaId}-${i}`;
     const wrapper = document.createElement('div');
     wrapper.className = 'frm_checkbox';
@@ -529,12 +1282,12 @@ function renderCheckboxField(field, metaId) {
     input.type = 'checkbox';
     input.name = `item_meta[${metaId}][]`;
     input.id = checkboxId;
-    input.value = opt.value || opt;
+    input.value = opt.value;
     input.setAttribute('aria-invalid', false);
 
     const optLabel = document.createElement('label');
     optLabel.setAttribute('for', checkboxId);
-    optLabel.textContent = opt.label || opt;
+    optLabel.textContent = opt.label;
 
     wrapper.appendChild(input);
     wrapper.appendChild(optLabel);
@@ -552,7 +1305,7 @@ function renderRadioField(field, metaId) {
   const inputWrapper = document.createElement('div');
   inputWrapper.className = 'frm_opt_container';
 
-  (field.options || []).forEach((opt, i) => {
+  field.options.forEach((opt, i) => {
     const radioId = `${metaId}-${i}`;
     const wrapper = document.createElement('div');
     wrapper.className = 'frm_radio';
@@ -561,12 +1314,12 @@ function renderRadioField(field, metaId) {
     input.type = 'radio';
     input.name = `item_meta[${metaId}]`;
     input.id = radioId;
-    input.value = opt.value || opt;
+    input.value = opt.value;
     input.setAttribute('aria-invalid', false);
 
     const optLabel = document.createElement('label');
     optLabel.setAttribute('for', radioId);
-    optLabel.textContent = opt.label || opt;
+    optLabel.textContent = opt.label;
 
     wrapper.appendChild(input);
     wrapper.appendChild(optLabel);
@@ -642,7 +1395,7 @@ export function renderExtendedField(field, fieldId, fieldNameAttr) {
   if (field.description) {
     const desc = document.createElement("div");
     desc.className = "frm_description";
-    desc.id = `frm_desc_field_${field.field_key}`;
+    desc.id = `frm_desc_field_${field.key}`;
     desc.innerHTML = field.description;
     container.appendChild(desc);
   }
@@ -11,4 +11,32 @@ add_action('rest_api_init', function() {
     },
     'permission_callback' => '__return_true'
   ]);
-});
\ No newline at end of file
+
+  // Batch lookup used by FormHydrator::hydrateMany(): /form-ids?keys=a,b,c -> { "ids": { "a": 1, "b": 2 } }
+  // Unknown keys are omitted; the client resolves them one by one for a proper 404.
+  register_rest_route('custom/v1', '/form-ids', [
+    'methods' => 'GET',
+    'args' => [
+      'keys' => [
+        'required' => true,
+        'sanitize_callback' => function($value) {
+          $keys = array_map(function($key) {
+            return preg_replace('/[^a-zA-Z0-9_-]/', '', sanitize_text_field($key));
+          }, explode(',', (string) $value));
+          return array_slice(array_values(array_unique(array_filter($keys))), 0, 50);
+        },
+      ],
+    ],
+    'callback' => function($request) {
+      $ids = [];
+      foreach ($request['keys'] as $key) {
+        $id = FrmForm::get_id_by_key($key);
+        if (is_numeric($id)) {
+          $ids[$key] = (int) $id;
+        }
+      }
+      return ['ids' => (object) $ids];
+    },
+    'permission_callback' => '__return_true'
+  ]);
+});
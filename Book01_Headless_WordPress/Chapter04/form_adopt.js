@@ -0,0 +1,92 @@
+/**
+ * Adoption — reuse server-rendered markup
+ * =======================================
+ *
+ * In hydrate mode the DOM engine keeps the form that form_renderer_ssr.js (or WordPress)
+ * rendered and only rebuilds the fields whose markup disagrees with the payload:
+ *
+ *   fieldMarkupMatches   does a field's container hold the controls the payload describes
+ *                        (names, types, option values, id and required state)?
+ *   insertionPoint       where a rebuilt field goes when the markup has no container for it:
+ *                        after the nearest earlier field of its page and section, else at
+ *                        the start of that page (`.frm_page_break`) or section
+ *
+ * Pure data (no DOM): the engine reads each container into a FieldMarkup snapshot and
+ * moves the elements.
+ */
+
+import { fieldParts } from './form_renderer_ssr.js';
+
+/**
+ * @typedef {Object} MarkupControl
+ * @property {string} name
+ * @property {string} type      as the DOM reports it: 'text', 'checkbox', 'textarea', 'select-one'...
+ * @property {string} id
+ * @property {string} value
+ * @property {boolean} required aria-required="true"
+ */
+
+/**
+ * @typedef {Object} FieldMarkup
+ * @property {Array<MarkupControl>} controls  the container's item_meta controls
+ * @property {Array<string>} ids              ids of the elements in the container
+ * @property {Array<string>} summaries        ids of its .frm_summary elements
+ * @property {boolean} submit                 it has a submit button
+ */
+
+/**
+ * Does existing markup for a field agree with the payload?
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {FieldMarkup} markup
+ * @returns {boolean}
+ */
+export function fieldMarkupMatches(field, markup) {
+  if (field.type === 'submit') return markup.submit;
+  if (field.type === 'captcha') return markup.ids.includes(`field_${field.key}`);
+  if (field.type === 'summary') return markup.summaries.includes(`field_${field.key}`);
+
+  const base = `item_meta[${field.id}]`;
+  const parts = fieldParts(field);
+  if (parts.length) {
+    const names = markup.controls.filter((c) => c.name.startsWith(`${base}[`)).map((c) => c.name);
+    return names.length === parts.length && parts.every((part) => names.includes(`${base}[${part}]`));
+  }
+
+  const controls = markup.controls.filter((c) => c.name === base || c.name === `${base}[]`);
+  if (!controls.length) return false;
+
+  if (field.type === 'checkbox' || field.type === 'radio') {
+    const values = controls.map((c) => c.value);
+    const expected = field.options.map((opt) => opt.value);
+    return controls.every((c) => c.type === field.type)
+      && values.length === expected.length
+      && values.every((v, i) => v === expected[i]);
+  }
+
+  // Stored uploads add hidden inputs of the same name (renderFileReferencesToString)
+  const [control] = field.type === 'file' ? controls.filter((c) => c.type === 'file') : controls;
+  if (!control) return false;
+  if (field.type === 'textarea' && control.type !== 'textarea') return false;
+  if (['text', 'email', 'hidden', 'file'].includes(field.type) && control.type !== field.type) return false;
+  if (field.type === 'hidden') return true;
+  return control.id === `field_${field.key}` && control.required === field.required;
+}
+
+/**
+ * Where to insert a field the markup lacks. Fields go in their section when the section
+ * is in the form, else at the top level of their page.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {Array<import('./form_pages.js').FormPage>} pages splitPages() of the payload
+ * @param {Set<number>|Map<number, *>} placed ids of the fields already in the form
+ * @returns {{after:(number|null), page:number, section:(number|null)}}
+ *   after: id of the field to follow; null to start the page (or section)
+ */
+export function insertionPoint(field, pages, placed) {
+  const page = pages.find((p) => p.fields.some((f) => f.id === field.id)) ?? pages[0];
+  const scope = (f) => (f.layout.inSection && placed.has(f.layout.inSection) ? f.layout.inSection : null);
+  const section = scope(field);
+  const index = page.fields.findIndex((f) => f.id === field.id);
+  const before = page.fields.slice(0, index === -1 ? page.fields.length : index);
+  const previous = before.reverse().find((f) => placed.has(f.id) && scope(f) === section);
+  return { after: previous?.id ?? null, page: page.number, section };
+}
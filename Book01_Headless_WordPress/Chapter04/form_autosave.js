@@ -0,0 +1,154 @@
+/**
+ * Autosave — local crash recovery
+ * ===============================
+ *
+ * Opt-in copy of in-progress answers in local storage, so a crashed tab or an expired
+ * nonce does not lose what was typed. The renderer schedules a save on every change;
+ * saves are debounced and store the item_meta object (readItemMeta in form_summary.js).
+ *
+ *   storage key   frm_autosave:<form key>:<version>
+ *   record        { version, savedAt, meta }
+ *
+ * The version defaults to a fingerprint of the form's fields (formVersion), so answers
+ * saved for an older layout of the form are dropped instead of restored into the wrong
+ * fields. Records older than maxAgeMs are dropped too. Password, file and captcha answers
+ * (and password confirmations) are never written. The renderer clears the copy after a
+ * successful entries POST.
+ *
+ * Storage errors (quota, privacy modes) are swallowed: autosave never blocks the form.
+ * Pure data apart from the injected storage (localStorage by default) and timers.
+ */
+
+const PREFIX = 'frm_autosave:';
+
+// Never stored: secrets, uploads and one-time tokens
+const SKIP_TYPES = new Set(['password', 'file', 'captcha']);
+
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Fingerprint of the form's fields (ids, types, sections and option values); it changes
+ * whenever the form is edited in a way that moves answers.
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {string}
+ */
+export function formVersion(fields) {
+  const text = fields.map((f) => `${f.id}:${f.type}:${f.layout.inSection ?? ''}:${f.options.map((o) => o.value).join('|')}`).join(';');
+  let hash = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * An item_meta object without the answers that must not be stored: password, file and
+ * captcha fields, their confirmation inputs (`conf_<id>`), and the same fields inside
+ * repeater rows.
+ * @param {Object} meta readItemMeta result
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {Object}
+ */
+export function storableMeta(meta, fields) {
+  const skipped = new Set(fields.filter((f) => SKIP_TYPES.has(f.type)).map((f) => String(f.id)));
+  const keep = (key) => !skipped.has(String(key).replace(/^conf_/, ''));
+  const result = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (!keep(key)) continue;
+    const isRepeater = fields.some((f) => String(f.id) === key && f.section?.repeat);
+    if (!isRepeater || !value || typeof value !== 'object') {
+      result[key] = value;
+      continue;
+    }
+    // Repeater: { form, row_ids, <row>: { <child id>: value } }
+    result[key] = Object.fromEntries(Object.entries(value).map(([row, answers]) => (
+      row === 'form' || row === 'row_ids' || !answers || typeof answers !== 'object'
+        ? [row, answers]
+        : [row, Object.fromEntries(Object.entries(answers).filter(([id]) => keep(id)))]
+    )));
+  }
+  return result;
+}
+
+/**
+ * @typedef {Object} AutosaveRecord
+ * @property {string} version
+ * @property {number} savedAt   epoch ms
+ * @property {Object} meta      item_meta answers
+ */
+
+/**
+ * @typedef {Object} Autosave
+ * @property {string} key                               storage key
+ * @property {function(function():Object):void} schedule   save after the delay; the reader is
+ *   called when the save runs, so bursts of typing read the form once
+ * @property {function():void} flush                    run a scheduled save now
+ * @property {function():(AutosaveRecord|null)} load    the saved copy, or null
+ * @property {function():void} clear                    drop the saved copy and any scheduled save
+ */
+
+/**
+ * @param {{formKey:string, fields:Array<import('./form_hydrator_class_vanilla.js').FormField>, version?:string, delayMs?:number, maxAgeMs?:number, storage?:Storage, now?:function():number}} options
+ *   version: default formVersion(fields); delayMs: debounce (default 1000);
+ *   maxAgeMs: oldest record restored (default 7 days); storage: default localStorage
+ * @returns {Autosave}
+ */
+export function createAutosave({ formKey, fields, version = formVersion(fields), delayMs = 1000, maxAgeMs = DEFAULT_MAX_AGE_MS, storage = globalThis.localStorage, now = Date.now }) {
+  const key = `${PREFIX}${formKey}:${version}`;
+  let timer = null;
+  let pending = null;
+
+  const attempt = (fn, fallback = undefined) => {
+    try {
+      return storage ? fn() : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+
+  // Records of this form saved under another version can never be restored
+  const dropOtherVersions = () => attempt(() => {
+    const stale = [];
+    for (let i = 0; i < storage.length; i++) {
+      const k = storage.key(i);
+      if (k !== key && k?.startsWith(`${PREFIX}${formKey}:`)) stale.push(k);
+    }
+    stale.forEach((k) => storage.removeItem(k));
+  });
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    const read = pending;
+    pending = null;
+    const meta = storableMeta(read(), fields);
+    attempt(() => storage.setItem(key, JSON.stringify({ version, savedAt: now(), meta })));
+  };
+
+  return {
+    key,
+    schedule(read) {
+      pending = read;
+      clearTimeout(timer);
+      timer = setTimeout(flush, delayMs);
+    },
+    flush,
+    load() {
+      dropOtherVersions();
+      const record = attempt(() => JSON.parse(storage.getItem(key)), null);
+      if (!record || record.version !== version || !record.meta || typeof record.meta !== 'object' || !(now() - record.savedAt <= maxAgeMs)) {
+        if (record) attempt(() => storage.removeItem(key));
+        return null;
+      }
+      return record;
+    },
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+      attempt(() => storage.removeItem(key));
+    },
+  };
+}
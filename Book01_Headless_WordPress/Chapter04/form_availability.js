@@ -0,0 +1,155 @@
+/**
+ * Availability — may this visitor fill in the form?
+ * ================================================
+ *
+ * Formidable's form settings can close a form or limit who sees it. The renderer checks
+ * them before it shows the form and shows a message instead when one applies:
+ *   logged_in        login required; logged_in_role narrows it to roles (userHasRole
+ *                    rules, form_edit.js)                          → login prompt
+ *   open_status      'closed'; 'schedule' opens between open_date and close_date;
+ *                    'limit' closes once max_entries entries exist  → closed_msg
+ *   single_entry     one entry per visitor; the 'cookie' type is kept client-side in a
+ *                    cookie that lasts cookie_expiration hours      → already submitted
+ *
+ * Dates are 'YYYY-MM-DD HH:mm' in the site's time zone. Given the site's UTC offset
+ * (gmt_offset hours, from the /wp-json/ index) they are read in it; without one, in the
+ * browser's time zone.
+ * max_entries is server-only unless the caller supplies the entry count: Formidable's
+ * entries route needs entry-view rights, so visitors cannot count entries themselves. The
+ * 'user'/'ip' single-entry types need the server too, which stays the source of truth for
+ * every rule: these checks only spare visitors a form they cannot send.
+ *
+ * Pure data (no DOM); the DOM engine reads document.cookie and sets the cookie.
+ */
+
+import { userHasRole } from './form_edit.js';
+
+export const DEFAULT_CLOSED_MESSAGE = 'This form is currently closed for submissions.';
+export const LOGIN_MESSAGE = 'Please log in to fill out this form.';
+export const NO_PERMISSION_MESSAGE = 'You do not have permission to view this form.';
+export const ALREADY_SUBMITTED_MESSAGE = 'You have already submitted that form.';
+
+/**
+ * @typedef {Object} AvailabilitySettings
+ * @property {string} status            open_status
+ * @property {Date|null} openDate       open_date
+ * @property {Date|null} closeDate      close_date
+ * @property {string} closedMessage     closed_msg (HTML)
+ * @property {number|null} maxEntries   max_entries
+ * @property {boolean} singleEntry      single_entry
+ * @property {boolean} cookie           single_entry_type includes 'cookie'
+ * @property {number} cookieHours       cookie_expiration
+ * @property {boolean} loggedIn         logged_in
+ * @property {string|Array<string>} role  logged_in_role ('' any logged-in user)
+ */
+
+/**
+ * Read a Formidable date ('2020-04-14 08:02') in the site's time zone; null when empty or
+ * invalid.
+ * @param {string} value
+ * @param {number|string|null} [gmtOffset] the site's UTC offset in hours (gmt_offset, e.g.
+ *   -5 or 5.5); without one the date is read as local time
+ * @returns {Date|null}
+ */
+export function parseFormDate(value, gmtOffset = null) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const [y, m, d, hh, mm] = match.slice(1).map((part) => Number(part ?? 0));
+  const offset = gmtOffset === null || gmtOffset === '' ? NaN : Number(gmtOffset);
+  const date = Number.isFinite(offset)
+    ? new Date(Date.UTC(y, m - 1, d, hh, mm) - offset * 3_600_000)
+    : new Date(y, m - 1, d, hh, mm);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Availability options from the form metadata, with Formidable's defaults.
+ * @param {import('./form_hydrator_class_vanilla.js').FormMetadata} metadata
+ * @param {{gmtOffset?:number|string|null}} [site] the site's UTC offset in hours, for
+ *   open_date/close_date (else metadata.gmt_offset, else the browser's time zone)
+ * @returns {AvailabilitySettings}
+ */
+export function availabilitySettings(metadata, { gmtOffset = metadata?.gmt_offset ?? null } = {}) {
+  const o = metadata?.options || {};
+  const max = Number.parseInt(o.max_entries, 10);
+  const hours = Number(o.cookie_expiration);
+  return {
+    status: String(o.open_status ?? ''),
+    openDate: parseFormDate(o.open_date, gmtOffset),
+    closeDate: parseFormDate(o.close_date, gmtOffset),
+    closedMessage: o.closed_msg || DEFAULT_CLOSED_MESSAGE,
+    maxEntries: Number.isFinite(max) && max > 0 ? max : null,
+    singleEntry: !!Number(o.single_entry ?? metadata?.single_entry),
+    cookie: [].concat(o.single_entry_type ?? []).includes('cookie'),
+    cookieHours: Number.isFinite(hours) && hours > 0 ? hours : 8000,
+    loggedIn: !!Number(metadata?.logged_in ?? o.logged_in),
+    role: o.logged_in_role ?? '',
+  };
+}
+
+/**
+ * @typedef {Object} Availability
+ * @property {boolean} open
+ * @property {'login'|'role'|'closed'|'submitted'} [reason]
+ * @property {string} [message]   HTML to show instead of the form
+ */
+
+/**
+ * Evaluate the rules, in Formidable's order: login, open status, single entry.
+ * @param {AvailabilitySettings} settings
+ * @param {{now?:Date, user?:Object|null, entryCount?:number, submitted?:boolean}} [context]
+ *   user: wp/v2/users/me or null (needed for login-only forms); entryCount: entries so far,
+ *   when the caller knows it (without it max_entries is not checked); submitted: the single-entry cookie is set
+ * @returns {Availability}
+ */
+export function formAvailability(settings, { now = new Date(), user = null, entryCount, submitted = false } = {}) {
+  if (settings.loggedIn && !user) return { open: false, reason: 'login', message: LOGIN_MESSAGE };
+  if (settings.loggedIn && !userHasRole(user, settings.role)) return { open: false, reason: 'role', message: NO_PERMISSION_MESSAGE };
+
+  const closed = { open: false, reason: 'closed', message: settings.closedMessage };
+  if (settings.status === 'closed') return closed;
+  if (settings.status.includes('schedule')) {
+    if (settings.openDate && now < settings.openDate) return closed;
+    if (settings.closeDate && now >= settings.closeDate) return closed;
+  }
+  if (settings.status.includes('limit') && settings.maxEntries && Number.isFinite(entryCount) && entryCount >= settings.maxEntries) return closed;
+
+  if (settings.singleEntry && settings.cookie && submitted) return { open: false, reason: 'submitted', message: ALREADY_SUBMITTED_MESSAGE };
+  return { open: true };
+}
+
+/** Name of the cookie that marks a single-entry form as submitted. */
+export const submittedCookieName = (formId) => `frm_form${formId}_submitted`;
+
+/**
+ * Is the single-entry cookie of this form set?
+ * @param {string} cookies document.cookie
+ * @param {number|string} formId
+ * @returns {boolean}
+ */
+export function hasSubmittedCookie(cookies, formId) {
+  const name = submittedCookieName(formId);
+  return String(cookies ?? '').split(';').some((pair) => pair.trim().startsWith(`${name}=`));
+}
+
+/**
+ * The document.cookie assignment that marks the form as submitted for `hours`.
+ * @param {number|string} formId
+ * @param {number} hours cookie_expiration
+ * @returns {string}
+ */
+export function submittedCookie(formId, hours) {
+  return `${submittedCookieName(formId)}=1; max-age=${Math.round(hours * 3600)}; path=/; SameSite=Lax`;
+}
+
+/**
+ * The login URL with a redirect back to the form.
+ * @param {string} loginUrl e.g. '/wp-login.php'
+ * @param {string} href current page URL
+ * @returns {string}
+ */
+export function loginLink(loginUrl, href) {
+  const url = new URL(loginUrl, href);
+  url.searchParams.set('redirect_to', href);
+  return url.toString();
+}
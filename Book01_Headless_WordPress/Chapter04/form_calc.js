@@ -0,0 +1,268 @@
+/**
+ * Calculated fields — expression engine
+ * =====================================
+ *
+ * Formidable fields can carry a calculation in field_options (calc, calc_type, calc_dec),
+ * normalized to FormField.calc. References to other fields are written `[12]` (id) or
+ * `[field_key]`; attributes such as `[12 show=value]` are ignored.
+ *
+ *   math (calc_type '')  numbers, + - * / %, parentheses, unary minus and the functions
+ *                        abs ceil floor round min max pow sqrt (also as Math.round, ...).
+ *                        Checkbox answers sum their checked values; empty answers are 0.
+ *   text (calc_type 'text')  the template with each reference replaced by the answer.
+ *
+ * Expressions are tokenized and parsed here into a small tree. Nothing is passed to
+ * eval or Function, so an expression can only do arithmetic on field values.
+ *
+ * planCalcs() compiles every calc field once and orders them so a calc that reads another
+ * calc runs after it; fields that reference each other in a cycle, and calcs that read one
+ * of them, are reported and skipped.
+ * runCalcs() then computes the formatted values for the current answers. Results round to
+ * calc_dec (or the currency's decimals) and use the field's currency symbols and separators.
+ *
+ * Pure data (no DOM), used by the DOM engine.
+ */
+
+const FUNCTIONS = {
+  abs: Math.abs, ceil: Math.ceil, floor: Math.floor, round: Math.round,
+  min: Math.min, max: Math.max, pow: Math.pow, sqrt: Math.sqrt,
+};
+
+const REFERENCE = /\[([^\]\s]+)(?:\s[^\]]*)?\]/g;
+
+// -----------------------------------
+// Parsing
+// -----------------------------------
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|\[([^\]\s]+)(?:\s[^\]]*)?\]|((?:Math\.)?[a-z]+)|([-+*/%(),]))/giy;
+  let match;
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    if (!(match = pattern.exec(expression))) {
+      if (!expression.slice(start).trim()) break;
+      throw new SyntaxError(`Unexpected "${expression.slice(start).trim()[0]}" in calculation`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'num', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'ref', ref: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'name', name: match[3].replace(/^Math\./i, '').toLowerCase() });
+    else if (match[4] !== undefined) tokens.push({ type: 'op', op: match[4] });
+  }
+  return tokens;
+}
+
+// Recursive descent: expr = term (+|- term)*, term = unary (*|/|% unary)*, unary = -unary | primary
+function parse(tokens) {
+  let i = 0;
+  const peek = (op) => tokens[i]?.type === 'op' && tokens[i].op === op;
+  const expect = (op) => {
+    if (!peek(op)) throw new SyntaxError(`Expected "${op}" in calculation`);
+    i++;
+  };
+
+  const primary = () => {
+    const token = tokens[i++];
+    if (!token) throw new SyntaxError('Unexpected end of calculation');
+    if (token.type === 'num' || token.type === 'ref') return token;
+    if (token.type === 'name') {
+      if (!Object.hasOwn(FUNCTIONS, token.name)) throw new SyntaxError(`Unknown function "${token.name}" in calculation`);
+      expect('(');
+      const args = [];
+      if (!peek(')')) {
+        args.push(expression());
+        while (peek(',')) {
+          i++;
+          args.push(expression());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.name, args };
+    }
+    if (token.op === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    throw new SyntaxError(`Unexpected "${token.op}" in calculation`);
+  };
+  const unary = () => {
+    if (peek('-') || peek('+')) return { type: 'unary', op: tokens[i++].op, arg: unary() };
+    return primary();
+  };
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (ops.some(peek)) left = { type: 'binary', op: tokens[i++].op, left, right: next() };
+    return left;
+  };
+  const term = binary(unary, ['*', '/', '%']);
+  const expression = binary(term, ['+', '-']);
+
+  const tree = expression();
+  if (i < tokens.length) throw new SyntaxError('Unexpected text after calculation');
+  return tree;
+}
+
+function evaluate(node, numberOf) {
+  switch (node.type) {
+    case 'num': return node.value;
+    case 'ref': return numberOf(node.ref);
+    case 'unary': return node.op === '-' ? -evaluate(node.arg, numberOf) : evaluate(node.arg, numberOf);
+    case 'call': return FUNCTIONS[node.name](...node.args.map((arg) => evaluate(arg, numberOf)));
+    default: {
+      const a = evaluate(node.left, numberOf);
+      const b = evaluate(node.right, numberOf);
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      if (node.op === '/') return a / b;
+      return a % b;
+    }
+  }
+}
+
+// -----------------------------------
+// Numbers and formatting
+// -----------------------------------
+
+/**
+ * Read a number from an answer, honoring the field's currency separators and symbols
+ * ("$1,234.50" → 1234.5). Arrays (checkbox groups) sum; empty or non-numeric input is 0.
+ * @param {string|Array<string>|number} raw
+ * @param {import('./form_hydrator_class_vanilla.js').FieldCurrency|null} [currency]
+ * @returns {number}
+ */
+export function parseNumber(raw, currency = null) {
+  if (Array.isArray(raw)) return raw.reduce((sum, v) => sum + parseNumber(v, currency), 0);
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : 0;
+  let text = String(raw ?? '');
+  if (currency) {
+    if (currency.thousandSeparator) text = text.split(currency.thousandSeparator).join('');
+    if (currency.decimalSeparator && currency.decimalSeparator !== '.') text = text.replace(currency.decimalSeparator, '.');
+  }
+  const value = parseFloat(text.replace(/[^\d.eE+-]/g, ''));
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Format a calculated number for a field: round to calc_dec (or the currency decimals),
+ * then apply the currency's separators and symbols. Number/range inputs get a plain
+ * number they can hold. Non-finite results (e.g. division by zero) format as ''.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatCalcValue(field, value) {
+  if (!Number.isFinite(value)) return '';
+  const currency = field.currency;
+  const decimals = field.calc?.decimals ?? currency?.decimals;
+  const fixed = decimals === undefined ? String(Number(value.toPrecision(15))) : value.toFixed(decimals);
+  if (!currency || field.type === 'number' || field.type === 'range') return fixed;
+
+  const negative = fixed.startsWith('-');
+  const [whole, fraction] = fixed.replace('-', '').split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, currency.thousandSeparator);
+  const number = fraction === undefined ? grouped : `${grouped}${currency.decimalSeparator}${fraction}`;
+  return `${negative ? '-' : ''}${currency.symbolLeft}${number}${currency.symbolRight}`;
+}
+
+// -----------------------------------
+// Planning and running
+// -----------------------------------
+
+/**
+ * @typedef {Object} CalcPlan
+ * @property {Array<{field:import('./form_hydrator_class_vanilla.js').FormField, deps:Array<number>, run:function(function(number):number, function(number):string):string}>} steps
+ *   calc fields in dependency order
+ * @property {Array<Array<number>>} cycles   ids of fields that reference each other (skipped)
+ * @property {Array<number>} blocked         ids of calcs that read a field in a cycle (skipped)
+ * @property {Array<{field:import('./form_hydrator_class_vanilla.js').FormField, message:string}>} errors
+ *   calc fields whose expression does not parse (skipped)
+ */
+
+/**
+ * Compile every calc field and order them by dependency.
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {CalcPlan}
+ */
+export function planCalcs(fields) {
+  const idOf = new Map();
+  fields.forEach((f) => {
+    idOf.set(String(f.id), f.id);
+    if (f.key) idOf.set(f.key, f.id);
+  });
+  const resolve = (ref) => idOf.get(ref);
+
+  const compiled = new Map();
+  const errors = [];
+  for (const field of fields) {
+    if (!field.calc) continue;
+    const { expression } = field.calc;
+    try {
+      if (field.calc.type === 'text') {
+        const deps = [...expression.matchAll(REFERENCE)].map((m) => resolve(m[1])).filter((id) => id !== undefined);
+        const run = (numberOf, textOf) => expression.replace(REFERENCE, (match, ref) => (resolve(ref) === undefined ? match : textOf(resolve(ref))));
+        compiled.set(field.id, { field, deps, run });
+      } else {
+        const tree = parse(tokenize(expression));
+        const deps = [];
+        const collect = (node) => {
+          if (node.type === 'ref' && resolve(node.ref) !== undefined) deps.push(resolve(node.ref));
+          [node.arg, node.left, node.right, ...(node.args || [])].filter(Boolean).forEach(collect);
+        };
+        collect(tree);
+        const run = (numberOf) => formatCalcValue(field, evaluate(tree, (ref) => (resolve(ref) === undefined ? 0 : numberOf(resolve(ref)))));
+        compiled.set(field.id, { field, deps, run });
+      }
+    } catch (err) {
+      errors.push({ field, message: err.message });
+    }
+  }
+
+  // Depth-first topological sort; a back edge marks every field on the path as a cycle
+  const steps = [];
+  const cycles = [];
+  const blocked = [];
+  const state = new Map(); // id → 'visiting' | 'done' | 'cycle'
+  const visit = (id, path) => {
+    const step = compiled.get(id);
+    if (!step || state.get(id) === 'done' || state.get(id) === 'cycle') return state.get(id) !== 'cycle';
+    if (state.get(id) === 'visiting') {
+      const cycle = path.slice(path.indexOf(id));
+      cycle.forEach((member) => state.set(member, 'cycle'));
+      cycles.push(cycle);
+      return false;
+    }
+    state.set(id, 'visiting');
+    const ok = step.deps.map((dep) => visit(dep, [...path, id])).every(Boolean);
+    if (state.get(id) === 'cycle') return false;
+    state.set(id, ok ? 'done' : 'cycle');
+    if (ok) steps.push(step);
+    else blocked.push(id);
+    return ok;
+  };
+  compiled.forEach((_, id) => visit(id, []));
+
+  return { steps, cycles, blocked, errors };
+}
+
+/**
+ * Compute every calc field for the current answers, in plan order; later calcs read the
+ * results of earlier ones.
+ * @param {CalcPlan} plan
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @param {function(number):(string|Array<string>)} readValue current answer by field id
+ * @returns {Map<number, string>} formatted value by calc field id
+ */
+export function runCalcs(plan, fields, readValue) {
+  const byId = new Map(fields.map((f) => [f.id, f]));
+  const results = new Map();
+  const raw = (id) => (results.has(id) ? results.get(id) : readValue(id));
+  const numberOf = (id) => parseNumber(raw(id), byId.get(id)?.currency);
+  const textOf = (id) => {
+    const value = raw(id);
+    return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+  };
+  plan.steps.forEach((step) => results.set(step.field.id, step.run(numberOf, textOf)));
+  return results;
+}
@@ -0,0 +1,127 @@
+/**
+ * Drafts — save and resume
+ * ========================
+ *
+ * Formidable forms with `save_draft` on show a "Save Draft" link (draft_label) next to the
+ * submit button. Saving posts the answers without validation as a draft entry and shows
+ * draft_msg. The first save creates the entry; the returned id and item_key are kept so
+ * later saves, and the final submit, update that entry instead of creating another.
+ *
+ * A resume URL carries the draft's item_key (`?frm_resume=<key>`). Opening it hydrates
+ * the form together with the entry (FormHydrator.hydrateEntry) and fills in its answers;
+ * a key of a completed entry (isDraft false) is ignored and the form starts blank.
+ *
+ * Pure data (no DOM), shared by form_renderer_ssr.js, form_submit_handler.js and the DOM engine.
+ */
+
+export const RESUME_PARAM = 'frm_resume';
+
+// Sent with a draft save: Formidable's entry flag and its form-submit equivalent
+export const DRAFT_FLAGS = { is_draft: '1', frm_saving_draft: '1' };
+
+/**
+ * @typedef {Object} DraftSettings
+ * @property {boolean} enabled   save_draft
+ * @property {string} label      draft_label
+ * @property {string} message    draft_msg
+ */
+
+/**
+ * Draft options from the form metadata, with Formidable's defaults.
+ * @param {import('./form_hydrator_class_vanilla.js').FormMetadata} metadata
+ * @returns {DraftSettings}
+ */
+export function draftSettings(metadata) {
+  const o = metadata?.options || {};
+  return {
+    enabled: !!Number(o.save_draft),
+    label: o.draft_label || 'Save Draft',
+    message: o.draft_msg || 'Your draft has been saved.',
+  };
+}
+
+/**
+ * The id and item_key of an entry from an entries response; null when it has neither.
+ * @param {*} body
+ * @returns {{id:(number|null), key:(string|null)}|null}
+ */
+export function entryReference(body) {
+  if (!body || typeof body !== 'object') return null;
+  const id = body.id === undefined || body.id === null || body.id === '' ? NaN : Number(body.id);
+  const key = body.item_key ?? null;
+  if (!Number.isFinite(id) && !key) return null;
+  return { id: Number.isFinite(id) ? id : null, key: key === null ? null : String(key) };
+}
+
+/**
+ * Is this entry (entries API response) still a draft? Only drafts may be resumed.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isDraft(entry) {
+  return Number(entry?.is_draft) === 1;
+}
+
+/**
+ * A URL that reopens the form with this draft: `href` with the resume parameter set.
+ * @param {string} href current page URL
+ * @param {string} key draft item_key
+ * @param {string} [param] default RESUME_PARAM
+ * @returns {string}
+ */
+export function resumeUrl(href, key, param = RESUME_PARAM) {
+  const url = new URL(href);
+  url.searchParams.set(param, key);
+  return url.toString();
+}
+
+/**
+ * The draft key in a resume URL, or null.
+ * @param {string} href
+ * @param {string} [param] default RESUME_PARAM
+ * @returns {string|null}
+ */
+export function resumeKeyFromUrl(href, param = RESUME_PARAM) {
+  return new URL(href).searchParams.get(param) || null;
+}
+
+/**
+ * The answers of an entry as an item_meta object (the shape readItemMeta builds from a
+ * form), keyed by field id. The entries API keys `meta` by field key; numeric ids are
+ * accepted too. Checkbox and multi-select answers are always arrays. Fields inside
+ * repeatable sections are stored in child entries and are left out.
+ * @param {Object} entry entries API response
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {Object}
+ */
+export function entryToItemMeta(entry, fields) {
+  const meta = entry?.meta || {};
+  const repeaters = new Set(fields.filter((f) => f.section?.repeat).map((f) => f.id));
+  const values = {};
+  for (const field of fields) {
+    if (repeaters.has(field.id) || repeaters.has(field.layout.inSection)) continue;
+    const value = meta[field.key] ?? meta[field.id];
+    if (value === undefined || value === null) continue;
+    // Checkbox groups and multi-selects post as item_meta[id][], even with one value
+    const listed = field.type === 'checkbox' || (field.type === 'select' && field.validation.multiple);
+    values[field.id] = listed && !Array.isArray(value) ? (value === '' ? [] : [value]) : value;
+  }
+  return values;
+}
+
+/**
+ * Flatten an item_meta object back into control names: `item_meta[12]` → '...',
+ * `item_meta[5][first]` → '...', checkbox arrays → `item_meta[7][]` → [...].
+ * @param {Object} meta
+ * @returns {Map<string, (string|Array<string>)>}
+ */
+export function itemMetaToControls(meta) {
+  const controls = new Map();
+  const walk = (name, value) => {
+    if (Array.isArray(value)) controls.set(`${name}[]`, value.map((v) => String(v ?? '')));
+    else if (value && typeof value === 'object') Object.entries(value).forEach(([k, v]) => walk(`${name}[${k}]`, v));
+    else controls.set(name, String(value ?? ''));
+  };
+  Object.entries(meta).forEach(([id, value]) => walk(`item_meta[${id}]`, value));
+  return controls;
+}
@@ -0,0 +1,144 @@
+/**
+ * Editing — update an existing entry
+ * ==================================
+ *
+ * A form rendered for an entry (by id or item_key) shows that entry's answers and submits
+ * as an update: hidden frm_action=update with the entry's id and item_key, posted to
+ * /wp-json/frm/v2/entries/<id>. The submit button says edit_value and a successful update
+ * shows edit_msg.
+ *
+ * Formidable only lets users edit entries of forms marked `editable`:
+ *   own entries      the user needs editable_role
+ *   other entries    the user needs open_editable_role ('-1': nobody)
+ * A role of '' means any logged-in user; a named role also admits the roles above it
+ * (administrator > editor > author > contributor > subscriber), as in Formidable. These
+ * checks only decide what the page shows; WordPress enforces the real permissions. A user
+ * without them sees EDIT_DENIED_MESSAGE; an entry that cannot be loaded (network error, no
+ * such entry) shows EDIT_LOAD_ERROR_MESSAGE instead.
+ *
+ * File fields cannot be pre-filled (browsers do not let script set a file input), so the
+ * stored uploads are listed as references (fileReferences) that post back unless removed.
+ * Repeatable sections are left out of an update (updatableFields): their rows are child
+ * entries that the entry response does not include, so the form could only post empty rows.
+ *
+ * Pure data (no DOM), shared by form_renderer_ssr.js and the DOM engine.
+ */
+
+export const EDIT_DENIED_MESSAGE = 'You do not have permission to edit this entry.';
+export const EDIT_LOAD_ERROR_MESSAGE = 'This entry could not be loaded. Please try again later.';
+
+// Formidable's role order, highest first
+const ROLE_LADDER = ['administrator', 'editor', 'author', 'contributor', 'subscriber'];
+
+/**
+ * @typedef {Object} EditSettings
+ * @property {boolean} enabled       editable
+ * @property {string|Array<string>} role        editable_role (own entries)
+ * @property {string|Array<string>} othersRole  open_editable_role (other users' entries)
+ * @property {string} label          edit_value
+ * @property {string} message        edit_msg
+ */
+
+/**
+ * Editing options from the form metadata, with Formidable's defaults.
+ * @param {import('./form_hydrator_class_vanilla.js').FormMetadata} metadata
+ * @returns {EditSettings}
+ */
+export function editSettings(metadata) {
+  const o = metadata?.options || {};
+  return {
+    enabled: !!Number(metadata?.editable),
+    role: o.editable_role ?? '',
+    othersRole: o.open_editable_role ?? '-1',
+    label: o.edit_value || 'Update',
+    message: o.edit_msg || 'Your submission was successfully saved.',
+  };
+}
+
+/**
+ * Does the user have one of the needed roles, by Formidable's rules ('-1' nobody, ''
+ * any logged-in user, a named role or one above it)?
+ * @param {{roles?:Array<string>}|null} user wp/v2/users/me (context=edit); null when logged out
+ * @param {string|Array<string>} needed
+ * @returns {boolean}
+ */
+export function userHasRole(user, needed) {
+  if (!user) return false;
+  const roles = user.roles || [];
+  const list = Array.isArray(needed) && needed.length ? needed : [Array.isArray(needed) ? '' : (needed ?? '')];
+  return list.some((role) => {
+    if (String(role) === '-1') return false;
+    if (role === '' || roles.includes(role)) return true;
+    const rank = ROLE_LADDER.indexOf(role);
+    return rank !== -1 && roles.some((r) => ROLE_LADDER.indexOf(r) !== -1 && ROLE_LADDER.indexOf(r) <= rank);
+  });
+}
+
+/**
+ * May this user edit this entry? Own entries (user_id) need editable_role, others
+ * open_editable_role; nobody may edit entries of a form that is not editable.
+ * @param {EditSettings} settings
+ * @param {{id:(number|string), roles?:Array<string>}|null} user
+ * @param {Object} entry entries API response
+ * @returns {boolean}
+ */
+export function canEditEntry(settings, user, entry) {
+  if (!settings.enabled || !user || !entry) return false;
+  const own = entry.user_id !== undefined && entry.user_id !== null && String(entry.user_id) === String(user.id);
+  return userHasRole(user, own ? settings.role : settings.othersRole);
+}
+
+/**
+ * The hidden inputs that say what a submit does: create an entry, or update `entry`.
+ * @param {{id:(number|null), key:(string|null)}|null} [entry] entryReference() of the entry being edited
+ * @returns {Array<[string, string]>} name/value pairs
+ */
+export function actionInputs(entry) {
+  if (!entry) return [['frm_action', 'create']];
+  return [['frm_action', 'update'], ['id', String(entry.id ?? '')], ['item_key', String(entry.key ?? '')]];
+}
+
+/**
+ * The fields a form for an existing entry shows: all but repeatable sections and their
+ * children, which would otherwise post empty rows over the saved ones.
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {Array<import('./form_hydrator_class_vanilla.js').FormField>}
+ */
+export function updatableFields(fields) {
+  const repeaters = new Set(fields.filter((f) => f.section?.repeat).map((f) => f.id));
+  return fields.filter((f) => !repeaters.has(f.id) && !repeaters.has(f.layout.inSection));
+}
+
+/**
+ * @typedef {Object} FileReference
+ * @property {string} value      what posts back: the media id, or the URL when only that is stored
+ * @property {string|null} url
+ * @property {string} name       file name from the URL, else "File <id>"
+ */
+
+/**
+ * The uploads stored in a file field's answer: media ids, URLs, or { id, url } objects,
+ * one or a list.
+ * @param {*} value entry meta value
+ * @returns {Array<FileReference>}
+ */
+export function fileReferences(value) {
+  return [].concat(value ?? []).flatMap((item) => {
+    if (item === null || item === undefined || item === '') return [];
+    const id = typeof item === 'object' ? item.id : (/^\d+$/.test(String(item)) ? item : null);
+    const url = typeof item === 'object' ? (item.url ?? null) : (id === null ? String(item) : null);
+    if ((id === null || id === undefined) && !url) return [];
+    const name = url ? fileName(url) : `File ${id}`;
+    return [{ value: String(id ?? url), url, name }];
+  });
+}
+
+// Last path segment of a URL, decoded; kept as is when it is not valid percent-encoding ("100%.pdf")
+function fileName(url) {
+  const segment = url.split(/[?#]/)[0].split('/').pop() || url;
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
@@ -0,0 +1,391 @@
+/**
+ * FormHydrator Persistent Cache Adapters (Vanilla JS, ES Module)
+ * ==============================================================
+ *
+ * Author: Headless WordPress, Formidable Power, 2nd ed.
+ * License: MIT
+ * Since: 2025-08-09
+ * @see form_hydrator_class_vanilla.js (CacheLike contract)
+ * @see Headless WordPress, Formidable Power, 2nd ed., Chapter 4
+ *
+ * Purpose
+ * -------
+ * The in-memory SimpleTTLCache forgets everything on navigation, so every page load
+ * refetches the idByKey, metadata and fields routes. These adapters implement the same
+ * CacheLike contract ({ get, set, delete }) on top of browser storage, so returning
+ * visitors get their forms back instantly through the existing ETag/304 path:
+ *
+ *   - IndexedDBCache      async, large quota, preferred
+ *   - LocalStorageCache   sync, ~5 MB quota, used when IndexedDB is missing or fails to open
+ *   - createPersistentCache()  picks the best available adapter (or undefined -> in-memory)
+ *
+ * Both adapters share the same policy:
+ *   - Versioned namespaces: keys live under `${namespace}:v${version}:`; bumping `version`
+ *     (e.g., after a field-model change) discards entries written by older versions.
+ *   - Size limits: `maxEntries` and `maxBytes` (approximate, JSON length); least recently
+ *     used entries are evicted first.
+ *   - Quota errors never reach the caller: the adapter evicts and retries, then gives up
+ *     quietly (logged) so hydration still succeeds from the network.
+ *
+ * Usage
+ * -----
+ *   import { FormHydrator } from './form_hydrator_class_vanilla.js';
+ *   import { createPersistentCache } from './form_hydrator_cache_adapters.js';
+ *
+ *   const hydrator = new FormHydrator({
+ *     cache: createPersistentCache({ namespace: 'frm-hydrator', version: 3, maxEntries: 150 }),
+ *   });
+ */
+
+/** @typedef {{debug:Function, info:Function, warn:Function, error:Function}} LoggerLike */
+const NoopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * @typedef {Object} PersistentCacheOptions
+ * @property {string} [namespace='frm-hydrator']
+ * @property {number} [version=1]
+ * @property {number} [maxEntries=200]
+ * @property {number} [maxBytes=2000000] Approximate; measured as serialized JSON length
+ * @property {LoggerLike} [logger]
+ */
+
+const DEFAULTS = { namespace: 'frm-hydrator', version: 1, maxEntries: 200, maxBytes: 2_000_000 };
+
+function isQuotaError(e) {
+  return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014);
+}
+
+function sizeOf(value) {
+  try { return JSON.stringify(value).length; } catch { return Infinity; }
+}
+
+/** localStorage, or null when it is missing or blocked (Safari private mode, disabled cookies). */
+function safeLocalStorage() {
+  try {
+    const ls = globalThis.localStorage;
+    if (!ls) return null;
+    const probe = '__frm_hydrator_probe__';
+    ls.setItem(probe, '1'); ls.removeItem(probe);
+    return ls;
+  } catch { return null; }
+}
+
+// ----------------------------------------------------
+// localStorage adapter (synchronous, index-based LRU)
+// ----------------------------------------------------
+
+/**
+ * CacheLike adapter over a Web Storage object. Each entry is stored under its own key;
+ * a single index key tracks expiry, size and last access for LRU eviction.
+ */
+export class LocalStorageCache {
+  /** @param {PersistentCacheOptions & {storage?:Storage}} [opts] */
+  constructor(opts = {}) {
+    this._opts = { ...DEFAULTS, ...opts };
+    this._storage = opts.storage || safeLocalStorage();
+    this._logger = opts.logger || NoopLogger;
+    this._root = `${this._opts.namespace}:`;
+    this._prefix = `${this._root}v${this._opts.version}:`;
+    this._indexKey = `${this._prefix}__index`;
+    if (this._storage) this._purgeOtherVersions();
+  }
+
+  get(key) {
+    if (!this._storage) return undefined;
+    const index = this._readIndex();
+    const meta = index[key];
+    if (!meta) return undefined;
+    if (meta.e !== 0 && Date.now() > meta.e) { this._remove(index, key); this._writeIndex(index); return undefined; }
+    let value;
+    try { value = JSON.parse(this._storage.getItem(this._prefix + key)); }
+    catch { value = undefined; }
+    if (value === undefined || value === null) { this._remove(index, key); this._writeIndex(index); return undefined; }
+    meta.a = Date.now();
+    this._writeIndex(index);
+    return value;
+  }
+
+  set(key, value, ttlMs) {
+    if (!this._storage) return;
+    const raw = JSON.stringify(value);
+    if (raw === undefined || raw.length > this._opts.maxBytes) {
+      this._logger.warn('[LocalStorageCache] entry skipped (not serializable or larger than maxBytes)', key);
+      return;
+    }
+    const index = this._readIndex();
+    this._remove(index, key);
+    this._evict(index, raw.length);
+    // Quota errors: drop the least recently used entry and try again until nothing is left to drop
+    while (true) {
+      try { this._storage.setItem(this._prefix + key, raw); break; }
+      catch (e) {
+        if (!isQuotaError(e) || !this._evictOne(index)) {
+          this._logger.warn('[LocalStorageCache] set failed; entry not persisted', { key, name: e && e.name });
+          this._writeIndex(index);
+          return;
+        }
+      }
+    }
+    index[key] = { e: ttlMs > 0 ? Date.now() + ttlMs : 0, a: Date.now(), s: raw.length };
+    this._writeIndex(index);
+  }
+
+  delete(key) {
+    if (!this._storage) return;
+    const index = this._readIndex();
+    this._remove(index, key);
+    this._writeIndex(index);
+  }
+
+  /** Remove every entry in this namespace/version. */
+  clear() {
+    if (!this._storage) return;
+    const index = this._readIndex();
+    Object.keys(index).forEach((k) => this._remove(index, k));
+    try { this._storage.removeItem(this._indexKey); } catch {}
+  }
+
+  // -----------------
+  // Internal helpers
+  // -----------------
+
+  _readIndex() {
+    try { return JSON.parse(this._storage.getItem(this._indexKey)) || {}; }
+    catch { return {}; }
+  }
+
+  _writeIndex(index) {
+    // The index is tiny; if even that hits the quota, shed entries until it fits.
+    while (true) {
+      try { this._storage.setItem(this._indexKey, JSON.stringify(index)); return; }
+      catch (e) {
+        if (!isQuotaError(e) || !this._evictOne(index)) { this._logger.warn('[LocalStorageCache] index write failed', e && e.name); return; }
+      }
+    }
+  }
+
+  _remove(index, key) {
+    delete index[key];
+    try { this._storage.removeItem(this._prefix + key); } catch {}
+  }
+
+  _evictOne(index) {
+    const lru = Object.keys(index).sort((a, b) => index[a].a - index[b].a)[0];
+    if (lru === undefined) return false;
+    this._remove(index, lru);
+    return true;
+  }
+
+  // Make room for an incoming entry of `incoming` bytes.
+  _evict(index, incoming) {
+    const { maxEntries, maxBytes } = this._opts;
+    const now = Date.now();
+    Object.keys(index).forEach((k) => { if (index[k].e !== 0 && now > index[k].e) this._remove(index, k); });
+    const total = () => Object.values(index).reduce((sum, m) => sum + m.s, 0);
+    while (Object.keys(index).length >= maxEntries || total() + incoming > maxBytes) {
+      if (!this._evictOne(index)) break;
+    }
+  }
+
+  _purgeOtherVersions() {
+    try {
+      const stale = [];
+      for (let i = 0; i < this._storage.length; i++) {
+        const k = this._storage.key(i);
+        if (k && k.startsWith(this._root) && !k.startsWith(this._prefix)) stale.push(k);
+      }
+      stale.forEach((k) => this._storage.removeItem(k));
+    } catch (e) { this._logger.warn('[LocalStorageCache] version purge failed', e); }
+  }
+}
+
+// ------------------------------------------
+// IndexedDB adapter (async, cursor-based LRU)
+// ------------------------------------------
+
+const STORE = 'entries';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * CacheLike adapter over IndexedDB. One database per namespace/version
+ * (`${namespace}:v${version}`); records are { k, v, e (expires), a (last access), s (size) }.
+ * If the database cannot be opened, calls are served by `fallback` (if given) instead.
+ */
+export class IndexedDBCache {
+  /** @param {PersistentCacheOptions & {indexedDB?:IDBFactory, fallback?:{get:Function,set:Function,delete:Function}}} [opts] */
+  constructor(opts = {}) {
+    this._opts = { ...DEFAULTS, ...opts };
+    this._idb = opts.indexedDB || globalThis.indexedDB;
+    this._fallback = opts.fallback || null;
+    this._logger = opts.logger || NoopLogger;
+    this._dbName = `${this._opts.namespace}:v${this._opts.version}`;
+    this._db = null;
+    this._opening = null;
+  }
+
+  async get(key) {
+    const db = await this._open();
+    if (!db) return this._fallback ? this._fallback.get(key) : undefined;
+    try {
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      const rec = await promisify(store.get(key));
+      let value;
+      if (rec && rec.e !== 0 && Date.now() > rec.e) store.delete(key);
+      else if (rec) { rec.a = Date.now(); store.put(rec); value = rec.v; }
+      await done(tx);
+      return value;
+    } catch (e) {
+      this._logger.warn('[IndexedDBCache] get failed', e && e.name);
+      return undefined;
+    }
+  }
+
+  async set(key, value, ttlMs) {
+    const db = await this._open();
+    if (!db) return this._fallback ? this._fallback.set(key, value, ttlMs) : undefined;
+    const size = sizeOf(value);
+    if (size > this._opts.maxBytes) {
+      this._logger.warn('[IndexedDBCache] entry skipped (not serializable or larger than maxBytes)', key);
+      return;
+    }
+    const rec = { k: key, v: value, e: ttlMs > 0 ? Date.now() + ttlMs : 0, a: Date.now(), s: size };
+    // One retry after evicting a quarter of the entries if the browser reports the quota is full
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const tx = db.transaction(STORE, 'readwrite');
+        tx.objectStore(STORE).put(rec);
+        await done(tx);
+      } catch (e) {
+        if (attempt === 0 && isQuotaError(e)) { await this._evictFraction(db, 0.25); continue; }
+        this._logger.warn('[IndexedDBCache] set failed; entry not persisted', { key, name: e && e.name });
+        return;
+      }
+      // The entry is stored; pruning that fails only leaves the limits to the next write
+      try { await this._enforceLimits(db); }
+      catch (e) { this._logger.warn('[IndexedDBCache] pruning failed', e && e.name); }
+      return;
+    }
+  }
+
+  async delete(key) {
+    const db = await this._open();
+    if (!db) return this._fallback ? this._fallback.delete(key) : undefined;
+    try {
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).delete(key);
+      await done(tx);
+    } catch (e) { this._logger.warn('[IndexedDBCache] delete failed', e && e.name); }
+  }
+
+  /** Remove every entry in this namespace/version. */
+  async clear() {
+    const db = await this._open();
+    if (!db) return this._fallback && this._fallback.clear ? this._fallback.clear() : undefined;
+    try {
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).clear();
+      await done(tx);
+    } catch (e) { this._logger.warn('[IndexedDBCache] clear failed', e && e.name); }
+  }
+
+  // -----------------
+  // Internal helpers
+  // -----------------
+
+  _open() {
+    if (this._db) return Promise.resolve(this._db);
+    if (this._opening) return this._opening;
+    this._opening = (async () => {
+      if (!this._idb) return null;
+      try {
+        const req = this._idb.open(this._dbName, 1);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(STORE, { keyPath: 'k' });
+          store.createIndex('a', 'a');
+        };
+        this._db = await promisify(req);
+        this._purgeOtherVersions();
+        return this._db;
+      } catch (e) {
+        this._logger.warn('[IndexedDBCache] open failed; using fallback', e && e.name);
+        return null;
+      }
+    })();
+    return this._opening;
+  }
+
+  // Other versions of this namespace live in their own databases; drop them best-effort, like
+  // LocalStorageCache. Without indexedDB.databases() (older browsers) only lower versions are known.
+  async _purgeOtherVersions() {
+    const root = `${this._opts.namespace}:v`;
+    let names = [];
+    try {
+      names = typeof this._idb.databases === 'function'
+        ? (await this._idb.databases()).map((d) => d.name).filter((n) => n && n.startsWith(root))
+        : Array.from({ length: Math.max(0, this._opts.version - 1) }, (_, i) => `${root}${i + 1}`);
+    } catch (e) { this._logger.warn('[IndexedDBCache] version purge failed', e && e.name); }
+    for (const name of names) {
+      if (name === this._dbName || !/^\d+$/.test(name.slice(root.length))) continue;
+      try { this._idb.deleteDatabase(name); } catch {}
+    }
+  }
+
+  // Walk entries oldest-access first, deleting expired ones and any beyond maxEntries/maxBytes.
+  async _enforceLimits(db) {
+    const { maxEntries, maxBytes } = this._opts;
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const all = await promisify(store.index('a').getAll());
+    const now = Date.now();
+    let count = all.length;
+    let bytes = all.reduce((sum, r) => sum + (r.s || 0), 0);
+    for (const r of all) {
+      const expired = r.e !== 0 && now > r.e;
+      if (!expired && count <= maxEntries && bytes <= maxBytes) continue;
+      store.delete(r.k); count--; bytes -= r.s || 0;
+    }
+    await done(tx);
+  }
+
+  async _evictFraction(db, fraction) {
+    try {
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      const all = await promisify(store.index('a').getAllKeys());
+      all.slice(0, Math.max(1, Math.ceil(all.length * fraction))).forEach((k) => store.delete(k));
+      await done(tx);
+    } catch (e) { this._logger.warn('[IndexedDBCache] eviction failed', e && e.name); }
+  }
+}
+
+// -----------------
+// Factory
+// -----------------
+
+/**
+ * Best available persistent cache: IndexedDB (falling back to localStorage if it fails to open),
+ * else localStorage, else undefined so FormHydrator keeps its in-memory default.
+ * @param {PersistentCacheOptions & {indexedDB?:IDBFactory, storage?:Storage}} [opts]
+ * @returns {IndexedDBCache|LocalStorageCache|undefined}
+ */
+export function createPersistentCache(opts = {}) {
+  const idb = opts.indexedDB || globalThis.indexedDB;
+  const storage = opts.storage || safeLocalStorage();
+  const local = storage ? new LocalStorageCache({ ...opts, storage }) : null;
+  if (idb) return new IndexedDBCache({ ...opts, indexedDB: idb, fallback: local });
+  return local || undefined;
+}
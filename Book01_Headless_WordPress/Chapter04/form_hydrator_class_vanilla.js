@@ -28,14 +28,23 @@
  *   (8)  WordPress nonce injection (X-WP-Nonce)
  *   (9)  ETag/If-None-Match support and 304 handling
  *   (10) Response guards (lightweight runtime validation)
- *   (11) Normalization helper for fields
+ *   (11) Normalized, documented field model (normalizeFields) covering field_options
  *   (12) Preload API to warm caches ahead of time
  *   (13) Web Worker & integration test examples (documented below)
+ *   (14) Pluggable route table (custom REST prefix, ?rest_route= URLs, named routes)
+ *   (15) Stale-while-revalidate per route, with an 'update' event when data changes
+ *   (16) Batch hydration (hydrateMany) with a concurrency limit and optional batch key lookup
+ *   (17) Entry write path (create/get/update/delete) on the same resilience stack
+ *   (18) Automatic X-WP-Nonce refresh and single replay on rest_cookie_invalid_nonce
+ *   (19) Opt-in schema validation: strict (EBADSHAPE lists every path) or lenient (coerce + warn)
+ *   (20) hydrateEntry(): a form together with one of its entries, e.g. to resume a saved draft
+ *   (21) getCurrentUser(): the logged-in user and roles (null when logged out), e.g. to check edit permissions
  *
  * Notes for trainees
  * ------------------
  * - Framework-agnostic; works in browsers or Node with a fetch polyfill.
- * - Caching is pluggable; default is in-memory TTL cache. For SSR, provide Redis.
+ * - Caching is pluggable; default is in-memory TTL cache. For SSR, provide Redis; in browsers,
+ *   createPersistentCache() (form_hydrator_cache_adapters.js) keeps entries across page loads.
  * - The API is intentionally small; power comes from composition via per-call options.
  *  *
  * Request flow (high level)
@@ -57,12 +66,14 @@
  * Cross-cutting concerns
  * ----------------------
  * - Per-call overrides (headers/timeout/AbortSignal/cacheBypass/ttlMs/wpNonce)
- * - X-WP-Nonce injection for privileged WP REST routes
+ * - X-WP-Nonce injection for privileged WP REST routes; optional nonceProvider refreshes expired nonces
  * - Retry policy (exponential backoff + jitter; honors Retry-After)
  * - Circuit breaker: open per-route after N consecutive 5xx, cool-off then half-open
  * - In-flight de-duplication: concurrent identical GETs share a single promise
+ * - Stale-while-revalidate (opt-in): serve cached bodies instantly, refresh in the background
  * - Observability: traceId + optional onRequest({ phase, durationMs, status })
- * - Response guards & normalizeFields() for safer consumers
+ * - Response guards (validation: 'basic' | 'strict' | 'lenient') & normalizeFields() for safer consumers
+ * - Writes: never coalesced or cached; non-idempotent POSTs retry only with an Idempotency-Key
  */
 
 // ---------------------------
@@ -77,7 +88,8 @@ class FormHydratorError extends Error {
   /**
    * @param {string} message
    * @param {string} code e.g., 'ETIMEDOUT' | 'ENETWORK' | 'EHTTP_502' | 'EBADSHAPE' | 'EBADARGS' | 'ECIRCUIT_OPEN'
-   * @param {{status?:number,cause?:any,traceId?:string}} [opts]
+   * @param {{status?:number,cause?:any,traceId?:string,body?:any,issues?:Array<{path:string,message:string}>}} [opts]
+   *   body: parsed JSON (or text) of an error response; issues: every offending path of an EBADSHAPE
    */
   constructor(message, code, opts = {}) {
     super(message);
@@ -86,10 +98,12 @@ class FormHydratorError extends Error {
     this.status = opts.status;
     this.cause = opts.cause;
     this.traceId = opts.traceId;
+    this.body = opts.body;
+    this.issues = opts.issues;
   }
 }
 
-/** Simple in-memory TTL cache. Swap for Redis/IndexedDB in production SSR. */
+/** Simple in-memory TTL cache. Swap for Redis in SSR, or the adapters in form_hydrator_cache_adapters.js in browsers. */
 class SimpleTTLCache {
   constructor() { this._store = new Map(); }
   get(key) {
@@ -110,15 +124,117 @@ class SimpleTTLCache {
 // ---------------------------
 
 /**
+ * Normalized field model produced by normalizeFields(). Formidable returns most of a
+ * field's behavior inside `field_options` with loose types ("1"/0, "" for unset); this
+ * model gives renderers one predictable shape. Unset numbers are `undefined`, flags are
+ * booleans, and optional blocks (calc, logic, currency, lookup) are `null` when unused.
+ *
  * @typedef {Object} FormField
  * @property {number} id
- * @property {string} key
+ * @property {string} key                 field_key
  * @property {string} type
- * @property {string} [name]
+ * @property {string} name
+ * @property {string} description
+ * @property {number} order               field_order; the list is sorted by it
+ * @property {number} [formId]
+ * @property {boolean} required
  * @property {any} [defaultValue]
- * @property {boolean} [required]
- * @property {Array<any>} [options]
- * @property {Object<string, any>} [config]
+ * @property {string} placeholder
+ * @property {Array<FieldOption>} options
+ * @property {FieldMessages} messages
+ * @property {FieldLayout} layout
+ * @property {FieldValidation} validation
+ * @property {FieldCalc|null} calc
+ * @property {FieldLogic|null} logic
+ * @property {FieldCurrency|null} currency
+ * @property {FieldLookup|null} lookup
+ * @property {FieldSection|null} section  set on divider (section heading) fields only
+ * @property {string} html                custom_html template ('' when the field has none)
+ * @property {Object<string, any>} config shallow copy of the raw field_options
+ */
+
+/** @typedef {{label:string, value:string, image?:string}} FieldOption */
+
+/**
+ * @typedef {Object} FieldMessages
+ * @property {string} blank     shown when a required field is empty
+ * @property {string} invalid   shown when the format check fails
+ * @property {string} unique    shown when a unique value already exists
+ * @property {string} confirm   shown when a confirmation field does not match
+ */
+
+/**
+ * @typedef {Object} FieldLayout
+ * @property {string} classes       layout/CSS classes, e.g. "frm_first frm_half"
+ * @property {string} labelPosition '' (form default), 'top', 'left', 'right', 'inline', 'none' or 'hidden'
+ * @property {string} requiredIndicator
+ * @property {string} align         option alignment for radio/checkbox ('block' | 'inline')
+ * @property {number} [size]
+ * @property {number} [max]         character limit, or rows for a textarea
+ * @property {number} inSection     id of the enclosing section field, 0 when top-level
+ * @property {string} prepend
+ * @property {string} append
+ * @property {boolean} readOnly
+ * @property {boolean} autoGrow
+ * @property {string} autocomplete
+ */
+
+/**
+ * @typedef {Object} FieldValidation
+ * @property {string} format        regex or phone/number format ('' = none)
+ * @property {number} [minnum]
+ * @property {number} [maxnum]
+ * @property {number} [step]
+ * @property {number} [maxLimit]    0/undefined = no limit
+ * @property {'char'|'word'} maxLimitType
+ * @property {boolean} unique
+ * @property {boolean} multiple
+ * @property {string} confirmField  '' unless a confirmation input is configured ('inline' | 'below')
+ * @property {string} confirmPlaceholder
+ * @property {string} confirmDescription
+ * @property {number} [maxSize]     file fields: largest upload in MB (field_options.size)
+ */
+
+/**
+ * Calculation: `type` is '' (math) or 'text'; `decimals` is calc_dec. Evaluated by form_calc.js.
+ * @typedef {{expression:string, type:string, decimals?:number}} FieldCalc
+ */
+
+/**
+ * Conditional logic: `action` the field when `match` of the rules are true.
+ * Rule `field` is the trigger field's id (as Formidable stores it); `operator` is one of
+ * == != > < >= <= LIKE, not LIKE, ^ (LIKE%) or $ (%LIKE) — see form_logic.js.
+ * @typedef {{action:'show'|'hide', match:'any'|'all', rules:Array<{field:string, operator:string, value:any}>}} FieldLogic
+ */
+
+/**
+ * @typedef {Object} FieldCurrency
+ * @property {string} symbolLeft
+ * @property {string} symbolRight
+ * @property {string} thousandSeparator
+ * @property {string} decimalSeparator
+ * @property {number} decimals
+ * @property {boolean} custom      true when the field overrides the global currency
+ */
+
+/** @typedef {{formId:string, fieldId:string, watch:Array<string>, mostRecent:boolean, filterCurrentUser:boolean}} FieldLookup */
+
+/**
+ * Section heading (`divider`). Child fields point back with layout.inSection; an
+ * `end_divider` closes the section. Collapsible sections load collapsed, as in Formidable.
+ * `repeat` is set for repeatable sections (field_options.repeat), whose rows post as
+ * item_meta[section][row][field]; Formidable always keeps at least one row.
+ * @typedef {{collapsible:boolean, repeat:FieldRepeat|null}} FieldSection
+ */
+
+/**
+ * @typedef {Object} FieldRepeat
+ * @property {number} [formId]    child form that stores the rows (form_select)
+ * @property {number} rows        rows shown initially (repeat_num)
+ * @property {number} min         fewest rows a user can leave (1)
+ * @property {number} [max]       most rows allowed (repeat_limit; undefined = no limit)
+ * @property {string} addLabel
+ * @property {string} removeLabel
  */
 
 /**
@@ -129,7 +245,27 @@ class SimpleTTLCache {
  * @property {Object<string, any>} settings
  */
 
-/** @typedef {{ id:number, metadata:FormMetadata, fields:Array<FormField>, fieldsRaw?:any }} HydrationPayload */
+/** @typedef {{ id:number, metadata:FormMetadata, fields:Array<FormField>, fieldsRaw?:any, entry?:Object }} HydrationPayload entry: set by hydrateEntry() */
+
+/**
+ * One allSettled-style result per requested key, in input order.
+ * @typedef {{key:string, status:'fulfilled', value:HydrationPayload}|{key:string, status:'rejected', reason:any}} HydrateManyResult
+ */
+
+/**
+ * Stale-while-revalidate windows, measured from when the entry was stored.
+ *   age < freshMs               -> serve from cache, no request
+ *   age < freshMs + staleMs     -> serve from cache, revalidate in the background
+ *   older (or evicted)          -> normal blocking request
+ * @typedef {Object} SWRPolicy
+ * @property {number} [freshMs] Defaults to the route TTL
+ * @property {number} staleMs   Extra window past freshMs; the cache entry is kept this much longer
+ */
+
+/**
+ * Emitted via on('update') when a background revalidation returns a different body.
+ * @typedef {{route:string, params:any, path:string, data:any, previous:any}} UpdateEvent
+ */
 
 /**
  * Per-call options (compose with instance defaults)
@@ -139,10 +275,287 @@ class SimpleTTLCache {
  * @property {AbortSignal} [signal]
  * @property {boolean} [cacheBypass]
  * @property {number} [ttlMs]
+ * @property {SWRPolicy|false} [swr] Override the route's stale-while-revalidate policy for this call
  * @property {string} [wpNonce]
  * @property {(evt:{traceId:string,phase:'start'|'success'|'failure',path:string,attempt:number,status?:number,durationMs?:number})=>void} [onRequest]
  */
 
+/**
+ * Per-call options for entry writes.
+ * @typedef {CallOptions & {idempotencyKey?:string|true}} WriteOptions
+ *   idempotencyKey: sent as `Idempotency-Key`; `true` generates one. Without it, POSTs are never retried
+ *   because the server may already have created the entry when a response is lost.
+ */
+
+// -----------------------------------
+// Field model (normalizeFields)
+// -----------------------------------
+
+const flag = (v) => v === true || v === 1 || v === '1' || v === 'true' || v === 'on';
+const num = (v) => (v === '' || v === null || v === undefined || Number.isNaN(Number(v)) ? undefined : Number(v));
+const str = (v) => (v === null || v === undefined ? '' : String(v));
+const list = (v) => (Array.isArray(v) ? v : (v === '' || v === null || v === undefined ? [] : [v]));
+
+function normalizeOptions(raw) {
+  return list(raw).map((o) => {
+    if (o && typeof o === 'object') {
+      const label = str(o.label ?? o.value);
+      const opt = { label, value: str(o.value ?? label) };
+      if (o.image && o.image !== '0') opt.image = str(o.image);
+      return opt;
+    }
+    return { label: str(o), value: str(o) };
+  });
+}
+
+function normalizeLogic(fo) {
+  const refs = list(fo.hide_field).filter((r) => r !== '' && r !== null && r !== undefined);
+  if (!refs.length) return null;
+  const ops = list(fo.hide_field_cond);
+  const vals = list(fo.hide_opt);
+  return {
+    action: fo.show_hide === 'hide' ? 'hide' : 'show',
+    match: fo.any_all === 'all' ? 'all' : 'any',
+    rules: refs.map((ref, i) => ({ field: str(ref), operator: ops[i] || '==', value: vals[i] ?? '' })),
+  };
+}
+
+/**
+ * Normalize one raw field (REST shape or an already-normalized FormField) into the model.
+ * @param {any} f
+ * @returns {FormField}
+ */
+function normalizeField(f) {
+  const fo = (f.field_options && typeof f.field_options === 'object') ? f.field_options
+    : (f.config && typeof f.config === 'object') ? f.config : {};
+  const calcExpr = str(fo.calc).trim();
+  return {
+    id: Number(f.id),
+    key: str(f.field_key ?? f.key),
+    type: str(f.type || 'text'),
+    name: str(f.name),
+    description: str(f.description),
+    order: num(f.field_order ?? f.order) ?? 0,
+    formId: num(f.form_id ?? f.formId),
+    required: flag(f.required),
+    defaultValue: f.default_value ?? f.defaultValue ?? undefined,
+    placeholder: str(fo.placeholder ?? f.placeholder),
+    options: normalizeOptions(f.options),
+    messages: {
+      blank: str(fo.blank),
+      invalid: str(fo.invalid),
+      unique: str(fo.unique_msg),
+      confirm: str(fo.conf_msg),
+    },
+    layout: {
+      classes: str(fo.classes),
+      labelPosition: str(fo.label),
+      requiredIndicator: str(fo.required_indicator ?? '*'),
+      align: str(fo.align),
+      size: num(fo.size),
+      max: num(fo.max),
+      inSection: num(fo.in_section) ?? 0,
+      prepend: str(fo.prepend),
+      append: str(fo.append),
+      readOnly: flag(fo.read_only),
+      autoGrow: flag(fo.auto_grow),
+      autocomplete: str(fo.autocomplete),
+    },
+    validation: {
+      format: str(fo.format),
+      minnum: num(fo.minnum),
+      maxnum: num(fo.maxnum),
+      step: num(fo.step),
+      maxLimit: num(fo.max_limit) || undefined,
+      maxLimitType: fo.max_limit_type === 'word' ? 'word' : 'char',
+      unique: flag(fo.unique),
+      multiple: flag(fo.multiple),
+      confirmField: str(fo.conf_field),
+      confirmPlaceholder: str(fo.conf_input),
+      confirmDescription: str(fo.conf_desc),
+      maxSize: f.type === 'file' ? num(fo.size) || undefined : undefined,
+    },
+    calc: calcExpr ? { expression: calcExpr, type: str(fo.calc_type), decimals: num(fo.calc_dec) } : null,
+    logic: normalizeLogic(fo),
+    currency: flag(fo.is_currency) ? {
+      symbolLeft: str(fo.custom_symbol_left),
+      symbolRight: str(fo.custom_symbol_right),
+      thousandSeparator: str(fo.custom_thousand_separator ?? ','),
+      decimalSeparator: str(fo.custom_decimal_separator ?? '.'),
+      decimals: num(fo.custom_decimals) ?? 2,
+      custom: flag(fo.custom_currency),
+    } : null,
+    lookup: fo.get_values_field ? {
+      formId: str(fo.get_values_form),
+      fieldId: str(fo.get_values_field),
+      watch: list(fo.watch_lookup).map(str).filter(Boolean),
+      mostRecent: flag(fo.get_most_recent_value),
+      filterCurrentUser: flag(fo.lookup_filter_current_user),
+    } : null,
+    section: f.type === 'divider' ? {
+      collapsible: flag(fo.slide),
+      repeat: flag(fo.repeat) ? {
+        formId: num(fo.form_select),
+        rows: Math.max(1, num(fo.repeat_num) ?? 1),
+        min: 1,
+        max: num(fo.repeat_limit) || undefined,
+        addLabel: str(fo.add_label || 'Add'),
+        removeLabel: str(fo.remove_label || 'Remove'),
+      } : null,
+    } : null,
+    html: str(fo.custom_html),
+    config: { ...fo },
+  };
+}
+
+/**
+ * Normalize a fields response into an ordered list of FormField. Accepts the keyed object
+ * Formidable returns (`{ [field_key]: field }`) or an array; sorts by field_order, then id.
+ * Never mutates its input.
+ * @param {Array<any>|Object<string, any>} fields
+ * @returns {Array<FormField>}
+ */
+export function normalizeFields(fields) {
+  const raw = Array.isArray(fields) ? fields
+    : (fields && typeof fields === 'object') ? Object.values(fields) : [];
+  return raw
+    .filter((f) => f && typeof f === 'object')
+    .map(normalizeField)
+    .sort((a, b) => (a.order - b.order) || (a.id - b.id));
+}
+
+// -----------------------------------
+// Response schemas (validation: 'strict' | 'lenient')
+// -----------------------------------
+
+/**
+ * Declarative shapes for the three hydration payloads, written against the wire format
+ * Formidable actually returns (string ids, "0"/"1" flags). Node types:
+ *   id | int | flag | string | object | collection (array or keyed object of `items`)
+ * `required` props must be present; `oneOf` lists props of which at least one must be.
+ */
+const RESPONSE_SCHEMAS = {
+  idByKey: { type: 'object', props: { id: { type: 'id', required: true } } },
+  metadata: {
+    type: 'object',
+    oneOf: ['form_key', 'key'],
+    props: {
+      id: { type: 'id', required: true },
+      form_key: { type: 'string' },
+      key: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      status: { type: 'string' },
+      parent_form_id: { type: 'int' },
+      logged_in: { type: 'flag' },
+      is_template: { type: 'flag' },
+      options: { type: 'object' },
+      settings: { type: 'object' },
+    },
+  },
+  fields: {
+    type: 'collection',
+    items: {
+      type: 'object',
+      oneOf: ['field_key', 'key'],
+      props: {
+        id: { type: 'id', required: true },
+        field_key: { type: 'string' },
+        key: { type: 'string' },
+        type: { type: 'string', required: true },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        field_order: { type: 'int' },
+        required: { type: 'flag' },
+        form_id: { type: 'id' },
+        field_options: { type: 'object' },
+      },
+    },
+  },
+};
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// test(): accepted on the wire. coerce(): canonical value for lenient mode (only called when test() passes).
+const SCHEMA_TYPES = {
+  id: { expected: 'an integer id', test: (v) => (Number.isInteger(v) && v >= 0) || (typeof v === 'string' && /^\d+$/.test(v)), coerce: Number },
+  int: { expected: 'an integer', test: (v) => Number.isInteger(v) || (typeof v === 'string' && /^-?\d+$/.test(v)), coerce: Number },
+  flag: { expected: 'a 0/1 flag', test: (v) => typeof v === 'boolean' || [0, 1, '0', '1', ''].includes(v), coerce: (v) => v === true || v === 1 || v === '1' },
+  string: { expected: 'a string', test: (v) => typeof v === 'string' },
+  object: { expected: 'an object', test: isPlainObject },
+  collection: { expected: 'an array or keyed object', test: (v) => !!v && typeof v === 'object' },
+};
+
+const isWireId = (v) => SCHEMA_TYPES.id.test(v);
+
+/**
+ * Walk `value` against `schema`, collecting every offending path. With `coerce`, returns a
+ * copy where ids/ints become numbers and flags become booleans; the input is never mutated.
+ * @returns {{value:any, issues:Array<{path:string, message:string, fatal:boolean}>, coerced:Array<string>}}
+ */
+function validateSchema(value, schema, root, coerce) {
+  const issues = [];
+  const coerced = [];
+  const walk = (v, node, path, fatal) => {
+    const t = SCHEMA_TYPES[node.type];
+    if (!t.test(v)) {
+      if (coerce && node.type === 'string' && typeof v === 'number') { coerced.push(path); return String(v); }
+      issues.push({ path, message: `expected ${t.expected}, got ${v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v}`, fatal });
+      return v;
+    }
+    if (node.type === 'collection') {
+      const isArr = Array.isArray(v);
+      const out = isArr ? [] : {};
+      for (const [k, item] of Object.entries(v)) out[k] = walk(item, node.items, isArr ? `${path}[${k}]` : `${path}.${k}`, fatal);
+      return coerce ? out : v;
+    }
+    if (node.type === 'object') {
+      const out = { ...v };
+      if (node.oneOf && !node.oneOf.some((p) => v[p] !== undefined)) {
+        issues.push({ path: `${path}.${node.oneOf[0]}`, message: `missing (one of ${node.oneOf.join(', ')} is required)`, fatal: true });
+      }
+      for (const [prop, child] of Object.entries(node.props || {})) {
+        if (v[prop] === undefined || v[prop] === null) {
+          if (child.required) issues.push({ path: `${path}.${prop}`, message: 'missing', fatal: true });
+          continue;
+        }
+        out[prop] = walk(v[prop], child, `${path}.${prop}`, !!child.required);
+      }
+      return coerce ? out : v;
+    }
+    if (coerce && t.coerce) {
+      const c = t.coerce(v);
+      if (c !== v) coerced.push(path);
+      return c;
+    }
+    return v;
+  };
+  const out = walk(value, schema, root, true);
+  return { value: coerce ? out : value, issues, coerced };
+}
+
+// -----------------------------------
+// Route table (REST-relative builders)
+// -----------------------------------
+
+/**
+ * Default route builders. Each returns a route relative to the REST root
+ * (no `/wp-json` prefix); FormHydrator applies the prefix or `?rest_route=`
+ * style when it turns a route into a request path.
+ * @type {Object<string, (params:any)=>string>}
+ */
+const DEFAULT_ROUTES = {
+  idByKey: (key) => `/custom/v1/form-id/${encodeURIComponent(key)}`,
+  formMeta: (id) => `/frm/v2/forms/${id}`,
+  formFields: (id) => `/frm/v2/forms/${id}/fields`,
+  // Optional server-side batch lookup: { ids: { [key]: id } }. Advertised in the namespace index.
+  idsByKeys: (keys) => `/custom/v1/form-ids?keys=${keys.map(encodeURIComponent).join(',')}`,
+  restNamespace: (ns) => `/${ns}`,
+  formEntries: (id) => `/frm/v2/forms/${id}/entries`,
+  entry: (id) => `/frm/v2/entries/${id}`,
+  currentUser: () => '/wp/v2/users/me?context=edit', // context=edit includes roles
+};
+
 // -----------------------------------
 // Circuit breaker (per-path, simple)
 // -----------------------------------
@@ -176,11 +589,13 @@ export class FormHydrator {
   /** @typedef {{maxRetries?:number, backoffBaseMs?:number, backoffCapMs?:number, jitter?:boolean, retryOnHTTP?:number[]}} RetryPolicy */
   /** @typedef {{get:(k:string)=>any|Promise<any>, set:(k:string,v:any,t:number)=>void|Promise<void>, delete:(k:string)=>void|Promise<void>}} CacheLike */
   /** @typedef {number|{idByKey?:number, metadata?:number, fields?:number}} RouteTTLOpts */
-  /** @typedef {{ baseUrl?:string, fetchImpl?:typeof fetch, timeoutMs?:number, headers?:Object, retry?:RetryPolicy, cache?:CacheLike, cacheTTLms?:RouteTTLOpts, logger?:LoggerLike, wpNonce?:string, breaker?:{threshold?:number,coolOffMs?:number}}} FormHydratorOptions */
+  /** @typedef {{idByKey?:SWRPolicy, metadata?:SWRPolicy, fields?:SWRPolicy, [route:string]:SWRPolicy|undefined}} RouteSWROpts */
+  /** @typedef {(params:any)=>string} RouteBuilder */
+  /** @typedef {{ baseUrl?:string, fetchImpl?:typeof fetch, timeoutMs?:number, headers?:Object, retry?:RetryPolicy, cache?:CacheLike, cacheTTLms?:RouteTTLOpts, logger?:LoggerLike, wpNonce?:string, breaker?:{threshold?:number,coolOffMs?:number}, restPrefix?:string, restStyle?:'pretty'|'query', routes?:Object<string, RouteBuilder>, swr?:RouteSWROpts, nonceProvider?:()=>string|Promise<string>, validation?:'basic'|'strict'|'lenient'}} FormHydratorOptions */
 
   /** @param {FormHydratorOptions} [options] */
   constructor(options = {}) {
-    const { baseUrl = '', fetchImpl, timeoutMs = 10000, headers = {}, retry = {}, cache, cacheTTLms = 30000, logger = NoopLogger, wpNonce, breaker } = options;
+    const { baseUrl = '', fetchImpl, timeoutMs = 10000, headers = {}, retry = {}, cache, cacheTTLms = 30000, logger = NoopLogger, wpNonce, breaker, restPrefix = '/wp-json', restStyle = 'pretty', routes = {}, swr = {}, nonceProvider, validation = 'basic' } = options;
 
     // Core config
     this._baseUrl = baseUrl.replace(/\/$/, '');
@@ -189,6 +604,12 @@ export class FormHydrator {
     this._headers = headers;
     this._logger = logger || NoopLogger;
     this._wpNonce = wpNonce; // optional X-WP-Nonce
+    this._nonceProvider = typeof nonceProvider === 'function' ? nonceProvider : null; // fresh nonce on rest_cookie_invalid_nonce
+    this._nonceRefresh = null; // in-flight refresh shared by concurrent 403s
+
+    // Response guards: 'basic' (light checks), 'strict' (schema, throw on any issue), 'lenient' (schema, coerce + warn)
+    if (!['basic', 'strict', 'lenient'].includes(validation)) throw new FormHydratorError(`Unknown validation mode "${validation}".`, 'EBADARGS');
+    this._validation = validation;
 
     // Retry
     this._retry = {
@@ -202,19 +623,26 @@ export class FormHydrator {
     // Cache & TTLs
     this._cache = cache || new SimpleTTLCache();
     this._ttl = this._normalizeTTL(cacheTTLms);
+    this._swr = { ...(swr || {}) }; // route -> SWRPolicy (idByKey | metadata | fields | registered route name)
+
+    // Event listeners (see on())
+    this._listeners = new Map(); // event -> Set<handler>
 
     // In-flight registry
     this._inflight = new Map(); // key -> Promise
+    this._batchSupport = null; // memoized Promise<boolean> for the idsByKeys batch route
 
     // Circuit breaker
     this._breaker = new CircuitBreaker({ ...(breaker||{}), logger: this._logger });
 
-    // Routes
-    this._routes = {
-      idByKey: (key) => `/wp-json/custom/v1/form-id/${encodeURIComponent(key)}`,
-      formMeta: (id) => `/wp-json/frm/v2/forms/${id}`,
-      formFields: (id) => `/wp-json/frm/v2/forms/${id}/fields`,
-    };
+    // Routes: builders return REST-relative routes; _routePath() adds the prefix or ?rest_route=
+    if (restStyle !== 'pretty' && restStyle !== 'query') throw new FormHydratorError(`Unknown restStyle "${restStyle}".`, 'EBADARGS');
+    const prefix = String(restPrefix || '').replace(/^\/+|\/+$/g, '');
+    this._restPrefix = prefix ? `/${prefix}` : '';
+    this._restStyle = restStyle;
+    this._routes = { ...DEFAULT_ROUTES };
+    this._routeTTLs = {}; // name -> ttlMs for routes added via registerRoute()
+    for (const [name, builder] of Object.entries(routes || {})) this._setRoute(name, builder);
   }
 
   // ---------------
@@ -229,39 +657,84 @@ export class FormHydrator {
    */
   async hydrate(formKey, opts = {}) {
     const id = await this.getFormIdByKey(formKey, opts);
-    const [metadata, fieldsRaw] = await Promise.all([
-      this.getFormMetadata(id, opts),
-      this.getFormFields(id, opts),
-    ]);
-    const fields = this.normalizeFields(fieldsRaw);
-    return { id, metadata, fields, fieldsRaw };
+    return this._hydrateById(id, opts);
+  }
+
+  /**
+   * Hydrate a form together with one of its entries (a saved draft to resume). The entry
+   * is fetched in parallel and bypasses the cache like getEntry().
+   * @param {string} formKey
+   * @param {number|string} entryRef entry id or item_key
+   * @param {CallOptions} [opts]
+   * @returns {Promise<HydrationPayload>} with `entry` set
+   */
+  async hydrateEntry(formKey, entryRef, opts = {}) {
+    this._assertEntryId(entryRef);
+    const [payload, entry] = await Promise.all([this.hydrate(formKey, opts), this.getEntry(entryRef, opts)]);
+    if (entry?.form_id !== undefined && Number(entry.form_id) !== payload.id) {
+      throw new FormHydratorError(`Entry ${entryRef} does not belong to form "${formKey}".`, 'EBADARGS', { body: entry });
+    }
+    return { ...payload, entry };
+  }
+
+  /**
+   * Hydrate many forms with bounded concurrency. Never rejects for a single bad key;
+   * each key gets its own fulfilled/rejected result. When the server advertises the
+   * `idsByKeys` batch route, all IDs are resolved in one request first.
+   * @param {string[]} formKeys
+   * @param {CallOptions & {concurrency?:number, batch?:'auto'|boolean}} [opts]
+   *   concurrency: forms hydrated at once (default 4, also for invalid values); batch: 'auto' discovers the batch
+   *   route via the REST namespace index, true assumes it exists, false skips it
+   * @returns {Promise<Array<HydrateManyResult>>}
+   */
+  async hydrateMany(formKeys, opts = {}) {
+    if (!Array.isArray(formKeys)) throw new FormHydratorError('hydrateMany expects an array of form keys.', 'EBADARGS');
+    const { concurrency = 4, batch = 'auto', ...callOpts } = opts;
+    const ids = batch ? await this._resolveIdsInBatch(formKeys, batch, callOpts) : {};
+
+    const results = new Array(formKeys.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < formKeys.length) {
+        const i = next++;
+        const key = formKeys[i];
+        try {
+          const id = typeof ids[key] === 'number' ? ids[key] : await this.getFormIdByKey(key, callOpts);
+          results[i] = { key, status: 'fulfilled', value: await this._hydrateById(id, callOpts) };
+        } catch (reason) {
+          results[i] = { key, status: 'rejected', reason };
+        }
+      }
+    };
+    // Non-numeric or < 1 (NaN, '', 0, -2) falls back to the default instead of starting no workers
+    const n = Number(concurrency);
+    const limit = Number.isFinite(n) && n >= 1 ? Math.floor(n) : 4;
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, formKeys.length)) }, worker));
+    return results;
   }
 
   /** Resolve ID from key. */
   async getFormIdByKey(formKey, opts = {}) {
     if (!formKey) throw new FormHydratorError('A non-empty formKey is required.', 'EBADARGS');
-    const path = this._routes.idByKey(formKey);
-    const data = await this._getWithCacheAndRetry(path, this._ttl.idByKey, opts);
-    this._guardIdByKey(data);
-    return data.id;
+    const path = this._routePath('idByKey', formKey);
+    const data = await this._getWithCacheAndRetry(path, this._ttl.idByKey, opts, { route: 'idByKey', params: formKey });
+    return Number(this._guard('idByKey', data).id);
   }
 
   /** Fetch form metadata. */
   async getFormMetadata(formId, opts = {}) {
     if (!Number.isFinite(formId)) throw new FormHydratorError('A numeric formId is required.', 'EBADARGS');
-    const path = this._routes.formMeta(formId);
-    const meta = await this._getWithCacheAndRetry(path, this._ttl.metadata, opts);
-    this._guardMetadata(meta);
-    return meta;
+    const path = this._routePath('formMeta', formId);
+    const meta = await this._getWithCacheAndRetry(path, this._ttl.metadata, opts, { route: 'metadata', params: formId });
+    return this._guard('metadata', meta);
   }
 
   /** Fetch form fields. */
   async getFormFields(formId, opts = {}) {
     if (!Number.isFinite(formId)) throw new FormHydratorError('A numeric formId is required.', 'EBADARGS');
-    const path = this._routes.formFields(formId);
-    const fields = await this._getWithCacheAndRetry(path, this._ttl.fields, opts);
-    this._guardFields(fields);
-    return fields;
+    const path = this._routePath('formFields', formId);
+    const fields = await this._getWithCacheAndRetry(path, this._ttl.fields, opts, { route: 'fields', params: formId });
+    return this._guard('fields', fields);
   }
 
   /** Preload/warm caches for a given key (ID, metadata, fields). */
@@ -271,10 +744,109 @@ export class FormHydrator {
     return id;
   }
 
+  // ---------------
+  // Entries (write path)
+  // ---------------
+
+  /**
+   * Create an entry. `data` may be FormData (e.g. `new FormData(formEl)`), URLSearchParams,
+   * or a plain object (sent as JSON, e.g. `{ item_meta: { 12: 'Ada' } }`).
+   * @param {number} formId
+   * @param {FormData|URLSearchParams|Object} data
+   * @param {WriteOptions} [opts]
+   */
+  async createEntry(formId, data, opts = {}) {
+    if (!Number.isFinite(formId)) throw new FormHydratorError('A numeric formId is required.', 'EBADARGS');
+    return this._send('POST', this._routePath('formEntries', formId), { ...opts, body: data });
+  }
+
+  /** Fetch one entry. Entries are user data, so the cache is bypassed unless `cacheBypass: false` is passed. */
+  async getEntry(entryId, opts = {}) {
+    this._assertEntryId(entryId);
+    return this._getWithCacheAndRetry(this._routePath('entry', entryId), this._ttl.metadata, { cacheBypass: true, ...opts }, { route: 'entry', params: entryId });
+  }
+
+  /**
+   * The logged-in WordPress user (wp/v2/users/me, with `roles`), or null when the request
+   * is not authenticated (401/403). Per visitor, so the cache is bypassed like getEntry().
+   * @param {CallOptions} [opts]
+   * @returns {Promise<Object|null>}
+   */
+  async getCurrentUser(opts = {}) {
+    try {
+      return await this._getWithCacheAndRetry(this._routePath('currentUser'), this._ttl.metadata, { cacheBypass: true, ...opts }, { route: 'currentUser' });
+    } catch (err) {
+      if (err?.status === 401 || err?.status === 403) return null;
+      throw err;
+    }
+  }
+
+  /** Update an entry (PUT: idempotent, so retried like a GET). */
+  async updateEntry(entryId, data, opts = {}) {
+    this._assertEntryId(entryId);
+    const path = this._routePath('entry', entryId);
+    const res = await this._send('PUT', path, { ...opts, body: data });
+    await this._forget(path);
+    return res;
+  }
+
+  /** Delete an entry (idempotent). */
+  async deleteEntry(entryId, opts = {}) {
+    this._assertEntryId(entryId);
+    const path = this._routePath('entry', entryId);
+    const res = await this._send('DELETE', path, opts);
+    await this._forget(path);
+    return res;
+  }
+
+  /**
+   * Fetch any named route through the same cache/retry/breaker pipeline.
+   * @param {string} name Route registered via `routes` or registerRoute()
+   * @param {any} [params] Passed verbatim to the route builder
+   * @param {CallOptions} [opts]
+   */
+  async getRoute(name, params, opts = {}) {
+    const path = this._routePath(name, params);
+    const ttl = typeof this._routeTTLs[name] === 'number' ? this._routeTTLs[name] : this._ttl.metadata;
+    return this._getWithCacheAndRetry(path, ttl, opts, { route: name, params });
+  }
+
+  /**
+   * Subscribe to hydrator events. Currently: 'update' (UpdateEvent) after a
+   * stale-while-revalidate refresh returns a body that differs from the cached one.
+   * @param {'update'} event
+   * @param {(evt:UpdateEvent)=>void} handler
+   * @returns {()=>void} unsubscribe
+   */
+  on(event, handler) {
+    if (typeof handler !== 'function') throw new FormHydratorError('An event handler function is required.', 'EBADARGS');
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) { const set = this._listeners.get(event); if (set) set.delete(handler); }
+
   // -----------------
   // Public utilities
   // -----------------
 
+  /**
+   * Add or replace a named route. Built-in names (idByKey, formMeta, formFields) may be overridden.
+   * @param {string} name
+   * @param {RouteBuilder} builder Returns a route relative to the REST root, e.g. (id) => `/acme/v1/things/${id}`
+   * @param {{ttlMs?:number, swr?:SWRPolicy}} [opts] Cache TTL used by getRoute() (defaults to the metadata TTL) and an optional SWR policy
+   */
+  registerRoute(name, builder, opts = {}) {
+    this._setRoute(name, builder);
+    if (typeof opts.ttlMs === 'number') this._routeTTLs[name] = opts.ttlMs;
+    else delete this._routeTTLs[name];
+    if (opts.swr) this._swr[name] = opts.swr;
+  }
+
+  /** Resolve a named route to the request path (prefix or ?rest_route= applied, no baseUrl). */
+  resolveRoute(name, params) { return this._routePath(name, params); }
+
   setHeader(name, value) { if (!name) throw new Error('Header name is required.'); this._headers[name] = value; }
   removeHeader(name) { delete this._headers[name]; }
   setWpNonce(nonce) { this._wpNonce = nonce; }
@@ -282,34 +854,24 @@ export class FormHydrator {
   async invalidateByFormId(formId) {
     if (!Number.isFinite(formId)) throw new FormHydratorError('A numeric formId is required.', 'EBADARGS');
     try {
-      await this._cache.delete(this._cacheKey(this._routes.formMeta(formId)));
-      await this._cache.delete(this._cacheKey(this._routes.formFields(formId)));
+      await this._cache.delete(this._cacheKey(this._routePath('formMeta', formId)));
+      await this._cache.delete(this._cacheKey(this._routePath('formFields', formId)));
     } catch (e) { this._logger.warn('[FormHydrator] cache invalidate (formId) failed', e); }
   }
 
   async invalidateByFormKey(formKey) {
     if (!formKey) throw new FormHydratorError('A non-empty formKey is required.', 'EBADARGS');
-    try { await this._cache.delete(this._cacheKey(this._routes.idByKey(formKey))); }
+    try { await this._cache.delete(this._cacheKey(this._routePath('idByKey', formKey))); }
     catch (e) { this._logger.warn('[FormHydrator] cache invalidate (formKey mapping) failed', e); }
     try {
-      const res = await this._getWithRetry(this._routes.idByKey(formKey), {});
-      if (res && res.data && typeof res.data.id === 'number') await this.invalidateByFormId(res.data.id);
+      const res = await this._requestWithRetry('GET', this._routePath('idByKey', formKey), {});
+      if (res && res.data && isWireId(res.data.id)) await this.invalidateByFormId(Number(res.data.id));
     } catch { /* best-effort */ }
   }
 
-  /** Normalize field array into a predictable shape without mutating the original. */
+  /** Normalize a fields response (keyed object or array) into the ordered FormField model. */
   normalizeFields(fields) {
-    if (!Array.isArray(fields)) return [];
-    return fields.map(f => ({
-      id: Number(f.id),
-      key: String(f.key ?? ''),
-      type: String(f.type ?? 'text'),
-      name: typeof f.name === 'string' ? f.name : undefined,
-      required: Boolean(f.required),
-      defaultValue: f.defaultValue ?? f.default ?? undefined,
-      options: Array.isArray(f.options) ? f.options.slice() : undefined,
-      config: (f && typeof f === 'object') ? { ...f.config } : undefined,
-    }));
+    return normalizeFields(fields);
   }
 
   // -----------------
@@ -324,61 +886,231 @@ export class FormHydrator {
 
   _cacheKey(path) { return `${this._baseUrl}${path}`; }
 
+  _assertEntryId(entryId) {
+    if (entryId === undefined || entryId === null || entryId === '') throw new FormHydratorError('An entry id is required.', 'EBADARGS');
+  }
+
+  async _forget(path) {
+    try { await this._cache.delete(this._cacheKey(path)); }
+    catch (e) { this._logger.warn('[FormHydrator] cache delete failed', e); }
+  }
+
+  // ---- Writes: breaker + retry/timeout/nonce/trace, but no cache and no coalescing
+  async _send(method, path, opts = {}) {
+    const key = this._cacheKey(path);
+    if (!this._breaker.canRequest(key)) {
+      throw new FormHydratorError('Circuit open for this route; refusing request temporarily.', 'ECIRCUIT_OPEN');
+    }
+    const idempotencyKey = opts.idempotencyKey === true ? this._newIdempotencyKey() : opts.idempotencyKey;
+    try {
+      const res = await this._requestWithRetry(method, path, { ...opts, idempotencyKey });
+      this._breaker.recordSuccess(key);
+      return res.data;
+    } catch (e) {
+      // Only server trouble should trip the breaker; a 4xx (validation, auth) says nothing about route health
+      if (!(e && e.status >= 400 && e.status < 500)) this._breaker.recordFailure(key);
+      throw e;
+    }
+  }
+
+  // One provider call no matter how many requests hit the expired nonce at once.
+  _refreshNonce() {
+    if (!this._nonceRefresh) {
+      this._nonceRefresh = Promise.resolve()
+        .then(() => this._nonceProvider())
+        .then((nonce) => {
+          if (typeof nonce !== 'string' || !nonce) throw new FormHydratorError('nonceProvider returned no nonce.', 'ENONCE');
+          this.setWpNonce(nonce);
+          this._logger.info('[FormHydrator] X-WP-Nonce refreshed');
+          return nonce;
+        })
+        .finally(() => { this._nonceRefresh = null; });
+    }
+    return this._nonceRefresh;
+  }
+
+  _newIdempotencyKey() {
+    const c = globalThis.crypto;
+    if (c && typeof c.randomUUID === 'function') return c.randomUUID();
+    return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+  }
+
+  async _hydrateById(id, opts) {
+    const [metadata, fieldsRaw] = await Promise.all([
+      this.getFormMetadata(id, opts),
+      this.getFormFields(id, opts),
+    ]);
+    const fields = this.normalizeFields(fieldsRaw);
+    return { id, metadata, fields, fieldsRaw };
+  }
+
+  // ---- Batch key -> id lookup (best-effort; missing keys fall back to idByKey)
+  async _resolveIdsInBatch(formKeys, batch, opts) {
+    const keys = [...new Set(formKeys.filter(Boolean))];
+    if (keys.length < 2) return {};
+    if (batch === 'auto' && !(await this._hasBatchRoute(opts))) return {};
+    try {
+      const data = await this._getWithCacheAndRetry(this._routePath('idsByKeys', keys), this._ttl.idByKey, opts, { route: 'idsByKeys', params: keys });
+      const map = data && typeof data.ids === 'object' ? data.ids : data;
+      const ids = {};
+      for (const key of keys) {
+        const id = Number(map && map[key]);
+        if (!Number.isFinite(id)) continue;
+        ids[key] = id;
+        // Seed the single-key route so later hydrate(key) calls share the cache
+        try { await this._writeCacheEntry(this._cacheKey(this._routePath('idByKey', key)), { id }, this._ttl.idByKey); }
+        catch (e) { this._logger.warn('[FormHydrator] cache set failed', e); }
+      }
+      return ids;
+    } catch (e) {
+      this._logger.warn('[FormHydrator] batch id lookup failed; resolving keys one by one', { code: e && e.code });
+      return {};
+    }
+  }
+
+  // WordPress lists every route of a namespace at its index (e.g. /wp-json/custom/v1). The answer
+  // is kept when the index loaded or the namespace does not exist (404); a failed lookup (offline,
+  // 5xx, timeout) means no batch this time and is asked again on the next call.
+  _hasBatchRoute(opts) {
+    if (!this._batchSupport) {
+      const route = `/${String(this._routes.idsByKeys([])).replace(/^\/+/, '').split('?')[0]}`;
+      const ns = route.split('/').filter(Boolean).slice(0, 2).join('/');
+      const lookup = this._getWithCacheAndRetry(this._routePath('restNamespace', ns), this._ttl.idByKey, { headers: opts.headers, signal: opts.signal }, { route: 'restNamespace', params: ns })
+        .then((index) => !!(index && index.routes && Object.prototype.hasOwnProperty.call(index.routes, route)))
+        .catch((err) => {
+          if (err?.status !== 404 && this._batchSupport === lookup) this._batchSupport = null;
+          return false;
+        });
+      this._batchSupport = lookup;
+    }
+    return this._batchSupport;
+  }
+
+  _setRoute(name, builder) {
+    if (!name || typeof builder !== 'function') throw new FormHydratorError('A route needs a name and a builder function.', 'EBADARGS');
+    this._routes[name] = builder;
+  }
+
+  // Route name + params -> request path. Pretty: /wp-json/frm/v2/forms/7; query: /?rest_route=/frm/v2/forms/7
+  _routePath(name, params) {
+    const builder = this._routes[name];
+    if (typeof builder !== 'function') throw new FormHydratorError(`Unknown route "${name}".`, 'EBADARGS');
+    const route = `/${String(builder(params)).replace(/^\/+/, '')}`;
+    if (this._restStyle === 'pretty') return `${this._restPrefix}${route}`;
+    const [routePath, query] = route.split('?');
+    return `/?rest_route=${routePath}${query ? `&${query}` : ''}`;
+  }
+
   _inflightKey(path, headers) {
     const h = headers ? Object.keys(headers).sort().map(k => `${k}:${headers[k]}`).join('|') : '';
     return `${this._cacheKey(path)}::${h}`;
   }
 
   // ---- ETag-aware cache wrappers
-  _readCacheEntry(key) {
-    const entry = this._cache.get(key);
-    if (typeof entry === 'undefined') return { body: undefined, etag: undefined };
-    if (entry && typeof entry === 'object' && '__etag' in entry && '__body' in entry) return { body: entry.__body, etag: entry.__etag };
-    return { body: entry, etag: undefined }; // legacy entries
+  async _readCacheEntry(key) {
+    const entry = await this._cache.get(key); // CacheLike.get may be sync (Map) or async (Redis, IndexedDB)
+    if (typeof entry === 'undefined') return { body: undefined, etag: undefined, storedAt: undefined };
+    if (entry && typeof entry === 'object' && '__body' in entry) return { body: entry.__body, etag: entry.__etag, storedAt: entry.__storedAt };
+    return { body: entry, etag: undefined, storedAt: undefined }; // legacy entries
   }
   async _writeCacheEntry(key, body, ttlMs, etag) {
-    if (etag) return this._cache.set(key, { __etag: etag, __body: body }, ttlMs);
-    return this._cache.set(key, body, ttlMs);
+    return this._cache.set(key, { __etag: etag, __body: body, __storedAt: Date.now() }, ttlMs);
   }
 
-  // ---- Lightweight response guards
+  // Effective SWR windows for a route, or null when SWR is off.
+  _swrPolicy(route, routeTTL, opts) {
+    const policy = opts.swr === false ? null : (opts.swr || this._swr[route]);
+    if (!policy || !(policy.staleMs > 0)) return null;
+    return { freshMs: typeof policy.freshMs === 'number' ? policy.freshMs : routeTTL, staleMs: policy.staleMs };
+  }
+
+  _emit(event, detail) {
+    const set = this._listeners.get(event);
+    if (!set) return;
+    for (const handler of set) {
+      try { handler(detail); } catch (e) { this._logger.warn(`[FormHydrator] '${event}' listener threw`, e); }
+    }
+  }
+
+  // ---- Response guards: lightweight checks by default, declarative schemas when opted in
+  _guard(route, data) {
+    if (this._validation === 'basic') {
+      if (route === 'idByKey') this._guardIdByKey(data);
+      else if (route === 'metadata') this._guardMetadata(data);
+      else this._guardFields(data);
+      return data;
+    }
+    const lenient = this._validation === 'lenient';
+    const { value, issues, coerced } = validateSchema(data, RESPONSE_SCHEMAS[route], route, lenient);
+    const fatal = lenient ? issues.filter(i => i.fatal) : issues;
+    if (fatal.length) {
+      throw new FormHydratorError(`Unexpected response shape for ${route}: ${fatal.map(i => `${i.path} (${i.message})`).join('; ')}`, 'EBADSHAPE', { issues: fatal.map(({ path, message }) => ({ path, message })) });
+    }
+    const ignored = issues.filter(i => !i.fatal);
+    if (coerced.length || ignored.length) {
+      this._logger.warn(`[FormHydrator] lenient ${route} response`, {
+        coerced,
+        ignored: ignored.map(({ path, message }) => ({ path, message })),
+      });
+    }
+    return value;
+  }
   _guardIdByKey(obj) {
-    if (!obj || typeof obj.id !== 'number') throw new FormHydratorError('Unexpected response shape for idByKey.', 'EBADSHAPE');
+    if (!obj || !isWireId(obj.id)) throw new FormHydratorError('Unexpected response shape for idByKey.', 'EBADSHAPE');
   }
   _guardMetadata(obj) {
-    if (!obj || typeof obj.id !== 'number' || typeof obj.key !== 'string') throw new FormHydratorError('Unexpected response shape for metadata.', 'EBADSHAPE');
+    // The REST API returns string ids ("1") and form_key; older wrappers return numbers and key.
+    if (!obj || !isWireId(obj.id) || typeof (obj.form_key ?? obj.key) !== 'string') throw new FormHydratorError('Unexpected response shape for metadata.', 'EBADSHAPE');
   }
-  _guardFields(arr) {
-    if (!Array.isArray(arr)) throw new FormHydratorError('Unexpected response shape for fields.', 'EBADSHAPE');
+  _guardFields(fields) {
+    // Formidable returns an object keyed by field_key; older wrappers return an array.
+    if (!fields || typeof fields !== 'object') throw new FormHydratorError('Unexpected response shape for fields.', 'EBADSHAPE');
   }
 
-  // ---- Core GET with cache, coalescing, retries, ETag/304, breaker, and observability
-  async _getWithCacheAndRetry(path, routeTTL, opts = {}) {
+  // ---- Core GET with cache, coalescing, retries, ETag/304, breaker, SWR, and observability
+  async _getWithCacheAndRetry(path, routeTTL, opts = {}, meta = {}) {
     const { cacheBypass = false, ttlMs } = opts;
     const effTTL = typeof ttlMs === 'number' ? ttlMs : routeTTL;
     const key = this._cacheKey(path);
+    const swr = cacheBypass ? null : this._swrPolicy(meta.route, effTTL, opts);
+
+    // Cache check (ETag-aware)
+    let cachedBody, cachedEtag, storedAt;
+    if (!cacheBypass) {
+      try { ({ body: cachedBody, etag: cachedEtag, storedAt } = await this._readCacheEntry(key)); }
+      catch (e) { this._logger.warn('[FormHydrator] cache get failed', e); }
+    }
+
+    // Stale-while-revalidate: answer from cache, refresh in the background once stale
+    if (swr && cachedBody !== undefined && typeof storedAt === 'number') {
+      const age = Date.now() - storedAt;
+      if (age < swr.freshMs) return cachedBody;
+      if (age < swr.freshMs + swr.staleMs) {
+        this._revalidate(path, key, { cachedBody, cachedEtag, ttl: swr.freshMs + swr.staleMs }, opts, meta);
+        return cachedBody;
+      }
+    }
 
     // Circuit breaker
     if (!this._breaker.canRequest(key)) {
       throw new FormHydratorError('Circuit open for this route; refusing request temporarily.', 'ECIRCUIT_OPEN');
     }
 
-    // Cache check (ETag-aware)
-    let cachedBody, cachedEtag;
-    if (!cacheBypass) {
-      try { const { body, etag } = this._readCacheEntry(key); cachedBody = body; cachedEtag = etag; }
-      catch (e) { this._logger.warn('[FormHydrator] cache get failed', e); }
-    }
+    const ttl = swr ? swr.freshMs + swr.staleMs : effTTL; // keep entries through the stale window
+    return this._fetchAndStore(path, key, { cachedBody, cachedEtag, ttl, write: !cacheBypass }, opts);
+  }
 
+  // Network leg shared by foreground requests and SWR refreshes (coalesced, breaker-aware).
+  async _fetchAndStore(path, key, { cachedBody, cachedEtag, ttl, write }, opts) {
     // In-flight coalescing
     const inflightKey = this._inflightKey(path, opts.headers);
     if (this._inflight.has(inflightKey)) return this._inflight.get(inflightKey);
 
     const p = (async () => {
-      const result = await this._getWithRetry(path, { ...opts, etag: cachedEtag }); // {data,etag,from304}
+      const result = await this._requestWithRetry('GET', path, { ...opts, etag: cachedEtag }); // {data,etag,from304}
       const payload = result.from304 ? (cachedBody !== undefined ? cachedBody : result.data) : result.data;
-      if (!cacheBypass) {
-        try { await this._writeCacheEntry(key, payload, effTTL, result.etag); }
+      if (write) {
+        try { await this._writeCacheEntry(key, payload, ttl, result.etag); }
         catch (e) { this._logger.warn('[FormHydrator] cache set failed', e); }
       }
       return payload;
@@ -390,14 +1122,29 @@ export class FormHydrator {
     finally { this._inflight.delete(inflightKey); }
   }
 
-  async _getWithRetry(path, opts = {}) {
+  // Fire-and-forget SWR refresh; never rejects. Emits 'update' when the body changed.
+  _revalidate(path, key, entry, opts, meta) {
+    if (!this._breaker.canRequest(key)) return;
+    const { signal, ...rest } = opts; // the caller already has its answer; don't tie the refresh to its signal
+    this._fetchAndStore(path, key, { ...entry, write: true }, rest)
+      .then((data) => {
+        if (JSON.stringify(data) === JSON.stringify(entry.cachedBody)) return;
+        this._emit('update', { route: meta.route, params: meta.params, path, data, previous: entry.cachedBody });
+      })
+      .catch((e) => this._logger.warn('[FormHydrator] background revalidation failed', { path, code: e && e.code }));
+  }
+
+  async _requestWithRetry(method, path, opts = {}) {
     const { maxRetries, backoffBaseMs, backoffCapMs, jitter, retryOnHTTP } = this._retry;
     let attempt = 0; const traceId = Math.random().toString(16).slice(2);
+    // A lost response to a POST may still have created the entry; only retry when the server can dedupe
+    const canRetry = method === 'GET' || method === 'PUT' || method === 'DELETE' || !!opts.idempotencyKey;
+    let nonceReplayed = false;
 
     while (true) {
       const started = Date.now();
       try {
-        const res = await this._getOnce(path, { ...opts, traceId }); // {data,etag,from304}
+        const res = await this._requestOnce(method, path, { ...opts, traceId }); // {data,etag,from304}
         const duration = Date.now() - started;
         this._logger.info('[FormHydrator] ok', { path, attempt, duration, traceId, from304: !!res.from304 });
         if (typeof opts.onRequest === 'function') opts.onRequest({ traceId, phase:'success', path, attempt, status: 200, durationMs: duration });
@@ -406,13 +1153,23 @@ export class FormHydrator {
         const duration = Date.now() - started;
         if (typeof opts.onRequest === 'function') opts.onRequest({ traceId, phase:'failure', path, attempt, status: err.status, durationMs: duration });
 
+        // Expired nonce (long-lived tab): fetch a fresh one and replay once. The server rejected the
+        // request before running it, so this is safe for writes too and doesn't use up a retry.
+        if (!nonceReplayed && this._nonceProvider && err && err.status === 403 && err.body && err.body.code === 'rest_cookie_invalid_nonce') {
+          nonceReplayed = true;
+          try { opts = { ...opts, wpNonce: await this._refreshNonce() }; }
+          catch (e) { this._logger.warn('[FormHydrator] nonce refresh failed', e); throw err; }
+          this._logger.info('[FormHydrator] replaying with refreshed nonce', { path, traceId });
+          continue;
+        }
+
         attempt++;
         const status = err && err.status;
         const retryAfterMs = err && err.retryAfterMs;
         const isAbort = err && err.name === 'AbortError';
         const isNetwork = err && err.code === 'ENETWORK';
         const retriableHTTP = typeof status === 'number' && retryOnHTTP.includes(status);
-        const retriable = isNetwork || isAbort || retriableHTTP;
+        const retriable = canRetry && (isNetwork || isAbort || retriableHTTP);
 
         if (!retriable || attempt > maxRetries) {
           this._logger.error('[FormHydrator] request failed (no more retries)', { path, attempt, status, traceId, err });
@@ -426,13 +1183,22 @@ export class FormHydrator {
     }
   }
 
-  async _getOnce(path, opts = {}) {
-    const { headers: callHeaders, timeoutMs: callTimeout, signal: callerSignal, traceId, etag: ifNoneMatch, wpNonce, onRequest } = opts;
+  async _requestOnce(method, path, opts = {}) {
+    const { headers: callHeaders, timeoutMs: callTimeout, signal: callerSignal, traceId, etag: ifNoneMatch, wpNonce, onRequest, body, idempotencyKey } = opts;
 
-    // Compose headers: base → per-call → nonce → If-None-Match
+    // Compose headers: base → per-call → nonce → If-None-Match / Idempotency-Key
     const headers = { 'Accept': 'application/json', ...this._headers, ...(callHeaders || {}) };
     const nonce = typeof wpNonce === 'string' ? wpNonce : this._wpNonce; if (nonce) headers['X-WP-Nonce'] = nonce;
     if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    // Body: FormData/URLSearchParams/Blob/string pass through (fetch sets Content-Type); objects become JSON
+    let payload = body;
+    const passThrough = body === undefined || typeof body === 'string'
+      || (typeof FormData !== 'undefined' && body instanceof FormData)
+      || (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams)
+      || (typeof Blob !== 'undefined' && body instanceof Blob);
+    if (!passThrough) { payload = JSON.stringify(body); headers['Content-Type'] = 'application/json'; }
 
     // Compose timeout & signals
     const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
@@ -446,10 +1212,12 @@ export class FormHydrator {
 
     try {
       const url = `${this._baseUrl}${path}`;
-      this._logger.debug('[FormHydrator] GET', { url, traceId, ifNoneMatch: !!ifNoneMatch, hasNonce: !!nonce });
+      this._logger.debug(`[FormHydrator] ${method}`, { url, traceId, ifNoneMatch: !!ifNoneMatch, hasNonce: !!nonce });
       if (typeof onRequest === 'function') onRequest({ traceId, phase:'start', path, attempt: 0 });
 
-      const resp = await this._fetch(url, { method: 'GET', headers, signal: controller ? controller.signal : undefined });
+      const init = { method, headers, signal: controller ? controller.signal : undefined };
+      if (payload !== undefined) init.body = payload;
+      const resp = await this._fetch(url, init);
 
       if (resp.status === 304) return { data: undefined, etag: ifNoneMatch, from304: true };
 
@@ -460,17 +1228,20 @@ export class FormHydrator {
           if (ra) { const secs = Number(ra); if (Number.isFinite(secs)) retryAfterMs = secs * 1000; else { const when = Date.parse(ra); if (!Number.isNaN(when)) retryAfterMs = Math.max(0, when - Date.now()); } }
         } catch {}
         const text = await resp.text().catch(() => '');
+        let errBody = text || undefined;
+        try { if (text) errBody = JSON.parse(text); } catch {} // WP_Error: { code, message, data: { status, ... } }
         const code = typeof resp.status === 'number' ? `EHTTP_${resp.status}` : 'EHTTP';
-        const err = new FormHydratorError(`Request failed ${resp.status} ${resp.statusText} for ${path}${text ? ` — ${text}` : ''}`, code, { status: resp.status, traceId });
+        const err = new FormHydratorError(`Request failed ${resp.status} ${resp.statusText} for ${path}${text ? ` — ${text}` : ''}`, code, { status: resp.status, traceId, body: errBody });
         err.retryAfterMs = retryAfterMs; throw err;
       }
 
       const etag = resp.headers && (resp.headers.get ? resp.headers.get('ETag') : undefined);
-      const data = await resp.json();
+      // A write the server accepted stands even when its response is not JSON (data: null)
+      const data = resp.status === 204 ? undefined : method === 'GET' ? await resp.json() : await resp.json().catch(() => null);
       return { data, etag, from304: false };
     } catch (raw) {
       if (raw && raw.name === 'AbortError') { const err = new FormHydratorError(`Request timed out after ${effTimeout} ms: ${path}`, 'ETIMEDOUT', { traceId, cause: raw }); err.name='AbortError'; throw err; }
-      if (!raw || typeof raw.status !== 'number') throw new FormHydratorError(`Network error during GET ${path}`, 'ENETWORK', { traceId, cause: raw });
+      if (!raw || typeof raw.status !== 'number') throw new FormHydratorError(`Network error during ${method} ${path}`, 'ENETWORK', { traceId, cause: raw });
       throw raw; // already structured
     } finally {
       if (timeoutId) clearTimeout(timeoutId);
@@ -521,29 +1292,40 @@ export async function getFormWith(hydrator, formKey, opts = {}) {
  * it only annotates the DOM with data-* attributes so your renderer can
  * mount real UI when you’re ready.
  *
+ * Keys are hydrated together through hydrateMany(), so a page with many
+ * forms shares one batch ID lookup and a bounded number of parallel requests.
+ *
  * @param {FormHydrator} hydrator
  * @param {ParentNode} [root=document]
+ * @param {CallOptions & {concurrency?:number, batch?:'auto'|boolean}} [opts]
  */
-export async function hydrateFormsInDOMWith(hydrator, root = (typeof document !== 'undefined' ? document : undefined)) {
+export async function hydrateFormsInDOMWith(hydrator, root = (typeof document !== 'undefined' ? document : undefined), opts = {}) {
   if (!hydrator || typeof hydrator.hydrate !== 'function') {
     throw new FormHydratorError('A valid FormHydrator instance is required.', 'EBADARGS');
   }
   if (!root || typeof root.querySelectorAll !== 'function') return;
 
   const targets = Array.from(root.querySelectorAll('[data-form-key]'));
-  for (const el of targets) {
-    const key = el.getAttribute('data-form-key') || '';
-    try {
-      const payload = await hydrator.hydrate(key);
-      el.dataset.formId = String(payload.id);
+  const keys = targets.map((el) => el.getAttribute('data-form-key') || '');
+  const results = typeof hydrator.hydrateMany === 'function'
+    ? await hydrator.hydrateMany(keys, opts)
+    : await Promise.all(keys.map((key) => hydrator.hydrate(key, opts).then(
+        (value) => ({ key, status: 'fulfilled', value }),
+        (reason) => ({ key, status: 'rejected', reason }))));
+
+  targets.forEach((el, i) => {
+    const res = results[i];
+    if (res.status === 'fulfilled') {
+      el.dataset.formId = String(res.value.id);
       el.dataset.hydrated = 'true';
       // leave room for your renderer hook:
-      // el.dispatchEvent(new CustomEvent('formidable:hydrated', { detail: payload }));
-    } catch (err) {
+      // el.dispatchEvent(new CustomEvent('formidable:hydrated', { detail: res.value }));
+    } else {
+      const err = res.reason;
       el.dataset.hydrated = 'error';
       el.dataset.hydrateError = err && (err.code || err.status || err.message) || 'error';
     }
-  }
+  });
 }
 
 // =========================
@@ -576,13 +1358,49 @@ export async function hydrateFormsInDOMWith(hydrator, root = (typeof document !=
 // const redisCache = { get: (k) => redis.get(k).then(x => x && JSON.parse(x)), set: (k,v,ttl) => redis.set(k, JSON.stringify(v), { PX: ttl }), delete: (k) => redis.del(k) };
 // const hydrator = new FormHydrator({ baseUrl: process.env.SITE_URL, fetchImpl: fetch, cache: redisCache, logger: console });
 
+// 4) Custom REST prefix, renamed key-lookup plugin, and plain permalinks (?rest_route=)
+// const hydrator = new FormHydrator({
+//   baseUrl: 'https://example.com',
+//   restPrefix: '/api',                     // ignored when restStyle is 'query'
+//   restStyle: 'query',                     // -> https://example.com/?rest_route=/frm/v2/forms/7
+//   routes: { idByKey: (key) => `/acme-forms/v1/lookup/${encodeURIComponent(key)}` },
+// });
+// hydrator.registerRoute('formStyles', (id) => `/acme-forms/v1/styles/${id}`, { ttlMs: 300_000 });
+// const styles = await hydrator.getRoute('formStyles', 7);
+
+// 4b) Many forms on one page: bounded concurrency, per-key results
+// const results = await hydrator.hydrateMany(['contact_form', 'newsletter_form', 'quote_form'], { concurrency: 3 });
+// for (const r of results) r.status === 'fulfilled' ? render(r.key, r.value) : showFallback(r.key, r.reason);
+
+// 4c) Entries: same nonce/timeout/retry/breaker/trace stack as the reads
+//     For long-lived tabs, add a nonceProvider; core WordPress serves a fresh REST nonce at admin-ajax:
+//     new FormHydrator({ nonceProvider: () => fetch('/wp-admin/admin-ajax.php?action=rest-nonce', { credentials: 'same-origin' }).then(r => r.text()) })
+// const entry = await hydrator.createEntry(7, new FormData(formEl), { idempotencyKey: true, timeoutMs: 20000 });
+// await hydrator.updateEntry(entry.id, { item_meta: { 12: 'Updated' } });
+// try { await hydrator.deleteEntry(entry.id); } catch (err) { if (err.code === 'EHTTP_404') { /* already gone */ } }
+
+// 5) Stale-while-revalidate: instant repeat renders, background refresh, live patching
+// const hydrator = new FormHydrator({
+//   cacheTTLms: { idByKey: 600_000, metadata: 60_000, fields: 60_000 },
+//   swr: { idByKey: { staleMs: 86_400_000 }, metadata: { freshMs: 30_000, staleMs: 600_000 }, fields: { freshMs: 30_000, staleMs: 600_000 } },
+// });
+// hydrator.on('update', ({ route, params, data }) => {
+//   if (route === 'fields') renderer.patchFields(params, hydrator.normalizeFields(data));
+// });
+
+// 6) Schema validation: fail fast in staging, tolerate drift in production
+// const staging = new FormHydrator({ validation: 'strict' });
+// try { await staging.hydrate('contact-form'); }
+// catch (err) { if (err.code === 'EBADSHAPE') console.table(err.issues); } // [{ path: 'fields.email.type', message: 'missing' }, ...]
+// const prod = new FormHydrator({ validation: 'lenient', logger: console }); // "1" -> 1, "0"/"1" flags -> booleans, warns on drift
+
 /*
 ================================================================================
 ASCII One-Pager (copy-friendly)
 --------------------------------------------------------------------------------
 Key -> idByKey -> id -> [ formMeta | formFields ] (parallel) -> normalizeFields -> payload
 
-Cache layers: route-specific TTLs; ETag-aware storage { __etag, __body }
+Cache layers: route-specific TTLs; ETag-aware storage { __etag, __body, __storedAt }; optional SWR windows
 Resilience: retries with backoff (+ Retry-After), circuit breaker, request coalescing
 Security: optional X-WP-Nonce injection per instance or per call
 Observability: traceId, logger hooks, optional onRequest callback
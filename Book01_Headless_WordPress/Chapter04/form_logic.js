@@ -0,0 +1,141 @@
+/**
+ * Conditional logic — evaluator
+ * =============================
+ *
+ * Formidable stores a field's logic as parallel lists in field_options (hide_field,
+ * hide_field_cond, hide_opt), normalized to FormField.logic. This module decides which
+ * fields are visible for a set of answers:
+ *
+ *   ==  !=  >  <  >=  <=   compare; numbers numerically, other values as text
+ *   LIKE  not LIKE         contains / does not contain (case-insensitive)
+ *   ^  $                   starts with / ends with (Formidable's LIKE% / %LIKE)
+ *
+ * Multi-value answers (checkbox groups, multi-selects, several files) match when any value
+ * matches; the negated operators (!=, not LIKE) hold only when none does. A field that is
+ * hidden, directly or through its section, counts as empty for the rules of other fields,
+ * so hiding cascades down a chain of dependent fields.
+ *
+ * Pure data (no DOM): the renderers pass in the form's controls or a value reader.
+ */
+
+const ALIASES = { '=': '==', '<>': '!=', 'LIKE%': '^', '%LIKE': '$', 'not like': 'not LIKE', like: 'LIKE' };
+
+const NUMERIC = /^\s*-?\d+(\.\d+)?\s*$/;
+
+// Positive form of each operator for a single value; negations are applied across all values
+const TESTS = {
+  '==': (a, b) => (NUMERIC.test(a) && NUMERIC.test(b) ? Number(a) === Number(b) : a === b),
+  '>': (a, b) => ordered(a, b) > 0,
+  '<': (a, b) => ordered(a, b) < 0,
+  '>=': (a, b) => ordered(a, b) >= 0,
+  '<=': (a, b) => ordered(a, b) <= 0,
+  LIKE: (a, b) => a.toLowerCase().includes(b.toLowerCase()),
+  '^': (a, b) => a.toLowerCase().startsWith(b.toLowerCase()),
+  '$': (a, b) => a.toLowerCase().endsWith(b.toLowerCase()),
+};
+const NEGATED = { '!=': '==', 'not LIKE': 'LIKE' };
+
+// Sign of a - b: numeric when both are numbers, text otherwise; NaN (never true) when either is empty.
+function ordered(a, b) {
+  if (NUMERIC.test(a) && NUMERIC.test(b)) return Number(a) - Number(b);
+  if (a === '' || b === '') return NaN;
+  return a.localeCompare(b);
+}
+
+/**
+ * Test one rule. `actual` is the trigger's answer (a string, or an array for
+ * multi-value fields); an unknown operator is treated as ==.
+ * @param {string} operator
+ * @param {string|Array<string>} actual
+ * @param {*} expected
+ * @returns {boolean}
+ */
+export function compareValues(operator, actual, expected) {
+  const op = ALIASES[operator] ?? operator;
+  const values = (Array.isArray(actual) && actual.length ? actual : [Array.isArray(actual) ? '' : actual]).map((v) => String(v ?? ''));
+  const target = String(expected ?? '');
+  if (NEGATED[op]) return !values.some((v) => TESTS[NEGATED[op]](v, target));
+  const test = TESTS[op] ?? TESTS['=='];
+  return values.some((v) => test(v, target));
+}
+
+/**
+ * Whether a field with this logic should be shown.
+ * @param {import('./form_hydrator_class_vanilla.js').FieldLogic} logic
+ * @param {function(number):(string|Array<string>)} valueOf answer of a trigger field by id
+ * @returns {boolean}
+ */
+export function evaluateLogic(logic, valueOf) {
+  const results = logic.rules.map((rule) => compareValues(rule.operator, valueOf(Number(rule.field)), rule.value));
+  const met = logic.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  return logic.action === 'show' ? met : !met;
+}
+
+/**
+ * Visibility of every field, with hiding cascaded: hidden fields (and fields inside hidden
+ * sections) read as empty for other rules, and rules are re-run until nothing changes.
+ * Triggers outside `fields` (e.g. top-level fields seen from a repeater row) are read
+ * through `readValue` as they are.
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @param {function(number):(string|Array<string>)} readValue current answer by field id
+ * @returns {Map<number, boolean>}
+ */
+export function resolveVisibility(fields, readValue) {
+  const byId = new Map(fields.map((f) => [f.id, f]));
+  const own = new Map(fields.map((f) => [f.id, true]));
+  const isVisible = (id) => {
+    const seen = new Set();
+    for (let f = byId.get(id); f && !seen.has(f.id); f = byId.get(f.layout.inSection)) {
+      if (!own.get(f.id)) return false;
+      seen.add(f.id);
+    }
+    return true;
+  };
+  const valueOf = (id) => (byId.has(id) && !isVisible(id) ? '' : readValue(id));
+
+  // Each pass can only hide/show fields further down a dependency chain; a cycle stops at the cap
+  for (let pass = 0; pass <= fields.length; pass++) {
+    let changed = false;
+    for (const field of fields) {
+      if (!field.logic) continue;
+      const show = evaluateLogic(field.logic, valueOf);
+      if (show !== own.get(field.id)) {
+        own.set(field.id, show);
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+  return new Map(fields.map((f) => [f.id, isVisible(f.id)]));
+}
+
+/**
+ * Read a field's answer from its rendered controls (anything with name/type/value/checked,
+ * e.g. form elements). `base` is the field's item_meta name:
+ * checkbox groups → checked values, radios and star ratings → the checked value,
+ * multi-selects → selected values, file inputs → file names plus the uploads an edited
+ * entry keeps (hidden inputs of the same name, form_edit.js), multi-part fields
+ * (`base[first]`, `base[line1]`...) → the parts joined with spaces, others → value.
+ * @param {Iterable<{name:string, type?:string, value?:string, checked?:boolean, multiple?:boolean, options?:Iterable<{value:string, selected:boolean}>, files?:Iterable<{name:string}>}>} controls
+ * @param {string} base e.g. `item_meta[12]`
+ * @returns {string|Array<string>}
+ */
+export function valueFromControls(controls, base) {
+  const all = [...controls];
+  const own = all.filter((c) => c.name === base || c.name === `${base}[]`);
+  if (!own.length) {
+    const parts = all.filter((c) => c.name.startsWith(`${base}[`));
+    return parts.map((c) => String(c.value ?? '').trim()).filter(Boolean).join(' ');
+  }
+
+  const [first] = own;
+  if (first.type === 'checkbox' || first.type === 'radio') {
+    const checked = own.filter((c) => c.checked).map((c) => String(c.value));
+    return first.type === 'checkbox' ? checked : (checked[0] ?? '');
+  }
+  if (own.some((c) => c.type === 'file')) {
+    return own.flatMap((c) => (c.type === 'file' ? [...(c.files ?? [])].map((f) => f.name) : [String(c.value ?? '')])).filter(Boolean);
+  }
+  if (first.multiple && first.options) return [...first.options].filter((o) => o.selected).map((o) => String(o.value));
+  return String(first.value ?? '');
+}
@@ -0,0 +1,104 @@
+/**
+ * Multi-page forms — page model
+ * =============================
+ *
+ * Formidable splits a form into pages with `break` fields: every break ends the current
+ * page and starts the next one. The form options control the progress indicator:
+ *
+ *   rootline              '' (none) | 'progress' (bar) | 'rootline' (numbered steps)
+ *   rootline_titles_on    show a title per step
+ *   rootline_titles       titles keyed by the break field id that starts the page
+ *                         (page 1 has no break; it uses key 0 or the first entry)
+ *   rootline_numbers_off  hide step numbers
+ *   rootline_lines_off    hide the connecting lines
+ *   pagination_position   '' / 'above' | 'below' the pages
+ *   transition            CSS class added to a page as it becomes active
+ *   prev_value            label of the Previous button
+ *
+ * This module is pure data (no DOM, no HTML) so the SSR renderer and the DOM engine
+ * paginate identically. Markup lives in form_renderer_ssr.js.
+ */
+
+const on = (v) => v === true || v === 1 || v === '1';
+
+/**
+ * @typedef {Object} FormPage
+ * @property {number} number       1-based
+ * @property {import('./form_hydrator_class_vanilla.js').FormField|null} breakField the break that starts this page
+ * @property {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields   fields on this page (breaks excluded)
+ */
+
+/**
+ * Split an ordered FormField list into pages at each `break` field.
+ * A form without breaks is a single page.
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {Array<FormPage>}
+ */
+export function splitPages(fields) {
+  const pages = [{ number: 1, breakField: null, fields: [] }];
+  for (const field of fields) {
+    if (field.type === 'break') pages.push({ number: pages.length + 1, breakField: field, fields: [] });
+    else pages[pages.length - 1].fields.push(field);
+  }
+  return pages;
+}
+
+/**
+ * @typedef {Object} PaginationSettings
+ * @property {''|'progress'|'rootline'} rootline
+ * @property {boolean} showTitles
+ * @property {boolean} showNumbers
+ * @property {boolean} showLines
+ * @property {'above'|'below'} position
+ * @property {string} transition
+ * @property {string} prevLabel
+ * @property {Object<string, string>|Array<string>} titles
+ */
+
+/**
+ * Read pagination settings from form metadata (`options` from the REST API, or `settings`).
+ * @param {Object} [metadata]
+ * @returns {PaginationSettings}
+ */
+export function paginationSettings(metadata = {}) {
+  const o = metadata.options || metadata.settings || {};
+  return {
+    rootline: o.rootline === 'progress' || o.rootline === 'rootline' ? o.rootline : '',
+    showTitles: on(o.rootline_titles_on),
+    showNumbers: !on(o.rootline_numbers_off),
+    showLines: !on(o.rootline_lines_off),
+    position: o.pagination_position === 'below' ? 'below' : 'above',
+    transition: typeof o.transition === 'string' ? o.transition : '',
+    prevLabel: o.prev_value || 'Previous',
+    titles: o.rootline_titles && typeof o.rootline_titles === 'object' ? o.rootline_titles : {},
+  };
+}
+
+/**
+ * Rootline title for a page: rootline_titles[breakId] (or [0] for page 1), then the
+ * break field's description, then "Page N".
+ * @param {FormPage} page
+ * @param {PaginationSettings} settings
+ */
+export function pageTitle(page, settings) {
+  const titles = settings.titles;
+  const key = page.breakField ? page.breakField.id : 0;
+  const fromSettings = titles[key] ?? (page.number === 1 && Array.isArray(titles) ? titles[0] : undefined);
+  return String(fromSettings || page.breakField?.description || `Page ${page.number}`);
+}
+
+/**
+ * Label of the Next button on a page: the name of the break field that ends it.
+ * @param {Array<FormPage>} pages
+ * @param {number} number 1-based page number
+ */
+export function nextLabel(pages, number) {
+  return pages[number]?.breakField?.name || 'Next';
+}
+
+/** Clamp a requested step to the page range. */
+export function clampPage(number, pageCount) {
+  const n = Math.trunc(Number(number));
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(n, pageCount);
+}
@@ -0,0 +1,621 @@
+/**
+ * Formidable Form Renderer — Server-Side (string) entry point
+ * ===========================================================
+ *
+ * Purpose
+ * -------
+ * Render a FormHydrator payload to an HTML string with no DOM, so Node SSR pipelines
+ * (e.g. FormHydrator + Redis cache from the usage examples) can ship finished markup.
+ * The structure matches " form-renderer-engine.js": `frm_field_[id]_container` wrappers,
+ * `frm_primary_label` labels, `item_meta[...]` names, and the hidden `frm_action`,
+ * `form_id` and `form_key` inputs that Formidable expects on submit (plus `id` and
+ * `item_key` when the form edits an entry, form_edit.js).
+ *
+ * custom_html
+ * -----------
+ * Fields that carry a Formidable `custom_html` template are rendered from it (see
+ * renderCustomHtml), so markup customized in the form builder comes out identical.
+ * Pass `customHtml: false` to always use the built-in wrapper.
+ *
+ * Escaping
+ * --------
+ * Field names, values, options and messages are escaped. Descriptions are admin-authored
+ * HTML in Formidable (the DOM engine assigns them with innerHTML), so they pass through.
+ *
+ * Usage (Node)
+ * ------------
+ *   import { createHydrator } from './form_hydrator_class_vanilla.js';
+ *   import { renderFormToString } from './form_renderer_ssr.js';
+ *   const hydrator = createHydrator({ baseUrl: 'https://example.com', cache: redisCache });
+ *   const html = renderFormToString(await hydrator.hydrate('contact-form'));
+ */
+
+import { normalizeFields } from './form_hydrator_class_vanilla.js';
+import { splitPages, paginationSettings, pageTitle, nextLabel, clampPage } from './form_pages.js';
+import { nestSections, initialRowKeys, ROW_PLACEHOLDER } from './form_sections.js';
+import { draftSettings, entryReference } from './form_drafts.js';
+import { actionInputs, editSettings, updatableFields } from './form_edit.js';
+
+const DEFAULT_CAPTCHA_SITE_KEY = '0x4AAAAAAAWYtWRiMaUVODel';
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Escape text or attribute content. null/undefined render as ''. */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ESCAPES[c]);
+}
+
+// Serialize an attribute map; undefined/null/false are dropped, true renders a bare attribute.
+function attrs(map) {
+  return Object.entries(map)
+    .filter(([, v]) => v !== undefined && v !== null && v !== false)
+    .map(([k, v]) => (v === true ? ` ${k}` : ` ${k}="${escapeHtml(v)}"`))
+    .join('');
+}
+
+// `row` places a field inside a repeater row (see form_sections.js)
+const fieldId = (field, row) => (row ? `field_${field.key}-${row.key}` : `field_${field.key}`);
+const metaName = (field, row) => (row ? `item_meta[${row.section}][${row.key}][${field.id}]` : `item_meta[${field.id}]`);
+const containerId = (field, row) => (row ? `${field.id}-${row.section}-${row.key}` : `${field.id}`);
+
+const errorId = (field, row) => `frm_error_${fieldId(field, row)}`;
+
+// Attributes shared by single-control inputs (mirrors the DOM engine's common block).
+// `error` is the field's current message, if any.
+function controlAttrs(field, row, error) {
+  return {
+    name: metaName(field, row),
+    id: fieldId(field, row),
+    'data-key': field.key,
+    'data-reqmsg': field.messages.blank || undefined,
+    'data-invmsg': field.messages.invalid || undefined,
+    'aria-required': field.required ? 'true' : 'false',
+    'aria-invalid': error ? 'true' : undefined,
+    'aria-describedby': error ? errorId(field, row) : undefined,
+  };
+}
+
+function renderLabel(field, row) {
+  const required = field.required ? ` <span class="frm_required">${escapeHtml(field.layout.requiredIndicator || '*')}</span>` : '';
+  return `<label${attrs({ for: fieldId(field, row), id: `${fieldId(field, row)}_label`, class: 'frm_primary_label' })}>${escapeHtml(field.name)}${required}</label>`;
+}
+
+// The individual options; custom_html templates supply their own frm_opt_container
+function renderChoiceItems(field, row) {
+  const type = field.type === 'checkbox' ? 'checkbox' : 'radio';
+  const name = type === 'checkbox' ? `${metaName(field, row)}[]` : metaName(field, row);
+  return field.options.map((opt, i) => {
+    const id = `${fieldId(field, row)}-${i}`;
+    const input = `<input${attrs({ type, name, id, value: opt.value })}>`;
+    return `<div class="frm_${type}"><label for="${escapeHtml(id)}">${input} ${escapeHtml(opt.label)}</label></div>`;
+  }).join('');
+}
+
+function renderChoices(field, row) {
+  const type = field.type === 'checkbox' ? 'checkbox' : 'radio';
+  const items = renderChoiceItems(field, row);
+  return `<div${attrs({ class: 'frm_opt_container', role: type === 'checkbox' ? 'group' : 'radiogroup', 'aria-labelledby': `${fieldId(field, row)}_label` })}>${items}</div>`;
+}
+
+function renderSelect(field, row, error) {
+  const blank = field.messages.blank ? `<option value="">${escapeHtml(field.messages.blank)}</option>` : '';
+  const options = field.options.map((opt) => `<option${attrs({ value: opt.value, selected: opt.value === field.defaultValue })}>${escapeHtml(opt.label)}</option>`).join('');
+  return `<select${attrs({ ...controlAttrs(field, row, error), class: 'frm_select' })}>${blank}${options}</select>`;
+}
+
+const PART_LABELS = {
+  first: 'First', middle: 'Middle', last: 'Last',
+  line1: 'Line 1', line2: 'Line 2', city: 'City', state: 'State/Province', zip: 'Zip/Postal', country: 'Country',
+};
+const OPTIONAL_PARTS = new Set(['middle', 'line2']);
+
+/**
+ * The sub-inputs of a multi-part field, in display order: name fields follow name_layout
+ * ('first_last', 'last_first', 'first_middle_last'), address fields drop the country when
+ * address_type is 'us'. Empty for single-control fields.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @returns {Array<string>} part keys, as in `item_meta[id][part]`
+ */
+export function fieldParts(field) {
+  if (field.type === 'name') {
+    const layout = field.config.name_layout;
+    if (layout === 'last_first') return ['last', 'first'];
+    if (layout === 'first_middle_last') return ['first', 'middle', 'last'];
+    return ['first', 'last'];
+  }
+  if (field.type === 'address') {
+    const parts = ['line1', 'line2', 'city', 'state', 'zip'];
+    return field.config.address_type === 'us' ? parts : [...parts, 'country'];
+  }
+  return [];
+}
+
+// Name and address: one text input per part, each with its sub-label, as Formidable renders them
+function renderParts(field, row, error) {
+  const common = controlAttrs(field, row, error);
+  const parts = fieldParts(field).map((part) => {
+    const id = `${fieldId(field, row)}_${part}`;
+    const input = `<input${attrs({
+      type: 'text',
+      ...common,
+      name: `${metaName(field, row)}[${part}]`,
+      id,
+      'aria-required': field.required && !OPTIONAL_PARTS.has(part) ? 'true' : 'false',
+    })}>`;
+    return `<div class="frm_form_subfield-${part}">${input}<label class="frm_description" for="${escapeHtml(id)}">${PART_LABELS[part]}</label></div>`;
+  }).join('');
+  return `<div${attrs({ id: fieldId(field, row), class: 'frm_combo_inputs_container', role: 'group', 'aria-labelledby': `${fieldId(field, row)}_label` })}>${parts}</div>`;
+}
+
+const INPUT_TYPES = { text: 'text', email: 'email', url: 'url', phone: 'tel', password: 'password', number: 'number', range: 'range' };
+
+/**
+ * Render the control (input, textarea, option group...) for one field, without its wrapper.
+ * Returns null for types this renderer does not know.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {{captchaSiteKey?:string, errors?:Object<string, string>, row?:import('./form_sections.js').RowContext}} [options]
+ *   errors: message by field id; marks the control aria-invalid
+ * @returns {string|null}
+ */
+export function renderControlToString(field, options = {}) {
+  const { row } = options;
+  const error = options.errors?.[field.id];
+  const v = field.validation;
+  switch (field.type) {
+    case 'text':
+    case 'email':
+    case 'url':
+    case 'phone':
+    case 'password':
+    case 'number':
+    case 'range': {
+      const numeric = field.type === 'number' || field.type === 'range';
+      return `<input${attrs({
+        type: INPUT_TYPES[field.type],
+        ...controlAttrs(field, row, error),
+        value: field.type === 'password' ? undefined : (field.defaultValue || undefined),
+        placeholder: field.placeholder || undefined,
+        min: numeric ? v.minnum : undefined,
+        max: numeric ? v.maxnum : undefined,
+        step: numeric ? v.step : undefined,
+        maxlength: !numeric && v.maxLimitType === 'char' ? v.maxLimit : undefined,
+        readonly: field.layout.readOnly,
+      })}>`;
+    }
+    case 'textarea':
+      return `<textarea${attrs({ ...controlAttrs(field, row, error), rows: field.layout.max || 5, placeholder: field.placeholder || undefined, readonly: field.layout.readOnly })}>${escapeHtml(field.defaultValue)}</textarea>`;
+    case 'checkbox':
+    case 'radio':
+      return renderChoices(field, row);
+    case 'select':
+      return renderSelect(field, row, error);
+    case 'name':
+    case 'address':
+      return renderParts(field, row, error);
+    case 'file':
+      return `<input${attrs({
+        type: 'file',
+        ...controlAttrs(field, row, error),
+        name: `${metaName(field, row)}${v.multiple ? '[]' : ''}`,
+        multiple: !!v.multiple,
+      })}>`;
+    case 'hidden':
+      return `<input${attrs({ type: 'hidden', name: metaName(field, row), id: fieldId(field, row), value: field.defaultValue ?? '' })}>`;
+    case 'captcha':
+      return `<div${attrs({
+        id: fieldId(field, row),
+        class: 'cf-turnstile',
+        'data-sitekey': options.captchaSiteKey || DEFAULT_CAPTCHA_SITE_KEY,
+        'data-size': field.config.captcha_size || 'normal',
+        'data-theme': field.config.captcha_theme || 'light',
+      })}></div>`;
+    case 'summary':
+      return renderSummaryToString(field, [], options);
+    default:
+      return null;
+  }
+}
+
+// The submit button (edit_value when editing an entry), followed by the Save Draft link
+// when the form allows drafts
+const renderSubmitButton = (field, options = {}) => `<button type="submit" class="frm_button_submit fm-form-submit">${escapeHtml(options.edit?.label || field.name || 'Submit')}</button>${renderDraftLinkToString(options.draft)}`;
+
+/**
+ * Formidable's Save Draft link; '' unless drafts are enabled.
+ * @param {import('./form_drafts.js').DraftSettings} [settings]
+ * @returns {string}
+ */
+export function renderDraftLinkToString(settings) {
+  return settings?.enabled ? `<a href="#" tabindex="0" class="frm_save_draft" role="button">${escapeHtml(settings.label)}</a>` : '';
+}
+
+/**
+ * Confirmation shown after a draft is saved: draft_msg, plus the link that resumes it.
+ * @param {import('./form_drafts.js').DraftSettings} settings
+ * @param {string} [url] resume URL (form_drafts.js resumeUrl)
+ * @returns {string}
+ */
+export function renderDraftMessageToString(settings, url) {
+  const link = url ? `<p>Resume later: <a class="frm_resume_link" href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>` : '';
+  return `<div class="frm_message frm_draft_msg" role="status"><p>${escapeHtml(settings.message)}</p>${link}</div>`;
+}
+
+// -----------------------------------
+// custom_html template interpreter
+// -----------------------------------
+
+const TEMPLATE_CONDITIONAL = /\[if ([a-z_]+)\]([\s\S]*?)\[\/if \1\]/g;
+const TEMPLATE_SHORTCODE = /\[([a-z_]+)(?:\s[^\]]*)?\]/g;
+const TEMPLATE_INPUT = /\[input(?:\s[^\]]*)?\]/;
+
+/**
+ * Render a field from its Formidable custom_html template.
+ *
+ * Supported shortcodes: [id] [key] [field_name] [description] [required_label]
+ * [required_class] [error_class] [error] [label_position] [input], plus
+ * [if name]...[/if name] blocks, which are kept only when that value is non-empty.
+ * Attributes on a shortcode (e.g. [input class="x"]) are ignored. Unknown shortcodes
+ * are left as written, as WordPress does for unregistered shortcodes.
+ *
+ * Returns null when the field has no template, or its template has no [input], so the
+ * caller can fall back to the built-in wrapper rather than drop the control.
+ * Inside a repeater row [id] and [key] carry the row suffix, as Formidable renders them.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {{captchaSiteKey?:string, draft?:import('./form_drafts.js').DraftSettings, errors?:Object<string, string>, row?:import('./form_sections.js').RowContext}} [options]
+ *   errors: message by field id; draft: adds the Save Draft link to the submit field
+ * @returns {string|null}
+ */
+export function renderCustomHtml(field, options = {}) {
+  const template = field.html;
+  if (!template || !TEMPLATE_INPUT.test(template)) return null;
+
+  let input;
+  if (field.type === 'submit') input = renderSubmitButton(field, options);
+  else if (field.type === 'checkbox' || field.type === 'radio') input = renderChoiceItems(field, options.row);
+  else input = renderControlToString(field, options);
+  if (input === null) return null;
+
+  const error = options.errors?.[field.id] ?? '';
+  const position = field.layout.labelPosition;
+  const values = {
+    id: escapeHtml(containerId(field, options.row)),
+    key: escapeHtml(options.row ? `${field.key}-${options.row.key}` : field.key),
+    field_name: escapeHtml(field.name),
+    description: field.description,
+    required_label: field.required ? escapeHtml(field.layout.requiredIndicator || '*') : '',
+    required_class: field.required ? ' frm_required_field' : '',
+    error_class: [error && ' frm_blank_field', position && ` frm_${escapeHtml(position)}_container`, field.layout.classes && ` ${escapeHtml(field.layout.classes)}`].filter(Boolean).join(''),
+    error: escapeHtml(error),
+    label_position: escapeHtml(position || 'top'),
+    input,
+  };
+
+  return template
+    .replace(TEMPLATE_CONDITIONAL, (match, name, body) => (name in values ? (values[name] ? body : '') : match))
+    .replace(TEMPLATE_SHORTCODE, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Render one field with its Formidable wrapper, label and description. Uses the field's
+ * custom_html template when it has one (unless `customHtml: false`).
+ * Returns '' for unknown types so callers can concatenate safely.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {{captchaSiteKey?:string, customHtml?:boolean, draft?:import('./form_drafts.js').DraftSettings, edit?:import('./form_edit.js').EditSettings, errors?:Object<string, string>, row?:import('./form_sections.js').RowContext}} [options]
+ *   edit: set when the form edits an entry (submit label)
+ * @returns {string}
+ */
+export function renderFieldToString(field, options = {}) {
+  const { row } = options;
+  const error = options.errors?.[field.id];
+  if (options.customHtml !== false) {
+    const custom = renderCustomHtml(field, options);
+    if (custom !== null) return custom;
+  }
+  if (field.type === 'submit') return `<div class="frm_submit">${renderSubmitButton(field, options)}</div>`;
+  const control = renderControlToString(field, options);
+  if (control === null) return '';
+
+  const classes = ['frm_form_field', 'form-field', field.required && 'frm_required_field', error && 'frm_blank_field', field.layout.classes].filter(Boolean).join(' ');
+  const label = ['hidden', 'captcha', 'summary'].includes(field.type) ? '' : renderLabel(field, row);
+  const description = field.description
+    ? `<div${attrs({ id: `frm_desc_${fieldId(field, row)}`, class: 'frm_description' })}>${field.description}</div>`
+    : '';
+  const message = error ? `<div${attrs({ id: errorId(field, row), class: 'frm_error', role: 'alert' })}>${escapeHtml(error)}</div>` : '';
+  return `<div${attrs({ id: `frm_field_${containerId(field, row)}_container`, class: classes })}>${label}${control}${description}${message}</div>`;
+}
+
+/**
+ * Form-level error summary (Formidable's frm_error_style box): the form messages, then a
+ * link to each invalid field. '' when there is nothing to report.
+ * @param {Array<string>} formErrors
+ * @param {Array<{field:import('./form_hydrator_class_vanilla.js').FormField, message:string, row?:string}>} [fieldErrors]
+ * @returns {string}
+ */
+export function renderErrorSummaryToString(formErrors, fieldErrors = []) {
+  if (!formErrors.length && !fieldErrors.length) return '';
+  const messages = formErrors.map((message) => `<p>${escapeHtml(message)}</p>`).join('');
+  const links = fieldErrors.map(({ field, row, message }) => {
+    const target = fieldId(field, row === undefined ? undefined : { key: row });
+    return `<li><a href="#${escapeHtml(target)}">${escapeHtml(field.name ? `${field.name}: ${message}` : message)}</a></li>`;
+  }).join('');
+  return `<div class="frm_error_style" role="alert" tabindex="-1">${messages}${links ? `<ul>${links}</ul>` : ''}</div>`;
+}
+
+/**
+ * A form message box: `frm_message` (status) or `frm_error_style` (alert). Messages such as
+ * edit_msg are admin-authored HTML, so they pass through; plain text is put in a <p>.
+ * @param {string} message
+ * @param {'message'|'error'} [kind]
+ * @returns {string}
+ */
+export function renderFormMessageToString(message, kind = 'message') {
+  const body = /<(p|div|ul|ol|h[1-6])[\s>]/i.test(message) ? message : `<p>${message}</p>`;
+  return kind === 'error'
+    ? `<div class="frm_error_style" role="alert">${body}</div>`
+    : `<div class="frm_message" role="status">${body}</div>`;
+}
+
+/**
+ * Shown instead of a login-only form (form_availability.js): the message and a link to log
+ * in that comes back to the form.
+ * @param {string} message
+ * @param {string} loginUrl
+ * @returns {string}
+ */
+export function renderLoginPromptToString(message, loginUrl) {
+  return `<div class="frm_message frm_login_prompt" role="status"><p>${escapeHtml(message)}</p>`
+    + `<p><a${attrs({ class: 'frm_login_link', href: loginUrl })}>Log in</a></p></div>`;
+}
+
+/**
+ * The uploads an edited entry already has in a file field (form_edit.js fileReferences):
+ * one hidden input per file, so it posts back with the entry, and a Remove button that
+ * drops it. '' when there are none.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {Array<import('./form_edit.js').FileReference>} refs
+ * @returns {string}
+ */
+export function renderFileReferencesToString(field, refs) {
+  if (!refs.length) return '';
+  const name = `item_meta[${field.id}]${field.validation.multiple ? '[]' : ''}`;
+  const items = refs.map((ref) => {
+    const label = ref.url
+      ? `<a${attrs({ href: ref.url, target: '_blank', rel: 'noopener' })}>${escapeHtml(ref.name)}</a>`
+      : `<span>${escapeHtml(ref.name)}</span>`;
+    return `<div class="frm_uploaded_file"><input${attrs({ type: 'hidden', name, value: ref.value })}>${label} `
+      + `<button${attrs({ type: 'button', class: 'frm_remove_link', 'aria-label': `Remove ${ref.name}` })}>Remove</button></div>`;
+  }).join('');
+  return `<div class="frm_uploaded_files">${items}</div>`;
+}
+
+/**
+ * Offer to restore answers autosaved on an earlier visit (form_autosave.js). The buttons
+ * are type="button" so neither submits the form.
+ * @returns {string}
+ */
+export function renderAutosavePromptToString() {
+  return '<div class="frm_message frm_autosave_prompt" role="region" aria-label="Saved answers">'
+    + '<p>You have answers saved from an earlier visit. Restore them?</p>'
+    + '<button type="button" class="frm_autosave_restore">Restore</button> '
+    + '<button type="button" class="frm_autosave_discard">Discard</button></div>';
+}
+
+/**
+ * The confirmation input of a field with conf_field set (e.g. "Confirm email"), posted as
+ * item_meta[conf_<id>] in its own container after the field. '' when not configured.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @returns {string}
+ */
+export function renderConfirmationToString(field) {
+  const v = field.validation;
+  if (!v.confirmField) return '';
+  const id = `field_conf_${field.key}`;
+  const classes = ['frm_form_field', 'form-field', 'frm_conf_field', field.required && 'frm_required_field', field.layout.classes].filter(Boolean).join(' ');
+  const required = field.required ? ` <span class="frm_required">${escapeHtml(field.layout.requiredIndicator || '*')}</span>` : '';
+  const label = `<label${attrs({ for: id, id: `${id}_label`, class: 'frm_primary_label' })}>${escapeHtml(v.confirmPlaceholder || `Confirm ${field.name}`)}${required}</label>`;
+  const input = `<input${attrs({
+    type: INPUT_TYPES[field.type] || 'text',
+    name: `item_meta[conf_${field.id}]`,
+    id,
+    placeholder: v.confirmPlaceholder || undefined,
+    'aria-required': field.required ? 'true' : 'false',
+  })}>`;
+  const description = v.confirmDescription ? `<div${attrs({ id: `frm_desc_${id}`, class: 'frm_description' })}>${v.confirmDescription}</div>` : '';
+  return `<div${attrs({ id: `frm_field_conf_${field.id}_container`, class: classes })}>${label}${input}${description}</div>`;
+}
+
+// -----------------------------------
+// Summary field (see form_summary.js)
+// -----------------------------------
+
+/**
+ * The review panel of a `summary` field: its name as the heading and one row per answer,
+ * each with an Edit link. On multi-page forms the link goes to the page's step hash
+ * (#form_<key>-step-<n>), elsewhere to the field's control.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {Array<import('./form_summary.js').SummaryItem>} items from summarize()
+ * @param {{formKey?:string}} [options]
+ * @returns {string}
+ */
+export function renderSummaryToString(field, items, options = {}) {
+  const rows = items.map((item) => {
+    const target = item.page ? `form_${options.formKey ?? ''}-step-${item.page}` : fieldId(item.field, item.row === undefined ? undefined : { key: item.row });
+    const edit = `<a${attrs({ class: 'frm_summary_edit', href: `#${target}`, 'data-field': item.field.id, 'data-row': item.row, 'data-page': item.page ?? undefined, 'aria-label': `Edit ${item.label}` })}>Edit</a>`;
+    return `<div class="frm_summary_row"><span class="frm_summary_label">${escapeHtml(item.label)}</span>` +
+      `<span class="frm_summary_value">${escapeHtml(item.value)}</span>${edit}</div>`;
+  }).join('');
+  return `<div${attrs({ id: fieldId(field), class: 'frm_summary', 'aria-live': 'polite' })}><h3>${escapeHtml(field.name || 'Summary')}</h3>${rows}</div>`;
+}
+
+// -----------------------------------
+// Sections (see form_sections.js)
+// -----------------------------------
+
+/**
+ * A section heading (`divider`) as a <fieldset> around its already-rendered children.
+ * Collapsible sections get a toggle button and start collapsed. Repeatable sections get
+ * the `frm_repeat_section` class and their row limits as data attributes.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {string} childrenHtml
+ * @returns {string}
+ */
+export function renderSectionToString(field, childrenHtml) {
+  const collapsible = !!field.section?.collapsible;
+  const repeat = field.section?.repeat;
+  const contentId = `frm_section_${field.id}_content`;
+  const heading = collapsible
+    ? `<button${attrs({ type: 'button', class: 'frm_trigger', 'aria-expanded': 'false', 'aria-controls': contentId })}>${escapeHtml(field.name)}</button>`
+    : escapeHtml(field.name);
+  const classes = ['frm_form_field', 'frm_section_heading', 'form-field', repeat && 'frm_repeat_section', field.layout.classes].filter(Boolean).join(' ');
+  const description = field.description ? `<div class="frm_description">${field.description}</div>` : '';
+  return `<div${attrs({ id: `frm_field_${field.id}_container`, class: classes, 'data-section': field.id, 'data-repeat-min': repeat?.min, 'data-repeat-max': repeat?.max })}>` +
+    `<fieldset><legend><h3>${heading}</h3></legend>${description}` +
+    `<div${attrs({ id: contentId, class: 'frm_section_content', hidden: collapsible })}>${childrenHtml}</div>` +
+    `</fieldset></div>`;
+}
+
+/**
+ * One row of a repeatable section: its row_ids entry, the child fields named
+ * item_meta[section][row][field], and the row's move/remove buttons. Pass
+ * ROW_PLACEHOLDER as `rowKey` for the add-row template.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} section
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields row fields
+ * @param {string|number} rowKey
+ * @param {{captchaSiteKey?:string, customHtml?:boolean, errors?:Object<string, string>}} [options]
+ * @returns {string}
+ */
+export function renderRepeaterRowToString(section, fields, rowKey, options = {}) {
+  const row = { section: section.id, key: rowKey };
+  const rowIds = `<input${attrs({ type: 'hidden', name: `item_meta[${section.id}][row_ids][]`, value: rowKey })}>`;
+  const controls = fields.map((field) => renderFieldToString(field, { ...options, row })).join('');
+  const buttons = `<div class="frm_repeat_buttons">` +
+    `<button type="button" class="frm_move_up" aria-label="Move row up">&uarr;</button>` +
+    `<button type="button" class="frm_move_down" aria-label="Move row down">&darr;</button>` +
+    `<button type="button" class="frm_remove_form_row">${escapeHtml(section.section.repeat.removeLabel)}</button></div>`;
+  return `<div${attrs({ id: `frm_section_${section.id}-${rowKey}`, class: `frm_repeat_sec frm_repeat_${section.id}`, 'data-row': rowKey })}>${rowIds}${controls}${buttons}</div>`;
+}
+
+/**
+ * Body of a repeatable section: child form id, the initial rows, an add-row <template>
+ * and the Add button. Wrap it with renderSectionToString.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} section
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields row fields
+ * @param {{captchaSiteKey?:string, customHtml?:boolean, errors?:Object<string, string>}} [options]
+ * @returns {string}
+ */
+export function renderRepeaterToString(section, fields, options = {}) {
+  const { repeat } = section.section;
+  const form = `<input${attrs({ type: 'hidden', name: `item_meta[${section.id}][form]`, value: repeat.formId ?? '' })}>`;
+  const rows = initialRowKeys(repeat).map((key) => renderRepeaterRowToString(section, fields, key, options)).join('');
+  // The template never carries server errors; new rows start clean
+  const template = renderRepeaterRowToString(section, fields, ROW_PLACEHOLDER, { ...options, errors: undefined });
+  return `${form}<div class="frm_repeat_rows">${rows}</div>` +
+    `<template class="frm_repeat_template">${template}</template>` +
+    `<div class="frm_repeat_actions"><button type="button" class="frm_add_form_row">${escapeHtml(repeat.addLabel)}</button></div>`;
+}
+
+// Render a field list, nesting section children inside their fieldset
+function renderFieldListToString(fields, options) {
+  const renderNode = ({ field, children }) => {
+    if (field.type !== 'divider') return renderFieldToString(field, options) + renderConfirmationToString(field);
+    const body = field.section?.repeat
+      ? renderRepeaterToString(field, children.map((child) => child.field), options)
+      : children.map(renderNode).join('');
+    return renderSectionToString(field, body);
+  };
+  return nestSections(fields).map(renderNode).join('');
+}
+
+// -----------------------------------
+// Multi-page forms (see form_pages.js)
+// -----------------------------------
+
+/**
+ * Rootline / progress indicator for the current step; '' when the form has none.
+ * @param {Array<import('./form_pages.js').FormPage>} pages
+ * @param {number} current 1-based
+ * @param {import('./form_pages.js').PaginationSettings} settings
+ * @returns {string}
+ */
+export function renderRootlineToString(pages, current, settings) {
+  if (!settings.rootline || pages.length < 2) return '';
+  const total = pages.length;
+  if (settings.rootline === 'progress') {
+    const title = settings.showTitles ? `: ${escapeHtml(pageTitle(pages[current - 1], settings))}` : '';
+    const width = Math.round((current / total) * 100);
+    return `<div${attrs({ class: 'frm_rootline_group frm_progress', role: 'progressbar', 'aria-valuemin': 1, 'aria-valuemax': total, 'aria-valuenow': current })}>` +
+      `<div class="frm_progress_line" style="width:${width}%"></div>` +
+      `<div class="frm_rootline_title">Step ${current} of ${total}${title}</div></div>`;
+  }
+  const steps = pages.map((page) => {
+    const classes = ['frm_rootline_single', page.number === current && 'frm_current_page', page.number < current && 'frm_rootline_done'].filter(Boolean).join(' ');
+    const number = settings.showNumbers ? `<span class="frm_rootline_number">${page.number}</span>` : '';
+    const title = settings.showTitles ? `<span class="frm_rootline_title">${escapeHtml(pageTitle(page, settings))}</span>` : '';
+    return `<li${attrs({ class: classes, 'data-page': page.number, 'aria-current': page.number === current ? 'step' : undefined })}>${number}${title}</li>`;
+  }).join('');
+  const barClasses = ['frm_page_bar', 'frm_rootline', settings.showLines && 'frm_show_lines'].filter(Boolean).join(' ');
+  return `<div class="frm_rootline_group"><ul class="${barClasses}">${steps}</ul></div>`;
+}
+
+/**
+ * Previous/Next buttons for a page. The last page only gets Previous; its submit field
+ * is the only way to submit the form.
+ * @param {Array<import('./form_pages.js').FormPage>} pages
+ * @param {number} number 1-based page number
+ * @param {import('./form_pages.js').PaginationSettings} settings
+ * @returns {string}
+ */
+export function renderPageNavToString(pages, number, settings) {
+  const prev = number > 1 ? `<button type="button" class="frm_prev_page" formnovalidate>${escapeHtml(settings.prevLabel)}</button>` : '';
+  const next = number < pages.length ? `<button type="button" class="frm_next_page">${escapeHtml(nextLabel(pages, number))}</button>` : '';
+  return prev || next ? `<div class="frm_submit frm_page_nav">${prev}${next}</div>` : '';
+}
+
+/**
+ * Render a hydration payload ({ id, metadata, fields }) to a complete <form> string.
+ * Fields may be normalized FormFields or the raw REST response. Forms with `break` fields
+ * render one `.frm_page_break` container per page (`page` is the active one, default 1).
+ * Pass `entry` (an entries API response) to render the form for editing it: the hidden
+ * inputs update that entry and the submit button says edit_value. Its answers are filled
+ * in by the DOM engine; repeatable sections are left out of a submitted entry's form
+ * (form_edit.js updatableFields), while a draft keeps them so it can still be finished.
+ * @param {import('./form_hydrator_class_vanilla.js').HydrationPayload} payload
+ * @param {{formKey?:string, enableCaptcha?:boolean, captchaSiteKey?:string, customHtml?:boolean, errors?:Object<string, string>, page?:number, entry?:Object}} [options]
+ * @returns {string}
+ */
+export function renderFormToString(payload, options = {}) {
+  const { metadata = {} } = payload || {};
+  const formKey = options.formKey ?? metadata.form_key ?? metadata.key ?? '';
+  const formId = payload?.id ?? metadata.id ?? '';
+  const editing = entryReference(options.entry);
+  // A submitted entry being edited says edit_value and cannot go back to being a draft
+  const modes = editing && !Number(options.entry.is_draft) ? { edit: editSettings(metadata) } : { draft: draftSettings(metadata) };
+  const all = normalizeFields(payload?.fields ?? payload?.fieldsRaw);
+  const fields = modes.edit ? updatableFields(all) : all;
+
+  const hidden = [...actionInputs(editing), ['form_id', formId], ['form_key', formKey]]
+    .map(([name, value]) => `<input${attrs({ type: 'hidden', name, value })}>`)
+    .join('');
+  const captcha = options.enableCaptcha
+    ? `<div${attrs({ class: 'cf-turnstile', 'data-sitekey': options.captchaSiteKey || DEFAULT_CAPTCHA_SITE_KEY, 'data-size': 'normal', 'data-theme': 'light' })}></div>`
+    : '';
+  const renderFields = (list) => renderFieldListToString(list, { ...modes, ...options });
+
+  const pages = splitPages(fields);
+  let body;
+  if (pages.length < 2) {
+    body = renderFields(fields) + captcha;
+  } else {
+    const settings = paginationSettings(metadata);
+    const current = clampPage(options.page ?? 1, pages.length);
+    const pageHtml = pages.map((page) => {
+      const classes = ['frm_page_break', page.number === current && 'frm_active_page'].filter(Boolean).join(' ');
+      const extra = page.number === pages.length ? captcha : '';
+      return `<div${attrs({ class: classes, id: `frm_page_${formId}_${page.number}`, 'data-page': page.number })}>${renderFields(page.fields)}${extra}${renderPageNavToString(pages, page.number, settings)}</div>`;
+    }).join('');
+    const rootline = renderRootlineToString(pages, current, settings);
+    body = settings.position === 'below' ? pageHtml + rootline : rootline + pageHtml;
+  }
+
+  return `<form${attrs({ method: 'post', class: 'frm-show-form headless-formidable', id: `form_${formKey}` })}>${hidden}${body}</form>`;
+}
@@ -0,0 +1,88 @@
+/**
+ * Sections — field tree model
+ * ===========================
+ *
+ * Formidable groups fields under a section heading (`divider`). Each child carries the
+ * divider's id in `field_options.in_section` (FormField.layout.inSection) and an
+ * `end_divider` field closes the group. The REST API returns them flat; nestSections()
+ * turns a page's fields into a tree so renderers can wrap children in a <fieldset>.
+ *
+ * Pure data (no DOM, no HTML), shared by form_renderer_ssr.js and the DOM engine.
+ */
+
+/**
+ * @typedef {Object} FieldNode
+ * @property {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @property {Array<FieldNode>} children  nested fields (dividers only; [] otherwise)
+ */
+
+/**
+ * Nest fields under their section by in_section, keeping field order. `end_divider`
+ * fields are markers and are dropped; children whose section is not in the list stay
+ * at the top level.
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {Array<FieldNode>}
+ */
+export function nestSections(fields) {
+  const nodes = new Map();
+  const roots = [];
+  for (const field of fields) {
+    if (field.type === 'end_divider') continue;
+    const node = { field, children: [] };
+    if (field.type === 'divider') nodes.set(field.id, node);
+    const parent = field.layout.inSection ? nodes.get(field.layout.inSection) : undefined;
+    if (parent && parent !== node) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+/*
+ * Repeatable sections
+ * -------------------
+ * A divider with `repeat` turned on stores its children in a child form, one entry per
+ * row. Formidable posts the rows nested under the section id:
+ *
+ *   item_meta[<section>][form]        child form id
+ *   item_meta[<section>][row_ids][]   row keys, in display order
+ *   item_meta[<section>][<row>][<id>] a field value in that row
+ *
+ * New rows use integer keys; rows of a saved entry keep their `i<entryId>` keys. In the
+ * markup a row field's id gets the row appended (`field_<key>-<row>`, container
+ * `frm_field_<id>-<section>-<row>_container`), matching Formidable's own output.
+ */
+
+/** Placeholder row key used in the add-row <template>. */
+export const ROW_PLACEHOLDER = '__row__';
+
+/**
+ * Where a field sits inside a repeater row.
+ * @typedef {{section:number, key:(string|number)}} RowContext
+ */
+
+/**
+ * Keys of the rows rendered initially: 0..rows-1, within the section's limits.
+ * @param {import('./form_hydrator_class_vanilla.js').FieldRepeat} repeat
+ * @returns {Array<number>}
+ */
+export function initialRowKeys(repeat) {
+  const count = Math.min(Math.max(repeat.rows, repeat.min), repeat.max ?? Infinity);
+  return Array.from({ length: count }, (_, i) => i);
+}
+
+/**
+ * Key for a new row: one past the highest integer key in use (saved `i…` rows ignored).
+ * @param {Array<string|number>} keys
+ */
+export function nextRowKey(keys) {
+  const used = keys.map(Number).filter(Number.isInteger);
+  return used.length ? Math.max(...used) + 1 : 0;
+}
+
+/** Whether another row may be added / removed given the current row count. */
+export function canAddRow(repeat, count) {
+  return repeat.max === undefined || count < repeat.max;
+}
+export function canRemoveRow(repeat, count) {
+  return count > repeat.min;
+}
@@ -0,0 +1,259 @@
+/**
+ * FormidableSubmitHandler — entry submission
+ * ==========================================
+ *
+ * Posts a form to Formidable's entries endpoint (/wp-json/frm/v2/forms/<id>/entries) through
+ * FormHydrator's write path (createEntry/updateEntry: nonce replay, retries of updates,
+ * timeout, FormHydratorError) and reports the outcome as DOM events, so renderers and page
+ * code share one submit path:
+ *
+ *   new FormidableSubmitHandler(formEl, {
+ *     formKey,
+ *     hydrator,
+ *     validate: simpleRequiredValidator,
+ *     honeypotSelector: 'input[type="text"][data-honeypot]'
+ *   }).attach();
+ *
+ * On submit the handler
+ *   1) drops the submission when the honeypot input has a value (bots fill every field),
+ *   2) awaits validate(form); false stops here, and a validator that throws (e.g. a failed
+ *      lookup) is reported as `formidable:error` ({ body: null, error }) and `complete`,
+ *   3) dispatches a cancelable `formidable:submit` with the FormData,
+ *   4) disables the submit buttons, marks the form busy and sends the entry,
+ *   5) dispatches `formidable:success` ({ result, formData }) or `formidable:error`
+ *      ({ body, status, error, formData }) — body is the parsed error response, error the
+ *      FormHydratorError — then `formidable:complete` ({ ok }). A saved entry whose
+ *      response is not JSON still succeeds, with `result: null`.
+ * A second submit while one is in flight is ignored. Events bubble from the form.
+ *
+ * Drafts (form_drafts.js): saveDraft() posts the answers without validation, flagged as a
+ * draft, and dispatches `formidable:draft` ({ result, entry }). The entry it creates is kept
+ * in `handler.entry`, so later saves and the final submit update it (PUT
+ * /wp-json/frm/v2/entries/<id>) instead of creating duplicates. WordPress reads PUT bodies
+ * only url-encoded, so updates carry the text answers: files picked while updating are not
+ * sent, while stored uploads keep their hidden references. Pass `entry` to continue a
+ * resumed draft. A successful final submit completes the draft and clears `entry`.
+ *
+ * Editing (form_edit.js): pass the edited entry as `entry` on a form whose frm_action is
+ * `update`. Submits update it and `entry` is kept, so the form can be saved again.
+ *
+ * detach() removes the listener; a request already in flight still completes.
+ */
+
+import { DRAFT_FLAGS, entryReference } from './form_drafts.js';
+import { createHydrator } from './form_hydrator_class_vanilla.js';
+
+export const SUBMIT_EVENTS = {
+  submit: 'formidable:submit',
+  draft: 'formidable:draft',
+  success: 'formidable:success',
+  error: 'formidable:error',
+  complete: 'formidable:complete',
+};
+
+// Marked honeypots, and Formidable's own frm_verify input
+export const DEFAULT_HONEYPOT_SELECTOR = 'input[data-honeypot], input.frm_verify';
+
+const SUBMIT_BUTTONS = 'button[type="submit"], button:not([type]), input[type="submit"]';
+
+/**
+ * @typedef {Object} SubmitHandlerOptions
+ * @property {string} [formKey]             reported in event details
+ * @property {import('./form_hydrator_class_vanilla.js').FormHydrator} [hydrator]  sends the entries; default a
+ *   hydrator built from nonce, headers and fetchImpl
+ * @property {{id:(number|null), key:(string|null)}|null} [entry]  draft or edited entry to update (entryReference())
+ * @property {function(HTMLFormElement):(boolean|Promise<boolean>)} [validate]  false cancels the submission
+ * @property {string|null} [honeypotSelector]  default DEFAULT_HONEYPOT_SELECTOR; null disables the check
+ * @property {string} [nonce]               X-WP-Nonce of the default hydrator; default wpApiSettings.nonce when the page defines it
+ * @property {Object} [headers]             extra request headers of the default hydrator
+ * @property {string} [loadingText]         submit button text while the request runs
+ * @property {typeof fetch} [fetchImpl]     fetch of the default hydrator
+ */
+
+/**
+ * @typedef {Object} SubmitOutcome
+ * @property {boolean} ok
+ * @property {*} [result]       parsed success body (null when it was not JSON)
+ * @property {*} [body]         parsed error body (null when there was none)
+ * @property {number} [status]  HTTP status of an error response
+ * @property {Error} [error]    the FormHydratorError, or the validator's error
+ */
+
+export class FormidableSubmitHandler {
+  /**
+   * @param {HTMLFormElement} form
+   * @param {SubmitHandlerOptions} [options]
+   */
+  constructor(form, options = {}) {
+    if (!form) throw new TypeError('FormidableSubmitHandler needs a form element.');
+    const { formKey, hydrator, entry = null, validate, honeypotSelector = DEFAULT_HONEYPOT_SELECTOR, nonce, headers = {}, loadingText, fetchImpl } = options;
+    this.form = form;
+    this.formKey = formKey ?? form.querySelector?.('input[name="form_key"]')?.value;
+    this._hydrator = hydrator || null;
+    /** Entry that saves and submits update: a draft, or the entry being edited; null until a draft is saved. */
+    this.entry = entry;
+    this._validate = typeof validate === 'function' ? validate : () => true;
+    this._honeypotSelector = honeypotSelector;
+    this._nonce = nonce;
+    this._headers = headers;
+    this._loadingText = loadingText;
+    this._fetchImpl = fetchImpl;
+    this._submitting = false;
+    this._attached = false;
+    this._onSubmit = (e) => {
+      e.preventDefault();
+      this.submit();
+    };
+    this._onClick = (e) => {
+      if (!e.target.closest?.('.frm_save_draft')) return;
+      e.preventDefault();
+      this.saveDraft();
+    };
+  }
+
+  /** True while a submission is being validated or sent. */
+  get submitting() {
+    return this._submitting;
+  }
+
+  /** Start handling the form's submit events and its Save Draft link. @returns {this} */
+  attach() {
+    if (!this._attached) {
+      this.form.addEventListener('submit', this._onSubmit);
+      this.form.addEventListener('click', this._onClick);
+      this._attached = true;
+    }
+    return this;
+  }
+
+  /** Stop handling submit events. @returns {this} */
+  detach() {
+    if (this._attached) {
+      this.form.removeEventListener('submit', this._onSubmit);
+      this.form.removeEventListener('click', this._onClick);
+      this._attached = false;
+    }
+    return this;
+  }
+
+  /**
+   * Run one submission. Resolves to null when it did not reach the server (already
+   * submitting, honeypot filled, validation failed or a submit listener cancelled it), and
+   * to a failed outcome carrying the error when the validator throws.
+   * @returns {Promise<SubmitOutcome|null>}
+   */
+  submit() {
+    return this._run(false);
+  }
+
+  /**
+   * Save the answers as a draft, skipping validation. Resolves like submit(); on success
+   * `entry` holds the draft's id and item_key.
+   * @returns {Promise<SubmitOutcome|null>}
+   */
+  saveDraft() {
+    return this._run(true);
+  }
+
+  // ---- internals
+
+  async _run(draft) {
+    if (this._submitting) return null;
+    if (this._isSpam()) return null;
+
+    this._submitting = true;
+    let outcome = null;
+    try {
+      if (!draft) {
+        let valid;
+        try {
+          valid = await this._validate(this.form);
+        } catch (error) {
+          outcome = { ok: false, error };
+          this._emit(SUBMIT_EVENTS.error, { body: null, error, draft });
+          return outcome;
+        }
+        if (!valid) return null;
+      }
+      const formData = new FormData(this.form);
+      Object.entries(draft ? DRAFT_FLAGS : (this.entry ? { is_draft: '0' } : {})).forEach(([name, value]) => formData.set(name, value));
+      if (!this._emit(SUBMIT_EVENTS.submit, { formData, draft }, true)) return null;
+
+      const restore = this._setBusy();
+      try {
+        outcome = await this._send(formData);
+      } finally {
+        restore();
+      }
+      if (!outcome.ok) {
+        this._emit(SUBMIT_EVENTS.error, { body: outcome.body, status: outcome.status, error: outcome.error, formData, draft });
+      } else if (draft) {
+        this.entry = entryReference(outcome.result) ?? this.entry;
+        this._emit(SUBMIT_EVENTS.draft, { result: outcome.result, entry: this.entry, formData });
+      } else {
+        // A completed draft is done with; an edited entry (frm_action=update) stays editable
+        if (formData.get('frm_action') !== 'update') this.entry = null;
+        this._emit(SUBMIT_EVENTS.success, { result: outcome.result, formData });
+      }
+      return outcome;
+    } finally {
+      this._submitting = false;
+      if (outcome) this._emit(SUBMIT_EVENTS.complete, { ok: outcome.ok, draft });
+    }
+  }
+
+  _isSpam() {
+    if (!this._honeypotSelector) return false;
+    return [...this.form.querySelectorAll(this._honeypotSelector)].some((input) => String(input.value ?? '').trim() !== '');
+  }
+
+  // Create the entry, or update the draft or edited one (PUT, so url-encoded text answers)
+  async _send(formData) {
+    this._hydrator ??= createHydrator({ wpNonce: this._nonce ?? globalThis.wpApiSettings?.nonce, headers: this._headers, fetchImpl: this._fetchImpl });
+    try {
+      const result = this.entry?.id
+        ? await this._hydrator.updateEntry(this.entry.id, textAnswers(formData))
+        : await this._hydrator.createEntry(Number(formData.get('form_id')), formData);
+      return { ok: true, result: result ?? null };
+    } catch (error) {
+      return { ok: false, body: error?.body ?? null, status: error?.status, error };
+    }
+  }
+
+  // Disable submit buttons and mark the form busy; returns the undo.
+  _setBusy() {
+    const buttons = [...this.form.querySelectorAll(SUBMIT_BUTTONS)];
+    const saved = buttons.map((button) => ({ button, disabled: button.disabled, text: button.tagName === 'INPUT' ? button.value : button.textContent }));
+    buttons.forEach((button) => {
+      button.disabled = true;
+      if (this._loadingText === undefined) return;
+      if (button.tagName === 'INPUT') button.value = this._loadingText;
+      else button.textContent = this._loadingText;
+    });
+    this.form.classList.add('frm_loading_form');
+    this.form.setAttribute('aria-busy', 'true');
+
+    return () => {
+      saved.forEach(({ button, disabled, text }) => {
+        button.disabled = disabled;
+        if (this._loadingText === undefined) return;
+        if (button.tagName === 'INPUT') button.value = text;
+        else button.textContent = text;
+      });
+      this.form.classList.remove('frm_loading_form');
+      this.form.removeAttribute('aria-busy');
+    };
+  }
+
+  // Dispatch on the form; returns false when a cancelable event was cancelled.
+  _emit(name, detail, cancelable = false) {
+    return this.form.dispatchEvent(new CustomEvent(name, { bubbles: true, cancelable, detail: { formKey: this.formKey, ...detail } }));
+  }
+}
+
+// The string entries of a FormData as URLSearchParams; File values are dropped.
+function textAnswers(formData) {
+  const params = new URLSearchParams();
+  for (const [name, value] of formData.entries()) if (typeof value === 'string') params.append(name, value);
+  return params;
+}
@@ -0,0 +1,107 @@
+/**
+ * Success — what follows a submitted entry
+ * ========================================
+ *
+ * Formidable's form settings decide what happens after a successful submit:
+ *   success_action  'message'   show success_msg inline; show_form keeps the form under it
+ *                   'redirect'  go to success_url
+ *                   'page'      go to the WordPress page success_page_id (/?page_id=<id>)
+ * Updates of an edited entry (form_edit.js) use edit_action, edit_msg, edit_url and
+ * edit_page_id the same way, and always keep the form.
+ *
+ * Messages and redirect URLs may hold shortcodes filled in from the entry: [id], [key],
+ * [form_name], and a field id or key for that answer ([12], [email]) as the summary shows
+ * it (option labels, joined name/address parts). Answers are escaped in messages and
+ * URL-encoded in URLs; unknown shortcodes stay as written. Redirects also carry
+ * `entry=<item_key>` (the id when there is no key), the parameter Formidable Views read
+ * to show one entry.
+ *
+ * Pure data (no DOM); the DOM engines apply the outcome after formidable:success.
+ */
+
+import { entryToItemMeta } from './form_drafts.js';
+import { editSettings } from './form_edit.js';
+import { formatValue } from './form_summary.js';
+import { escapeHtml } from './form_renderer_ssr.js';
+
+export const ENTRY_PARAM = 'entry';
+
+export const DEFAULT_SUCCESS_MESSAGE = 'Your responses were successfully submitted. Thank you!';
+
+/**
+ * @typedef {Object} SuccessSettings
+ * @property {'message'|'redirect'|'page'} action   success_action (edit_action when editing)
+ * @property {string} message    success_msg / edit_msg
+ * @property {string} url        success_url / edit_url
+ * @property {string} pageId     success_page_id / edit_page_id
+ * @property {boolean} showForm  show_form; always true when editing
+ */
+
+/**
+ * After-submit options from the form metadata, with Formidable's defaults.
+ * @param {import('./form_hydrator_class_vanilla.js').FormMetadata} metadata
+ * @param {{editing?:boolean}} [options] editing: read the edit_* options
+ * @returns {SuccessSettings}
+ */
+export function successSettings(metadata, { editing = false } = {}) {
+  const o = metadata?.options || {};
+  const prefix = editing ? 'edit' : 'success';
+  const action = o[`${prefix}_action`];
+  return {
+    action: action === 'redirect' || action === 'page' ? action : 'message',
+    message: editing ? editSettings(metadata).message : (o.success_msg || DEFAULT_SUCCESS_MESSAGE),
+    url: String(o[`${prefix}_url`] || ''),
+    pageId: String(o[`${prefix}_page_id`] || ''),
+    showForm: editing || !!Number(o.show_form),
+  };
+}
+
+/**
+ * @typedef {Object} SuccessContext
+ * @property {Object} entry       entries API response (id, item_key, meta)
+ * @property {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @property {Object} [answers]   submitted item_meta (readItemMeta), for answers the response leaves out
+ * @property {string} [formName]
+ * @property {string} [href]      current page URL, the base of relative redirect URLs
+ */
+
+/**
+ * Replace the shortcodes in a message or URL with the entry's values.
+ * @param {string} template
+ * @param {SuccessContext} context
+ * @param {function(string):string} [encode] applied to every value (escapeHtml, encodeURIComponent)
+ * @returns {string}
+ */
+export function fillShortcodes(template, { entry, fields, answers = {}, formName = '' }, encode = (value) => value) {
+  const meta = { ...answers, ...entryToItemMeta(entry, fields) };
+  const byRef = new Map(fields.flatMap((field) => [[String(field.id), field], [field.key, field]]));
+  return String(template ?? '').replace(/\[([\w-]+)\]/g, (code, name) => {
+    if (name === 'id') return encode(String(entry?.id ?? ''));
+    if (name === 'key') return encode(String(entry?.item_key ?? ''));
+    if (name === 'form_name') return encode(String(formName));
+    const field = byRef.get(name);
+    return field ? encode(formatValue(field, meta[field.id])) : code;
+  });
+}
+
+/**
+ * What to do after a successful submit: redirect, or show a message. A redirect without a
+ * URL or page, or with a URL that does not parse, falls back to the message.
+ * @param {SuccessSettings} settings
+ * @param {SuccessContext} context
+ * @returns {{redirect:string}|{message:string, showForm:boolean}}
+ *   redirect: absolute URL; message: HTML with the shortcodes filled in
+ */
+export function successOutcome(settings, context) {
+  const target = settings.action === 'redirect' ? fillShortcodes(settings.url, context, encodeURIComponent).trim()
+    : settings.action === 'page' && settings.pageId ? `/?page_id=${encodeURIComponent(settings.pageId)}`
+    : '';
+  let url = null;
+  try { url = target ? new URL(target, context.href) : null; } catch { url = null; }
+  if (url) {
+    const ref = context.entry?.item_key ?? context.entry?.id;
+    if (ref !== undefined && ref !== null && ref !== '') url.searchParams.set(ENTRY_PARAM, String(ref));
+    return { redirect: url.toString() };
+  }
+  return { message: fillShortcodes(settings.message, context, escapeHtml), showForm: settings.showForm };
+}
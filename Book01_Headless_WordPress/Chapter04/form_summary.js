@@ -0,0 +1,122 @@
+/**
+ * Summary field — review model
+ * ============================
+ *
+ * Formidable's `summary` field shows the answers captured so far, usually on the last
+ * page of a multi-page form. This module turns the posted `item_meta[...]` values back
+ * into readable rows: option labels instead of stored values, name and address parts
+ * joined, file names instead of uploads. Fields hidden by conditional logic, layout
+ * fields (sections, page breaks, HTML, captcha, submit) and passwords are left out, as
+ * are fields without an answer.
+ *
+ * Pure data (no DOM, no HTML), shared by form_renderer_ssr.js and the DOM engine.
+ */
+
+import { splitPages } from './form_pages.js';
+
+// Never listed in a summary
+const SKIP_TYPES = new Set(['break', 'divider', 'end_divider', 'html', 'captcha', 'submit', 'summary', 'hidden', 'password']);
+
+/**
+ * @typedef {Object} SummaryItem
+ * @property {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @property {string} label                 field name (prefixed with the row inside repeaters)
+ * @property {string} value                 display text
+ * @property {number|null} page             page holding the field; null on single-page forms
+ * @property {string|number} [row]          repeater row key
+ */
+
+/**
+ * Rebuild the nested item_meta object from form entries (e.g. `new FormData(form)`):
+ * `item_meta[5][first]` → meta[5].first, `item_meta[7][]` → meta[7] = [...].
+ * Other names are ignored.
+ * @param {Iterable<[string, *]>} entries
+ * @returns {Object}
+ */
+export function readItemMeta(entries) {
+  const meta = {};
+  for (const [name, value] of entries) {
+    const match = /^item_meta((?:\[[^\]]*\])+)$/.exec(name);
+    if (!match) continue;
+    const path = [...match[1].matchAll(/\[([^\]]*)\]/g)].map((m) => m[1]);
+    let node = meta;
+    for (let i = 0; i < path.length; i++) {
+      const key = path[i];
+      if (path[i + 1] === '') {
+        (Array.isArray(node[key]) ? node[key] : (node[key] = [])).push(value);
+        break;
+      }
+      if (i === path.length - 1) {
+        node[key] = value;
+        break;
+      }
+      if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+      node = node[key];
+    }
+  }
+  return meta;
+}
+
+const joinParts = (parts, separator) => parts.map((p) => String(p ?? '').trim()).filter(Boolean).join(separator);
+
+/**
+ * Readable text for one field's posted value.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {*} raw value from readItemMeta (string, array, parts object or File)
+ * @returns {string}
+ */
+export function formatValue(field, raw) {
+  if (raw === undefined || raw === null) return '';
+  if (Array.isArray(raw)) return joinParts(raw.map((v) => formatValue(field, v)), ', ');
+
+  if (field.type === 'file') return typeof raw === 'object' ? String(raw.name ?? '') : String(raw);
+  if (field.type === 'name' && typeof raw === 'object') return joinParts([raw.first, raw.middle, raw.last], ' ');
+  if (field.type === 'address' && typeof raw === 'object') {
+    return joinParts([raw.line1, raw.line2, raw.city, joinParts([raw.state, raw.zip], ' '), raw.country], ', ');
+  }
+  if (typeof raw === 'object') return joinParts(Object.values(raw), ' ');
+
+  const value = String(raw);
+  const option = field.options.find((opt) => opt.value === value);
+  return option ? option.label : value;
+}
+
+/**
+ * Build the summary rows for the current answers, in field order.
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @param {Object} meta item_meta values (readItemMeta)
+ * @param {{isHidden?:function(import('./form_hydrator_class_vanilla.js').FormField, (string|number)=):boolean, exclude?:Array<number|string>|string}} [options]
+ *   isHidden: whether conditional logic hides a field (in a repeater row when a row key is given);
+ *   exclude: field ids to leave out (the summary field's exclude_fields, array or comma list)
+ * @returns {Array<SummaryItem>}
+ */
+export function summarize(fields, meta, { isHidden = () => false, exclude = [] } = {}) {
+  const pages = splitPages(fields);
+  const pageOf = new Map();
+  pages.forEach((page) => page.fields.forEach((f) => pageOf.set(f.id, pages.length > 1 ? page.number : null)));
+  const excluded = new Set([].concat(exclude ?? []).flatMap((id) => String(id).split(',')).map(Number));
+  const repeaters = new Set(fields.filter((f) => f.section?.repeat).map((f) => f.id));
+  const listed = (field) => !SKIP_TYPES.has(field.type) && !excluded.has(field.id);
+
+  const items = [];
+  const add = (field, raw, label, page, row) => {
+    const value = formatValue(field, raw);
+    if (value) items.push({ field, label, value, page, ...(row === undefined ? {} : { row }) });
+  };
+
+  for (const field of fields) {
+    if (repeaters.has(field.layout.inSection)) continue; // listed with their section below
+    if (repeaters.has(field.id)) {
+      if (isHidden(field)) continue;
+      const children = fields.filter((f) => f.layout.inSection === field.id && listed(f));
+      const rows = meta[field.id]?.row_ids ?? [];
+      rows.forEach((rowKey, i) => children.forEach((child) => {
+        if (!isHidden(child, rowKey)) add(child, meta[field.id]?.[rowKey]?.[child.id], `${field.name} ${i + 1}: ${child.name}`, pageOf.get(field.id), rowKey);
+      }));
+      continue;
+    }
+    if (!listed(field) || isHidden(field)) continue;
+    add(field, meta[field.id], field.name, pageOf.get(field.id));
+  }
+  return items;
+}
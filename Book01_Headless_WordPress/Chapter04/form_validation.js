@@ -0,0 +1,231 @@
+/**
+ * Validation — rule engine
+ * ========================
+ *
+ * Client-side checks built from the normalized FormField model, mirroring what Formidable
+ * enforces on submit. A rule is a plain object:
+ *
+ *   { name, applies(field) → boolean, test(value, field, context) → message | null }
+ *
+ * `test` may return a Promise (e.g. a uniqueness lookup). Rules run in order and the first
+ * message wins. Empty answers are only checked against field.required (messages.blank);
+ * the rules run on answers that were given.
+ *
+ * Built-in rules (DEFAULT_RULES):
+ *   format     validation.format: a regex when it starts with ^, otherwise a Formidable
+ *              mask (9 digit, a letter, * letter or digit)       messages.invalid
+ *   email/url/phone  syntax of those field types               messages.invalid
+ *   number     numeric, within validation.minnum / maxnum       messages.invalid
+ *   length     validation.maxLimit characters or words          messages.invalid
+ *   filesize   validation.maxSize megabytes per file            messages.invalid
+ *   confirm    validation.confirmField: matches the confirmation input (conf_<id>)
+ *                                                              messages.confirm
+ *   unique     validation.unique, when the caller supplies context.isUnique   messages.unique
+ *              (a lookup that fails or answers null leaves it to the server)
+ *
+ * parseServerErrors() maps a failed entries response back onto fields, so rules only the
+ * server can check (unique, spam, ...) are reported the same way.
+ *
+ * Pure data (no DOM): the renderers read answers and show messages in Formidable's
+ * `frm_error_field_[key]` containers.
+ */
+
+const DEFAULT_MESSAGES = {
+  blank: 'This field cannot be blank.',
+  invalid: '%s is invalid',
+  unique: 'This value must be unique.',
+  confirm: 'The entered values do not match',
+};
+
+/**
+ * The field's message of a kind, or Formidable's default (`%s` is the field name).
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {'blank'|'invalid'|'unique'|'confirm'} kind
+ */
+export function fieldMessage(field, kind) {
+  return (field.messages[kind] || DEFAULT_MESSAGES[kind]).replace('%s', field.name || 'This field');
+}
+
+/** True for '', whitespace, [] and missing answers. */
+export function isEmptyValue(value) {
+  if (Array.isArray(value)) return !value.some((v) => !isEmptyValue(v));
+  return String(value ?? '').trim() === '';
+}
+
+/**
+ * Regular expression for a Formidable format: a regex when it starts with ^, else a mask
+ * where 9 is a digit, a a letter and * either; other characters must match literally.
+ * Returns null for an empty or broken format.
+ * @param {string} format
+ * @returns {RegExp|null}
+ */
+export function formatPattern(format) {
+  if (!format) return null;
+  if (format.startsWith('^')) {
+    try {
+      return new RegExp(format);
+    } catch {
+      return null;
+    }
+  }
+  const MASK = { 9: '\\d', a: '[A-Za-z]', '*': '[A-Za-z0-9]' };
+  const body = [...format].map((c) => MASK[c] ?? c.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&')).join('');
+  return new RegExp(`^${body}$`);
+}
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_SYNTAX = /^(https?:\/\/)?[^\s/.]+(\.[^\s/.]+)+(\/\S*)?$/i;
+const PHONE = /^\+?[\d\s().-]{7,}$/;
+
+const text = (value) => String(Array.isArray(value) ? value.join(' ') : value ?? '').trim();
+
+/**
+ * @typedef {Object} ValidationContext
+ * @property {function((number|string)):(string|Array<string>)} valueOf   answer of another field
+ *   by id (`conf_<id>` for a confirmation input)
+ * @property {Array<{name:string, size:number}>} [files]  selected files of a file field
+ * @property {function(import('./form_hydrator_class_vanilla.js').FormField, string):(boolean|null|Promise<boolean|null>)} [isUnique]
+ *   null when it cannot tell
+ */
+
+/**
+ * @typedef {Object} ValidationRule
+ * @property {string} name
+ * @property {function(import('./form_hydrator_class_vanilla.js').FormField):boolean} applies
+ * @property {function(*, import('./form_hydrator_class_vanilla.js').FormField, ValidationContext):(string|null|Promise<string|null>)} test
+ */
+
+/** @type {Array<ValidationRule>} */
+export const DEFAULT_RULES = [
+  {
+    name: 'format',
+    applies: (field) => !!formatPattern(field.validation.format) && !['number', 'range'].includes(field.type),
+    test: (value, field) => (formatPattern(field.validation.format).test(text(value)) ? null : fieldMessage(field, 'invalid')),
+  },
+  {
+    name: 'email',
+    applies: (field) => field.type === 'email',
+    test: (value, field) => (EMAIL.test(text(value)) ? null : fieldMessage(field, 'invalid')),
+  },
+  {
+    name: 'url',
+    applies: (field) => field.type === 'url',
+    test: (value, field) => (URL_SYNTAX.test(text(value)) ? null : fieldMessage(field, 'invalid')),
+  },
+  {
+    name: 'phone',
+    applies: (field) => field.type === 'phone' && !field.validation.format,
+    test: (value, field) => (PHONE.test(text(value)) ? null : fieldMessage(field, 'invalid')),
+  },
+  {
+    name: 'number',
+    applies: (field) => field.type === 'number' || field.type === 'range',
+    test: (value, field) => {
+      const n = Number(text(value));
+      const { minnum, maxnum } = field.validation;
+      if (!Number.isFinite(n) || (minnum !== undefined && n < minnum) || (maxnum !== undefined && n > maxnum)) return fieldMessage(field, 'invalid');
+      return null;
+    },
+  },
+  {
+    name: 'length',
+    applies: (field) => !!field.validation.maxLimit,
+    test: (value, field) => {
+      const { maxLimit, maxLimitType } = field.validation;
+      const length = maxLimitType === 'word' ? text(value).split(/\s+/).filter(Boolean).length : text(value).length;
+      return length > maxLimit ? fieldMessage(field, 'invalid') : null;
+    },
+  },
+  {
+    name: 'filesize',
+    applies: (field) => field.type === 'file' && !!field.validation.maxSize,
+    test: (value, field, context) => ((context.files || []).some((file) => file.size > field.validation.maxSize * 1024 * 1024)
+      ? fieldMessage(field, 'invalid') : null),
+  },
+  {
+    name: 'confirm',
+    applies: (field) => !!field.validation.confirmField,
+    test: (value, field, context) => (text(context.valueOf(`conf_${field.id}`)) === text(value) ? null : fieldMessage(field, 'confirm')),
+  },
+  {
+    name: 'unique',
+    applies: (field) => field.validation.unique,
+    test: async (value, field, context) => {
+      if (!context.isUnique) return null; // enforced by Formidable on submit
+      // Unknown (null, or the lookup failed): let the server decide rather than block the submit
+      let unique = null;
+      try {
+        unique = await context.isUnique(field, text(value));
+      } catch {
+        unique = null;
+      }
+      return unique === false ? fieldMessage(field, 'unique') : null;
+    },
+  },
+];
+
+/**
+ * Validate one answer. Resolves to the first failing rule's message, or '' when valid.
+ * @param {import('./form_hydrator_class_vanilla.js').FormField} field
+ * @param {*} value answer (valueFromControls in form_logic.js)
+ * @param {ValidationContext} context
+ * @param {Array<ValidationRule>} [rules] default DEFAULT_RULES
+ * @returns {Promise<string>}
+ */
+export async function validateValue(field, value, context, rules = DEFAULT_RULES) {
+  if (isEmptyValue(value)) return field.required ? fieldMessage(field, 'blank') : '';
+  for (const rule of rules) {
+    if (!rule.applies(field)) continue;
+    const message = await rule.test(value, field, context);
+    if (message) return message;
+  }
+  return '';
+}
+
+// -----------------------------------
+// Server-side errors
+// -----------------------------------
+
+const SUBMIT_ERROR = 'There was a problem with your submission. Errors are marked below.';
+const REQUEST_ERROR = 'There was a problem with your submission. Please try again.';
+
+/**
+ * @typedef {Object} ServerErrors
+ * @property {Array<{field:import('./form_hydrator_class_vanilla.js').FormField, message:string, row?:string}>} fieldErrors
+ * @property {Array<string>} formErrors  messages for the form as a whole (first one leads the summary)
+ */
+
+/**
+ * Read a failed entries response. Formidable reports validation errors as a WP_Error whose
+ * errors are keyed by field: `12`, `field12`, `field_12`, the field key, or
+ * `field12-<section>-<row>` inside a repeater. They may sit in `data.errors`, `errors` or
+ * `data`. Keys that match no field, and the error `message`, become form-level messages.
+ * @param {*} body parsed JSON body (null when it was not JSON)
+ * @param {Array<import('./form_hydrator_class_vanilla.js').FormField>} fields
+ * @returns {ServerErrors}
+ */
+export function parseServerErrors(body, fields) {
+  const byKey = new Map();
+  fields.forEach((f) => {
+    byKey.set(String(f.id), f);
+    if (f.key) byKey.set(f.key, f);
+  });
+  const isMap = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const data = isMap(body) ? body : {};
+  const errors = [data.data?.errors, data.errors, data.data].find(isMap) ?? {};
+
+  const fieldErrors = [];
+  const formErrors = [];
+  for (const [key, value] of Object.entries(errors)) {
+    const message = Array.isArray(value) ? value.filter((v) => typeof v === 'string').join(' ') : (typeof value === 'string' ? value : '');
+    if (!message) continue;
+    const match = /^(?:field_?|item_meta\[)?([^-\]]+)\]?(?:-\d+-([^-]+))?$/.exec(key);
+    const field = byKey.get(key) ?? (match && byKey.get(match[1]));
+    if (field) fieldErrors.push({ field, message, ...(match?.[2] !== undefined && !byKey.has(key) ? { row: match[2] } : {}) });
+    else formErrors.push(message);
+  }
+
+  if (typeof data.message === 'string' && data.message) formErrors.unshift(data.message);
+  if (!formErrors.length) formErrors.push(fieldErrors.length ? SUBMIT_ERROR : REQUEST_ERROR);
+  return { fieldErrors, formErrors };
+}
@@ -1,3 +1,5 @@
+import { FormidableSubmitHandler } from '../Chapter04/form_submit_handler.js';
+
 new FormidableSubmitHandler(formEl, {
   formKey,
   endpoint: `/wp-json/frm/v2/forms/${formData.id}/entries`,
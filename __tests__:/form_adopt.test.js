@@ -0,0 +1,113 @@
+/**
+ * Adoption — server markup matching and placement tests
+ * -----------------------------------------------------
+ * Runs in plain Node: markup snapshots are read from the SSR renderer's HTML the way the
+ * DOM engine reads them from elements (name, type, id, value, aria-required).
+ *
+ *   npx vitest run __tests__/form_adopt.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fieldMarkupMatches, insertionPoint } from '../Book01_Headless_WordPress/Chapter04/form_adopt.js';
+import { renderFieldToString } from '../Book01_Headless_WordPress/Chapter04/form_renderer_ssr.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+import { splitPages } from '../Book01_Headless_WordPress/Chapter04/form_pages.js';
+
+const fieldsRaw = JSON.parse(readFileSync(new URL('../Book01_Headless_WordPress/Chapter04/fetch_fields_result.json', import.meta.url), 'utf8'));
+
+// FieldMarkup from HTML: every start tag with its attributes
+const snapshot = (html) => {
+  const tags = [...html.matchAll(/<([a-z]+)\b([^>]*)>/g)].map(([, tag, rest]) => ({
+    tag,
+    attrs: Object.fromEntries([...rest.matchAll(/([\w-]+)(?:="([^"]*)")?/g)].map(([, k, v]) => [k, v ?? ''])),
+  }));
+  const typeOf = ({ tag, attrs }) => (tag === 'input' ? attrs.type || 'text' : tag === 'select' ? 'select-one' : tag);
+  return {
+    controls: tags.filter((t) => t.attrs.name?.startsWith('item_meta[')).map((t) => ({
+      name: t.attrs.name, type: typeOf(t), id: t.attrs.id ?? '', value: t.attrs.value ?? '', required: t.attrs['aria-required'] === 'true',
+    })),
+    ids: tags.map((t) => t.attrs.id).filter(Boolean),
+    summaries: tags.filter((t) => /\bfrm_summary\b/.test(t.attrs.class ?? '')).map((t) => t.attrs.id),
+    submit: tags.some((t) => (t.tag === 'button' || t.tag === 'input') && t.attrs.type === 'submit'),
+  };
+};
+
+const extra = normalizeFields([
+  { id: 20, field_key: 'who', type: 'name', name: 'Name', required: '1', field_order: 1 },
+  { id: 21, field_key: 'addr', type: 'address', name: 'Address', field_order: 2 },
+  { id: 22, field_key: 'cv', type: 'file', name: 'CV', field_order: 3, field_options: { multiple: 1 } },
+  { id: 23, field_key: 'size', type: 'radio', name: 'Size', field_order: 4, options: [{ label: 'S', value: 's' }, { label: 'L', value: 'l' }] },
+  { id: 24, field_key: 'note', type: 'textarea', name: 'Note', field_order: 5 },
+  { id: 25, field_key: 'sum', type: 'summary', name: 'Review', field_order: 6 },
+]);
+const [name, address, cv, size, note] = extra;
+
+const cases = [
+  {
+    name: 'matches the markup the SSR renderer produces, with and without custom_html',
+    run: () => {
+      for (const field of [...normalizeFields(fieldsRaw), ...extra]) {
+        expect(fieldMarkupMatches(field, snapshot(renderFieldToString(field))), field.key).toBe(true);
+        expect(fieldMarkupMatches(field, snapshot(renderFieldToString(field, { customHtml: false }))), field.key).toBe(true);
+      }
+    }
+  },
+  {
+    name: 'asks for a rebuild when names, types, options, id or required state differ',
+    run: () => {
+      const markup = (field) => snapshot(renderFieldToString(field, { customHtml: false }));
+      const empty = { controls: [], ids: [], summaries: [], submit: false };
+      expect(extra.map((field) => fieldMarkupMatches(field, empty))).toEqual(extra.map(() => false));
+
+      expect(fieldMarkupMatches({ ...size, options: [...size.options, { label: 'M', value: 'm' }] }, markup(size))).toBe(false);
+      expect(fieldMarkupMatches({ ...size, type: 'checkbox' }, markup(size))).toBe(false);
+      expect(fieldMarkupMatches({ ...note, required: true }, markup(note))).toBe(false);
+      expect(fieldMarkupMatches({ ...note, key: 'memo' }, markup(note))).toBe(false);
+      expect(fieldMarkupMatches({ ...note, type: 'text' }, markup(note))).toBe(false);
+      expect(fieldMarkupMatches({ ...name, config: { name_layout: 'first_middle_last' } }, markup(name))).toBe(false);
+      expect(fieldMarkupMatches({ ...address, config: { address_type: 'us' } }, markup(address))).toBe(false);
+
+      // Stored upload references alone are not the file control
+      const refs = { ...empty, controls: [{ name: 'item_meta[22][]', type: 'hidden', id: '', value: '7', required: false }] };
+      expect(fieldMarkupMatches(cv, refs)).toBe(false);
+      expect(fieldMarkupMatches(cv, { ...refs, controls: [...refs.controls, ...markup(cv).controls] })).toBe(true);
+    }
+  },
+  {
+    name: 'inserts missing fields after their nearest placed neighbor, in their own page and section',
+    run: () => {
+      const fields = normalizeFields([
+        { id: 1, field_key: 'a', type: 'text', name: 'A', field_order: 1 },
+        { id: 2, field_key: 'b', type: 'text', name: 'B', field_order: 2 },
+        { id: 3, field_key: 'p2', type: 'break', name: 'Next', field_order: 3 },
+        { id: 4, field_key: 's', type: 'divider', name: 'Section', field_order: 4 },
+        { id: 5, field_key: 'c', type: 'text', name: 'C', field_order: 5, field_options: { in_section: 4 } },
+        { id: 6, field_key: 'd', type: 'text', name: 'D', field_order: 6, field_options: { in_section: 4 } },
+        { id: 7, field_key: 'e', type: 'text', name: 'E', field_order: 7 },
+      ]);
+      const pages = splitPages(fields);
+      const byKey = Object.fromEntries(fields.map((f) => [f.key, f]));
+      const at = (key, ...placed) => insertionPoint(byKey[key], pages, new Set(placed));
+
+      expect(at('a')).toEqual({ after: null, page: 1, section: null });
+      expect(at('b', 1)).toEqual({ after: 1, page: 1, section: null });
+      // Page 2 starts its own container instead of following page 1's last field
+      expect(at('e', 1, 2)).toEqual({ after: null, page: 2, section: null });
+      expect(at('e', 1, 2, 4, 5)).toEqual({ after: 4, page: 2, section: null });
+      // Section children go inside a placed section, else at the page's top level
+      expect(at('c', 4)).toEqual({ after: null, page: 2, section: 4 });
+      expect(at('d', 4, 5)).toEqual({ after: 5, page: 2, section: 4 });
+      expect(at('d', 5)).toEqual({ after: 5, page: 2, section: null });
+      expect(at('c')).toEqual({ after: null, page: 2, section: null });
+    }
+  }
+];
+
+describe('Adoption — markup matching and insertion points', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * Autosave — local crash recovery tests
+ * -------------------------------------
+ * Runs in plain Node: storage is a Map behind the Web Storage methods, and timers and
+ * the clock are faked so debouncing and expiry are checked without waiting.
+ *
+ *   npx vitest run __tests__/form_autosave.test.js
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createAutosave, formVersion, storableMeta } from '../Book01_Headless_WordPress/Chapter04/form_autosave.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+const memoryStorage = (initial = {}) => {
+  const map = new Map(Object.entries(initial));
+  return {
+    map,
+    get length() { return map.size; },
+    key: (i) => [...map.keys()][i] ?? null,
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: (k) => map.delete(k),
+  };
+};
+
+const fields = normalizeFields([
+  { id: 1, field_key: 'name', type: 'text', name: 'Name', field_order: 1 },
+  { id: 2, field_key: 'pw', type: 'password', name: 'Password', field_order: 2, field_options: { conf_field: 'below' } },
+  { id: 3, field_key: 'cv', type: 'file', name: 'CV', field_order: 3 },
+  { id: 4, field_key: 'captcha', type: 'captcha', name: 'Captcha', field_order: 4 },
+  { id: 5, field_key: 'guests', type: 'divider', name: 'Guests', field_order: 5, field_options: { repeat: 1, form_select: 12 } },
+  { id: 6, field_key: 'guest', type: 'text', name: 'Guest', field_order: 6, field_options: { in_section: 5 } },
+  { id: 7, field_key: 'secret', type: 'password', name: 'Secret', field_order: 7, field_options: { in_section: 5 } },
+]);
+
+afterEach(() => vi.useRealTimers());
+
+const cases = [
+  {
+    name: 'drops password, file and captcha answers, confirmations and repeater secrets',
+    run: () => {
+      const meta = {
+        1: 'Ada', 2: 'hunter2', conf_2: 'hunter2', 3: 'cv.pdf', 4: 'token',
+        5: { form: '12', row_ids: ['0'], 0: { 6: 'Bob', 7: 'pw' } },
+      };
+      expect(storableMeta(meta, fields)).toEqual({ 1: 'Ada', 5: { form: '12', row_ids: ['0'], 0: { 6: 'Bob' } } });
+    }
+  },
+  {
+    name: 'debounces saves under the form key and version and reads the form once',
+    run: () => {
+      vi.useFakeTimers();
+      const storage = memoryStorage();
+      const store = createAutosave({ formKey: 'contact', fields, version: 'v1', delayMs: 500, storage, now: () => 1000 });
+      const read = vi.fn(() => ({ 1: 'Ada', 2: 'hunter2' }));
+      store.schedule(read);
+      store.schedule(read);
+      vi.advanceTimersByTime(499);
+      expect(storage.map.size).toBe(0);
+      vi.advanceTimersByTime(1);
+      expect(read).toHaveBeenCalledTimes(1);
+      expect(store.key).toBe('frm_autosave:contact:v1');
+      expect(JSON.parse(storage.getItem(store.key))).toEqual({ version: 'v1', savedAt: 1000, meta: { 1: 'Ada' } });
+      expect(store.load()).toEqual({ version: 'v1', savedAt: 1000, meta: { 1: 'Ada' } });
+
+      store.schedule(() => ({ 1: 'Grace' }));
+      store.flush();
+      expect(store.load().meta).toEqual({ 1: 'Grace' });
+      store.schedule(read);
+      store.clear();
+      vi.runAllTimers();
+      expect(store.load()).toBeNull();
+      expect(read).toHaveBeenCalledTimes(1);
+    }
+  },
+  {
+    name: 'ignores copies from other form versions, expired copies and broken storage',
+    run: () => {
+      const record = (version, savedAt) => JSON.stringify({ version, savedAt, meta: { 1: 'Ada' } });
+      const storage = memoryStorage({
+        'frm_autosave:contact:old': record('old', 0),
+        'frm_autosave:contact:v2': record('v2', 0),
+        'frm_autosave:other:old': record('old', 0),
+      });
+      const store = createAutosave({ formKey: 'contact', fields, version: 'v2', maxAgeMs: 100, storage, now: () => 50 });
+      expect(store.load()).toMatchObject({ version: 'v2' });
+      expect([...storage.map.keys()]).toEqual(['frm_autosave:contact:v2', 'frm_autosave:other:old']);
+      expect(createAutosave({ formKey: 'contact', fields, version: 'v2', maxAgeMs: 100, storage, now: () => 101 }).load()).toBeNull();
+      expect(storage.map.has('frm_autosave:contact:v2')).toBe(false);
+
+      const full = { ...memoryStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+      const quiet = createAutosave({ formKey: 'contact', fields, storage: full });
+      quiet.schedule(() => ({ 1: 'Ada' }));
+      expect(() => quiet.flush()).not.toThrow();
+      expect(createAutosave({ formKey: 'contact', fields, storage: memoryStorage({ [quiet.key]: '{not json' }) }).load()).toBeNull();
+      expect(createAutosave({ formKey: 'contact', fields, storage: null }).load()).toBeNull();
+    }
+  },
+  {
+    name: 'versions change when fields move, change type or change options',
+    run: () => {
+      const base = formVersion(fields);
+      expect(formVersion([...fields])).toBe(base);
+      expect(formVersion(fields.slice(1))).not.toBe(base);
+      const [first] = normalizeFields([{ id: 1, field_key: 'name', type: 'radio', name: 'Name', options: [{ label: 'A', value: 'a' }] }]);
+      expect(formVersion([first])).not.toBe(formVersion([{ ...first, options: [] }]));
+    }
+  }
+];
+
+describe('Autosave — storable answers, debouncing, versions', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
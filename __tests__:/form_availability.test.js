@@ -0,0 +1,101 @@
+/**
+ * Availability — open/close, limits and login gating tests
+ * --------------------------------------------------------
+ * Runs in plain Node: settings come from the form metadata fixture, dates are local time
+ * (as the browser reads them) unless a site UTC offset is given, and cookies are
+ * document.cookie strings.
+ *
+ *   npx vitest run __tests__/form_availability.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import {
+  availabilitySettings, formAvailability, parseFormDate, hasSubmittedCookie, submittedCookie, loginLink,
+  LOGIN_MESSAGE, NO_PERMISSION_MESSAGE, ALREADY_SUBMITTED_MESSAGE,
+} from '../Book01_Headless_WordPress/Chapter04/form_availability.js';
+
+const metadata = JSON.parse(readFileSync(new URL('../Book01_Headless_WordPress/Chapter04/fetch_forms_result.json', import.meta.url), 'utf8'));
+
+const withOptions = (options, extra = {}) => availabilitySettings({ ...metadata, ...extra, options: { ...metadata.options, ...options } });
+
+const cases = [
+  {
+    name: 'reads the fixture: open, no limits, cookie lifetime and closed_msg',
+    run: () => {
+      const settings = availabilitySettings(metadata);
+      expect(settings).toMatchObject({
+        status: '', closeDate: null, maxEntries: null, singleEntry: false, cookie: false, cookieHours: 8000, loggedIn: false, role: '',
+        closedMessage: '<p>This form is currently closed for submissions.</p>',
+      });
+      expect(settings.openDate).toEqual(new Date(2020, 3, 14, 8, 2));
+      expect(formAvailability(settings)).toEqual({ open: true });
+      expect(parseFormDate('2025-12-31')).toEqual(new Date(2025, 11, 31));
+      expect(parseFormDate('soon')).toBeNull();
+    }
+  },
+  {
+    name: 'closes forms by status, schedule and entry limit',
+    run: () => {
+      const closed = { open: false, reason: 'closed', message: '<p>This form is currently closed for submissions.</p>' };
+      expect(formAvailability(withOptions({ open_status: 'closed' }))).toEqual(closed);
+
+      const schedule = withOptions({ open_status: 'schedule', open_date: '2025-01-01 09:00', close_date: '2025-02-01 00:00' });
+      expect(formAvailability(schedule, { now: new Date(2024, 11, 31) })).toEqual(closed);
+      expect(formAvailability(schedule, { now: new Date(2025, 0, 15) })).toEqual({ open: true });
+      expect(formAvailability(schedule, { now: new Date(2025, 1, 1) })).toEqual(closed);
+
+      const limit = withOptions({ open_status: 'limit', max_entries: '100' });
+      expect(formAvailability(limit, { entryCount: 100 })).toEqual(closed);
+      expect(formAvailability(limit, { entryCount: 99 }).open).toBe(true);
+      expect(formAvailability(limit).open).toBe(true); // count unknown: left to the server
+    }
+  },
+  {
+    name: 'reads dates in the site\'s UTC offset when it is known',
+    run: () => {
+      expect(parseFormDate('2025-01-01 09:00', -5)).toEqual(new Date(Date.UTC(2025, 0, 1, 14, 0)));
+      expect(parseFormDate('2025-01-01 09:00', '5.5')).toEqual(new Date(Date.UTC(2025, 0, 1, 3, 30)));
+      expect(parseFormDate('2025-01-01 09:00', 0)).toEqual(new Date(Date.UTC(2025, 0, 1, 9, 0)));
+      expect(parseFormDate('2025-01-01 09:00', '')).toEqual(new Date(2025, 0, 1, 9, 0));
+
+      const options = { open_status: 'schedule', open_date: '2025-01-01 09:00' };
+      const site = availabilitySettings({ ...metadata, options: { ...metadata.options, ...options } }, { gmtOffset: -5 });
+      expect(formAvailability(site, { now: new Date(Date.UTC(2025, 0, 1, 13, 59)) }).open).toBe(false);
+      expect(formAvailability(site, { now: new Date(Date.UTC(2025, 0, 1, 14, 0)) }).open).toBe(true);
+      expect(withOptions(options, { gmt_offset: 2 }).openDate).toEqual(new Date(Date.UTC(2025, 0, 1, 7, 0)));
+    }
+  },
+  {
+    name: 'asks visitors to log in and checks logged_in_role',
+    run: () => {
+      const members = withOptions({ logged_in_role: 'author' }, { logged_in: '1' });
+      expect(formAvailability(members)).toEqual({ open: false, reason: 'login', message: LOGIN_MESSAGE });
+      expect(formAvailability(members, { user: { id: 3, roles: ['subscriber'] } })).toEqual({ open: false, reason: 'role', message: NO_PERMISSION_MESSAGE });
+      expect(formAvailability(members, { user: { id: 3, roles: ['editor'] } })).toEqual({ open: true });
+      expect(formAvailability(withOptions({}, { logged_in: '1' }), { user: { id: 3, roles: [] } }).open).toBe(true);
+      expect(loginLink('/wp-login.php', 'https://example.com/contact/?a=1')).toBe('https://example.com/wp-login.php?redirect_to=https%3A%2F%2Fexample.com%2Fcontact%2F%3Fa%3D1');
+    }
+  },
+  {
+    name: 'limits cookie single-entry forms to one submit while the cookie lasts',
+    run: () => {
+      const single = withOptions({ single_entry: '1', single_entry_type: 'cookie', cookie_expiration: '2' });
+      expect(single).toMatchObject({ singleEntry: true, cookie: true, cookieHours: 2 });
+      expect(submittedCookie(1, single.cookieHours)).toBe('frm_form1_submitted=1; max-age=7200; path=/; SameSite=Lax');
+      const submitted = hasSubmittedCookie('theme=dark; frm_form1_submitted=1', 1);
+      expect([submitted, hasSubmittedCookie('frm_form12_submitted=1', 1), hasSubmittedCookie('', 1)]).toEqual([true, false, false]);
+      expect(formAvailability(single, { submitted })).toEqual({ open: false, reason: 'submitted', message: ALREADY_SUBMITTED_MESSAGE });
+      // The 'user' and 'ip' types are the server's to enforce
+      expect(formAvailability(withOptions({ single_entry: '1', single_entry_type: 'user' }), { submitted }).open).toBe(true);
+    }
+  }
+];
+
+describe('Availability — status, schedule, limits, login, single entry', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
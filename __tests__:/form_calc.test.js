@@ -0,0 +1,92 @@
+/**
+ * Calculated fields — expression engine tests
+ * -------------------------------------------
+ * Runs in plain Node: expressions are planned from normalized fields and computed from
+ * a map of answers, the same way the DOM engine feeds them from the form's controls.
+ *
+ *   npx vitest run __tests__/form_calc.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { planCalcs, runCalcs, parseNumber, formatCalcValue } from '../Book01_Headless_WordPress/Chapter04/form_calc.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+const field = (id, options = {}, extra = {}) => ({ id, field_key: `f${id}`, type: 'text', name: `F${id}`, field_order: id, field_options: options, ...extra });
+const compute = (fields, answers = {}) => {
+  const plan = planCalcs(fields);
+  return { plan, values: Object.fromEntries(runCalcs(plan, fields, (id) => answers[id] ?? '')) };
+};
+
+const cases = [
+  {
+    name: 'evaluates math with precedence, parentheses, functions and key references',
+    run: () => {
+      const fields = normalizeFields([
+        field(1), field(2), field(3, {}, { type: 'checkbox' }),
+        field(10, { calc: '[1] + [2] * 2' }),
+        field(11, { calc: '([1] + [f2]) * 2 - -1' }),
+        field(12, { calc: 'Math.round([1] / 3) + max([2], 10, 4) % 4', calc_dec: '' }),
+        field(13, { calc: '[3] + [99] + [f1 show=value]' }),
+        field(14, { calc: 'sqrt(pow([2], 2))', calc_dec: '2' }),
+      ]);
+      const { values } = compute(fields, { 1: '7', 2: '3', 3: ['5', '2.5'] });
+      expect(values).toEqual({ 10: '13', 11: '21', 12: '4', 13: '14.5', 14: '3.00' });
+    }
+  },
+  {
+    name: 'builds text calculations from answers',
+    run: () => {
+      const fields = normalizeFields([field(1), field(2, {}, { type: 'checkbox' }), field(5, { calc: 'Hi [1] ([f2]) [nope]', calc_type: 'text' })]);
+      expect(compute(fields, { 1: 'Ada', 2: ['a', 'b'] }).values[5]).toBe('Hi Ada (a, b) [nope]');
+    }
+  },
+  {
+    name: 'runs calcs in dependency order and reports skipped cycles, their readers and unparsable expressions',
+    run: () => {
+      const fields = normalizeFields([
+        field(1),
+        field(20, { calc: '[21] * 2' }),
+        field(21, { calc: '[1] + 1' }),
+        field(30, { calc: '[31] + 1' }),
+        field(31, { calc: '[30] + 1' }),
+        field(32, { calc: '[30] * 2' }),
+        field(40, { calc: '[1] +* 2' }),
+        field(41, { calc: 'alert(1)' }),
+        field(42, { calc: 'constructor(1)' }),
+      ]);
+      const { plan, values } = compute(fields, { 1: '4' });
+      expect(plan.steps.map(s => s.field.id)).toEqual([21, 20]);
+      expect(values).toEqual({ 20: '10', 21: '5' });
+      expect(plan.cycles).toEqual([[30, 31]]);
+      expect(plan.blocked).toEqual([32]);
+      expect(plan.errors.map(e => e.field.id)).toEqual([40, 41, 42]);
+      expect(plan.errors[1].message).toBe('Unknown function "alert" in calculation');
+    }
+  },
+  {
+    name: 'formats with calc decimals and currency, and reads currency-formatted answers',
+    run: () => {
+      const euro = { is_currency: 1, custom_symbol_right: ' €', custom_thousand_separator: '.', custom_decimal_separator: ',', custom_decimals: 2 };
+      const fields = normalizeFields([
+        field(1, euro),
+        field(2, { ...euro, calc: '[1] * 1000' }),
+        field(3, { is_currency: 1, custom_symbol_left: '$', calc: '[2] / 3', calc_dec: '1' }),
+        field(4, { is_currency: 1, calc: '[1] * 2' }, { type: 'number' }),
+        field(5, { calc: '1 / 0' }),
+      ]);
+      expect(parseNumber('1.234,5 €', fields[0].currency)).toBe(1234.5);
+      expect(parseNumber('abc')).toBe(0);
+      expect(compute(fields, { 1: '1.234,5 €' }).values).toEqual({ 2: '1.234.500,00 €', 3: '$411,500.0', 4: '2469.00', 5: '' });
+      expect(formatCalcValue(fields[2], -1234.56)).toBe('-$1,234.6');
+      expect(formatCalcValue(normalizeFields([field(6, { calc: '1' })])[0], 0.1 + 0.2)).toBe('0.3');
+    }
+  }
+];
+
+describe('Calculated fields — parsing, ordering, formatting', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
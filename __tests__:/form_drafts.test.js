@@ -0,0 +1,84 @@
+/**
+ * Drafts — save and resume tests
+ * ------------------------------
+ * Runs in plain Node: settings come from the form metadata fixture, entries are shaped
+ * like the entries API response, and controls are plain names.
+ *
+ *   npx vitest run __tests__/form_drafts.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { draftSettings, entryReference, isDraft, resumeUrl, resumeKeyFromUrl, entryToItemMeta, itemMetaToControls } from '../Book01_Headless_WordPress/Chapter04/form_drafts.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+const metadata = JSON.parse(readFileSync(new URL('../Book01_Headless_WordPress/Chapter04/fetch_forms_result.json', import.meta.url), 'utf8'));
+
+const fields = normalizeFields([
+  { id: 1, field_key: 'name', type: 'name', name: 'Name', field_order: 1 },
+  { id: 2, field_key: 'colors', type: 'checkbox', name: 'Colors', field_order: 2, options: [{ label: 'Red', value: 'r' }] },
+  { id: 3, field_key: 'size', type: 'select', name: 'Size', field_order: 3 },
+  { id: 4, field_key: 'guests', type: 'divider', name: 'Guests', field_order: 4, field_options: { repeat: 1, form_select: 12 } },
+  { id: 5, field_key: 'guest', type: 'text', name: 'Guest', field_order: 5, field_options: { in_section: 4 } },
+  { id: 6, field_key: 'note', type: 'textarea', name: 'Note', field_order: 6 },
+]);
+
+const cases = [
+  {
+    name: 'reads save_draft, draft_label and draft_msg with defaults',
+    run: () => {
+      expect(draftSettings(metadata)).toEqual({ enabled: false, label: 'Save Draft', message: 'Your draft has been saved.' });
+      expect(draftSettings({ options: { save_draft: '1', draft_label: 'Later', draft_msg: 'Kept' } })).toEqual({ enabled: true, label: 'Later', message: 'Kept' });
+      expect(draftSettings(undefined).enabled).toBe(false);
+    }
+  },
+  {
+    name: 'keeps the id and item_key of a saved entry',
+    run: () => {
+      expect(entryReference({ id: '55', item_key: 'k9x' })).toEqual({ id: 55, key: 'k9x' });
+      expect(entryReference({ item_key: 'k9x' })).toEqual({ id: null, key: 'k9x' });
+      expect(entryReference({ id: null })).toBeNull();
+      expect(entryReference('saved')).toBeNull();
+    }
+  },
+  {
+    name: 'only resumes entries that are still drafts',
+    run: () => {
+      expect(isDraft({ id: '55', is_draft: '1' })).toBe(true);
+      expect(isDraft({ id: '56', is_draft: '0' })).toBe(false);
+      expect(isDraft({ id: '57' })).toBe(false);
+      expect(isDraft(null)).toBe(false);
+    }
+  },
+  {
+    name: 'builds and reads resume URLs without disturbing other parameters',
+    run: () => {
+      const url = resumeUrl('https://example.com/apply/?ref=ad#form_contact-step-2', 'k9x');
+      expect(url).toBe('https://example.com/apply/?ref=ad&frm_resume=k9x#form_contact-step-2');
+      expect(resumeKeyFromUrl(url)).toBe('k9x');
+      expect(resumeKeyFromUrl(resumeUrl('https://example.com/', 'a b', 'draft'), 'draft')).toBe('a b');
+      expect(resumeKeyFromUrl('https://example.com/?frm_resume=')).toBeNull();
+    }
+  },
+  {
+    name: 'maps entry meta onto control names, skipping repeater children',
+    run: () => {
+      const entry = { id: 55, meta: { name: { first: 'Ada', last: 'Lovelace' }, colors: 'r', 3: 'L', guest: 'Bob', note: null } };
+      const meta = entryToItemMeta(entry, fields);
+      expect(meta).toEqual({ 1: { first: 'Ada', last: 'Lovelace' }, 2: ['r'], 3: 'L' });
+      expect([...itemMetaToControls(meta)]).toEqual([
+        ['item_meta[1][first]', 'Ada'], ['item_meta[1][last]', 'Lovelace'], ['item_meta[2][]', ['r']], ['item_meta[3]', 'L'],
+      ]);
+      expect(entryToItemMeta({ meta: { colors: '' } }, fields)).toEqual({ 2: [] });
+      expect(entryToItemMeta({}, fields)).toEqual({});
+    }
+  }
+];
+
+describe('Drafts — settings, entry references, resume URLs, prefill', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
@@ -0,0 +1,89 @@
+/**
+ * Editing — existing entry tests
+ * ------------------------------
+ * Runs in plain Node: settings come from the form metadata fixture, users are shaped like
+ * wp/v2/users/me (context=edit) and entries like the entries API response.
+ *
+ *   npx vitest run __tests__/form_edit.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { editSettings, userHasRole, canEditEntry, actionInputs, fileReferences, updatableFields } from '../Book01_Headless_WordPress/Chapter04/form_edit.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+const metadata = JSON.parse(readFileSync(new URL('../Book01_Headless_WordPress/Chapter04/fetch_forms_result.json', import.meta.url), 'utf8'));
+
+const editable = (options) => editSettings({ editable: '1', options: { ...metadata.options, ...options } });
+const ada = { id: 3, roles: ['author'] };
+
+const cases = [
+  {
+    name: 'reads editable, editable_role, open_editable_role, edit_value and edit_msg',
+    run: () => {
+      expect(editSettings(metadata)).toEqual({ enabled: false, role: '', othersRole: '-1', label: 'Update', message: 'Your submission was successfully saved.' });
+      expect(editSettings({ editable: 1, options: { edit_value: 'Save', edit_msg: 'Done' } })).toMatchObject({ enabled: true, label: 'Save', message: 'Done' });
+      expect(editSettings(undefined).enabled).toBe(false);
+    }
+  },
+  {
+    name: 'matches roles like Formidable: nobody, any logged-in user, a role or one above it',
+    run: () => {
+      expect(userHasRole(ada, '')).toBe(true);
+      expect(userHasRole(null, '')).toBe(false);
+      expect(userHasRole(ada, '-1')).toBe(false);
+      expect(['subscriber', 'contributor', 'author', 'editor'].map((role) => userHasRole(ada, role))).toEqual([true, true, true, false]);
+      expect(userHasRole({ roles: ['shop_manager'] }, ['editor', 'shop_manager'])).toBe(true);
+      expect(userHasRole({ roles: ['shop_manager'] }, 'subscriber')).toBe(false);
+    }
+  },
+  {
+    name: 'lets owners edit with editable_role and others with open_editable_role',
+    run: () => {
+      const own = { id: '55', user_id: '3' };
+      const theirs = { id: '56', user_id: '9' };
+      expect(canEditEntry(editable({ editable_role: 'author' }), ada, own)).toBe(true);
+      expect(canEditEntry(editable({ editable_role: 'author' }), ada, theirs)).toBe(false);
+      expect(canEditEntry(editable({ open_editable_role: 'contributor' }), ada, theirs)).toBe(true);
+      expect(canEditEntry(editSettings(metadata), ada, own)).toBe(false);
+      expect(canEditEntry(editable({}), null, own)).toBe(false);
+    }
+  },
+  {
+    name: 'builds the update action inputs and reads stored uploads',
+    run: () => {
+      expect(actionInputs(null)).toEqual([['frm_action', 'create']]);
+      expect(actionInputs({ id: 55, key: 'k9x' })).toEqual([['frm_action', 'update'], ['id', '55'], ['item_key', 'k9x']]);
+      expect(fileReferences(['345', 'https://x.test/up/My%20CV.pdf?v=2', { id: 7, url: 'https://x.test/a.png' }, '', null])).toEqual([
+        { value: '345', url: null, name: 'File 345' },
+        { value: 'https://x.test/up/My%20CV.pdf?v=2', url: 'https://x.test/up/My%20CV.pdf?v=2', name: 'My CV.pdf' },
+        { value: '7', url: 'https://x.test/a.png', name: 'a.png' },
+      ]);
+      expect(fileReferences(undefined)).toEqual([]);
+      // A stray % is not an escape: the name stays as stored instead of aborting the render
+      expect(fileReferences('https://x.test/up/100%.pdf')).toEqual([{ value: 'https://x.test/up/100%.pdf', url: 'https://x.test/up/100%.pdf', name: '100%.pdf' }]);
+    }
+  },
+  {
+    name: 'leaves repeatable sections and their rows out of an update',
+    run: () => {
+      const fields = normalizeFields([
+        { id: 1, field_key: 'who', type: 'text', name: 'Who', field_order: 1 },
+        { id: 2, field_key: 'about', type: 'divider', name: 'About', field_order: 2 },
+        { id: 3, field_key: 'bio', type: 'textarea', name: 'Bio', field_order: 3, field_options: { in_section: 2 } },
+        { id: 4, field_key: 'guests', type: 'divider', name: 'Guests', field_order: 4, field_options: { repeat: 1, form_select: 12 } },
+        { id: 5, field_key: 'guest', type: 'text', name: 'Guest', field_order: 5, field_options: { in_section: 4 } },
+        { id: 6, field_key: 'send', type: 'submit', name: 'Send', field_order: 6 },
+      ]);
+      expect(updatableFields(fields).map((f) => f.key)).toEqual(['who', 'about', 'bio', 'send']);
+    }
+  }
+];
+
+describe('Editing — settings, permissions, action inputs, uploads', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
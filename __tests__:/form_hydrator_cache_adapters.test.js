@@ -0,0 +1,257 @@
+/**
+ * Persistent cache adapters — localStorage and IndexedDB policy tests
+ * -------------------------------------------------------------------
+ * Runs in plain Node: Web Storage and IndexedDB are replaced by small in-memory fakes
+ * (the storage one can simulate a full quota). The cases cover the shared policy (TTL,
+ * LRU eviction, versioned namespaces, quota handling) through both adapters, and the
+ * factory's fallback choice.
+ *
+ *   npx vitest run __tests__/form_hydrator_cache_adapters.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LocalStorageCache, IndexedDBCache, createPersistentCache } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_cache_adapters.js';
+import { FormHydrator } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+// Web Storage fake; `quota` caps the total stored characters like a browser would.
+function makeStorage(quota = Infinity) {
+  const map = new Map();
+  const used = () => [...map.values()].reduce((n, v) => n + v.length, 0);
+  return {
+    map,
+    get length() { return map.size; },
+    key: (i) => [...map.keys()][i] ?? null,
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => {
+      const next = used() - (map.get(k)?.length || 0) + String(v).length;
+      if (next > quota) { const e = new Error('full'); e.name = 'QuotaExceededError'; throw e; }
+      map.set(k, String(v));
+    },
+    removeItem: (k) => { map.delete(k); },
+  };
+}
+
+// IndexedDB fake: one object store per database, requests settle on a microtask and a
+// transaction completes once it has no request left, like the browser's auto-commit.
+// `brokenIndex` makes the access-time index throw, as a corrupt store would.
+function makeIndexedDB({ brokenIndex = false } = {}) {
+  const databases = new Map();
+  const transaction = (records) => {
+    const tx = { pending: 0 };
+    const settle = () => setTimeout(() => {
+      if (!tx.pending && !tx.finished) { tx.finished = true; tx.oncomplete?.(); }
+    });
+    const request = (run) => {
+      const req = {};
+      tx.pending++;
+      queueMicrotask(() => {
+        req.result = run();
+        req.onsuccess?.();
+        tx.pending--;
+        settle();
+      });
+      return req;
+    };
+    const byAccess = () => [...records.values()].sort((x, y) => x.a - y.a);
+    tx.objectStore = () => ({
+      get: (k) => request(() => structuredClone(records.get(k))),
+      put: (rec) => request(() => { records.set(rec.k, structuredClone(rec)); return rec.k; }),
+      delete: (k) => request(() => { records.delete(k); }),
+      clear: () => request(() => { records.clear(); }),
+      index: () => {
+        if (brokenIndex) throw Object.assign(new Error('index'), { name: 'InvalidStateError' });
+        return {
+          getAll: () => request(() => byAccess().map((r) => structuredClone(r))),
+          getAllKeys: () => request(() => byAccess().map((r) => r.k)),
+        };
+      },
+    });
+    settle();
+    return tx;
+  };
+  return {
+    stores: databases,
+    open(name) {
+      const req = {};
+      queueMicrotask(() => {
+        const created = !databases.has(name);
+        if (created) databases.set(name, new Map());
+        req.result = { transaction: () => transaction(databases.get(name)), createObjectStore: () => ({ createIndex() {} }) };
+        if (created) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+    deleteDatabase(name) { databases.delete(name); },
+    databases: async () => [...databases.keys()].map((name) => ({ name, version: 1 })),
+  };
+}
+
+function ok(json, headers = {}) {
+  return { ok: true, status: 200, statusText: 'OK', headers: { get: (k) => headers[k] }, json: async () => json };
+}
+
+const cases = [
+  {
+    name: 'round-trips entries and honors TTL expiry',
+    run: async () => {
+      const storage = makeStorage();
+      const cache = new LocalStorageCache({ storage });
+      cache.set('a', { __etag: 'W/"1"', __body: { id: 1 } }, 50);
+      cache.set('b', { x: 1 }, 0); // 0 = no expiry, same as SimpleTTLCache
+      expect(cache.get('a')).toEqual({ __etag: 'W/"1"', __body: { id: 1 } });
+      await new Promise(r => setTimeout(r, 60));
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.get('b')).toEqual({ x: 1 });
+      cache.delete('b');
+      expect(cache.get('b')).toBeUndefined();
+    }
+  },
+  {
+    name: 'evicts the least recently used entry beyond maxEntries',
+    run: async () => {
+      const cache = new LocalStorageCache({ storage: makeStorage(), maxEntries: 2 });
+      cache.set('a', 1, 0);
+      await new Promise(r => setTimeout(r, 2));
+      cache.set('b', 2, 0);
+      await new Promise(r => setTimeout(r, 2));
+      cache.get('a'); // touch: b is now the oldest
+      await new Promise(r => setTimeout(r, 2));
+      cache.set('c', 3, 0);
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('c')).toBe(3);
+    }
+  },
+  {
+    name: 'discards entries from other versions of the namespace',
+    run: async () => {
+      const storage = makeStorage();
+      new LocalStorageCache({ storage, namespace: 'ns', version: 1 }).set('k', 'old', 0);
+      storage.setItem('unrelated', 'keep');
+      const v2 = new LocalStorageCache({ storage, namespace: 'ns', version: 2 });
+      expect(v2.get('k')).toBeUndefined();
+      expect([...storage.map.keys()].filter(k => k.startsWith('ns:v1:'))).toEqual([]);
+      expect(storage.getItem('unrelated')).toBe('keep');
+    }
+  },
+  {
+    name: 'survives quota errors by evicting, and never throws',
+    run: async () => {
+      const storage = makeStorage(300);
+      const cache = new LocalStorageCache({ storage });
+      const big = 'x'.repeat(150);
+      cache.set('a', big, 0);
+      await new Promise(r => setTimeout(r, 2));
+      cache.set('b', big, 0); // does not fit next to "a" -> "a" is evicted
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.get('b')).toBe(big);
+      expect(() => cache.set('huge', 'y'.repeat(1000), 0)).not.toThrow();
+      expect(cache.get('huge')).toBeUndefined();
+    }
+  },
+  {
+    name: 'factory falls back to localStorage without IndexedDB, and to undefined without either',
+    run: async () => {
+      expect(createPersistentCache({ storage: makeStorage() })).toBeInstanceOf(LocalStorageCache);
+      expect(createPersistentCache()).toBeUndefined();
+    }
+  },
+  {
+    name: 'IndexedDB: round-trips entries, honors TTL expiry and deletes',
+    run: async () => {
+      const indexedDB = makeIndexedDB();
+      const cache = new IndexedDBCache({ indexedDB, namespace: 'ns', version: 1 });
+      await cache.set('a', { __etag: 'W/"1"', __body: { id: 1 } }, 50);
+      await cache.set('b', { x: 1 }, 0);
+      expect(await cache.get('a')).toEqual({ __etag: 'W/"1"', __body: { id: 1 } });
+      await new Promise(r => setTimeout(r, 60));
+      expect(await cache.get('a')).toBeUndefined();
+      expect(indexedDB.stores.get('ns:v1').has('a')).toBe(false); // expired record removed
+      expect(await cache.get('b')).toEqual({ x: 1 });
+      await cache.delete('b');
+      expect(await cache.get('b')).toBeUndefined();
+      await cache.set('c', 3, 0);
+      await cache.clear();
+      expect(indexedDB.stores.get('ns:v1').size).toBe(0);
+    }
+  },
+  {
+    name: 'IndexedDB: evicts the least recently used entry and drops other versions',
+    run: async () => {
+      const indexedDB = makeIndexedDB();
+      await new IndexedDBCache({ indexedDB, namespace: 'ns', version: 1 }).set('k', 'old', 0);
+      await new IndexedDBCache({ indexedDB, namespace: 'ns', version: 3 }).set('k', 'newer', 0);
+      await new IndexedDBCache({ indexedDB, namespace: 'other', version: 1 }).set('k', 'keep', 0);
+      const cache = new IndexedDBCache({ indexedDB, namespace: 'ns', version: 2, maxEntries: 2 });
+      await cache.set('a', 1, 0);
+      await new Promise(r => setTimeout(r, 2));
+      await cache.set('b', 2, 0);
+      await new Promise(r => setTimeout(r, 2));
+      await cache.get('a'); // touch: b is now the oldest
+      await new Promise(r => setTimeout(r, 2));
+      await cache.set('c', 3, 0);
+      expect([await cache.get('a'), await cache.get('b'), await cache.get('c')]).toEqual([1, undefined, 3]);
+      expect([...indexedDB.stores.keys()]).toEqual(['other:v1', 'ns:v2']);
+    }
+  },
+  {
+    name: 'IndexedDB: a write that lands is not reported lost when pruning fails',
+    run: async () => {
+      const warnings = [];
+      const logger = { debug() {}, info() {}, warn: (message) => warnings.push(message), error() {} };
+      const indexedDB = makeIndexedDB({ brokenIndex: true });
+      const cache = new IndexedDBCache({ indexedDB, logger });
+      await cache.set('a', 1, 0);
+      expect(await cache.get('a')).toBe(1);
+      expect(warnings).toEqual(['[IndexedDBCache] pruning failed']);
+    }
+  },
+  {
+    name: 'IndexedDB: serves calls from the fallback when the database cannot be opened',
+    run: async () => {
+      const indexedDB = {
+        open() {
+          const req = {};
+          queueMicrotask(() => { req.error = new Error('blocked'); req.onerror(); });
+          return req;
+        },
+      };
+      const storage = makeStorage();
+      const cache = createPersistentCache({ indexedDB, storage });
+      expect(cache).toBeInstanceOf(IndexedDBCache);
+      await cache.set('a', 1, 0);
+      expect(await cache.get('a')).toBe(1);
+      expect(storage.getItem('frm-hydrator:v1:a')).not.toBeNull(); // stored by the localStorage fallback
+      await cache.delete('a');
+      expect(await cache.get('a')).toBeUndefined();
+    }
+  },
+  {
+    name: 'gives a new FormHydrator instance the previous page load\'s ETag',
+    run: async () => {
+      const storage = makeStorage();
+      const calls = [];
+      const fetchImpl = async (url, init) => {
+        calls.push(init.headers);
+        return calls.length === 1
+          ? ok({ id: 3, key: 'p', name: 'P', settings: {} }, { ETag: 'W/"m3"' })
+          : { ok: false, status: 304, statusText: 'Not Modified', headers: { get: () => undefined }, text: async () => '' };
+      };
+      const first = new FormHydrator({ baseUrl: 'https://s', fetchImpl, cache: new LocalStorageCache({ storage }) });
+      const a = await first.getFormMetadata(3);
+      const second = new FormHydrator({ baseUrl: 'https://s', fetchImpl, cache: new LocalStorageCache({ storage }) });
+      const b = await second.getFormMetadata(3);
+      expect(calls[1]['If-None-Match']).toBe('W/"m3"');
+      expect(b).toEqual(a);
+    }
+  }
+];
+
+describe('FormHydrator cache adapters — persistence policy', () => {
+  for (const c of cases) {
+    it(c.name, async () => {
+      await c.run();
+    });
+  }
+});
@@ -90,7 +90,13 @@
  */
 
 import { describe, it, expect } from 'vitest'; // or from '@jest/globals'
-import { FormHydrator } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+import { readFileSync } from 'node:fs';
+import { FormHydrator, normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+// Real Formidable fields response (keyed by field_key) captured for Chapter 4.
+const fixture = (name) => JSON.parse(readFileSync(new URL(`../Book01_Headless_WordPress/Chapter04/${name}`, import.meta.url), 'utf8'));
+const fieldsFixture = fixture('fetch_fields_result.json');
+const formFixture = fixture('fetch_forms_result.json');
 
 // -------------------------
 // Tiny helpers for fakes
@@ -116,6 +122,19 @@ function makeFetch(script) {
   fn.calls = calls; fn.script = script; return fn;
 }
 
+// Fake fetch keyed by pathname (for concurrent tests where call order varies)
+function byPath(table, delay = async () => {}) {
+  const calls = [];
+  const fn = async (url, init = {}) => {
+    const path = new URL(url).pathname;
+    calls.push({ url, init, path });
+    await delay();
+    if (!table[path]) return text(404, '');
+    return table[path](url, init);
+  };
+  fn.calls = calls; return fn;
+}
+
 // Route helpers
 const routes = (id, key) => ({
   idByKey: `/wp-json/custom/v1/form-id/${encodeURIComponent(key)}`,
@@ -210,9 +229,367 @@ const cases = [
       await expect(h.getFormMetadata(4)).rejects.toBeTruthy();
       await expect(h.getFormMetadata(4)).rejects.toBeTruthy();
     }
+  },
+  {
+    name: 'applies a custom REST prefix and route overrides',
+    run: async () => {
+      const f = makeFetch([
+        ok({ id: 5 }),
+        ok({ id: 5, key: 'px', name: 'PX', settings: {} }),
+        ok([]),
+      ]);
+      const h = new FormHydrator({
+        baseUrl: 'https://s', fetchImpl: f, restPrefix: '/api/',
+        routes: { idByKey: (key) => `/acme/v1/lookup/${key}` },
+      });
+      await h.hydrate('px');
+      expect(f.calls.map(c => c.path)).toEqual(['/api/acme/v1/lookup/px', '/api/frm/v2/forms/5', '/api/frm/v2/forms/5/fields']);
+    }
+  },
+  {
+    name: 'builds ?rest_route= URLs when pretty permalinks are off',
+    run: async () => {
+      const f = makeFetch([ ok({ id: 6 }) ]);
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f, restStyle: 'query' });
+      await h.getFormIdByKey('plain key');
+      expect(f.calls[0].url).toBe('https://s/?rest_route=/custom/v1/form-id/plain%20key');
+      expect(h.resolveRoute('formFields', 6)).toBe('/?rest_route=/frm/v2/forms/6/fields');
+    }
+  },
+  {
+    name: 'fetches registered named routes through the cache pipeline',
+    run: async () => {
+      const f = makeFetch([ ok({ theme: 'dark' }, { ETag: 'W/"s1"' }), text(304, '', {}) ]);
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f });
+      h.registerRoute('formStyles', (id) => `/acme/v1/styles/${id}?context=view`, { ttlMs: 60000 });
+      const a = await h.getRoute('formStyles', 9);
+      const b = await h.getRoute('formStyles', 9);
+      expect(f.calls[0].url).toBe('https://s/wp-json/acme/v1/styles/9?context=view');
+      expect(f.calls[1].init.headers['If-None-Match']).toBe('W/"s1"');
+      expect(b).toEqual(a);
+      await expect(h.getRoute('missing', 1)).rejects.toMatchObject({ code: 'EBADARGS' });
+    }
+  },
+  {
+    name: 'serves fresh SWR entries from cache without a request',
+    run: async () => {
+      const f = makeFetch([ ok({ id: 8, key: 'sw', name: 'SW', settings: {} }) ]);
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f, swr: { metadata: { freshMs: 60000, staleMs: 60000 } } });
+      const a = await h.getFormMetadata(8);
+      const b = await h.getFormMetadata(8);
+      expect(f.calls.length).toBe(1);
+      expect(b).toEqual(a);
+    }
+  },
+  {
+    name: 'revalidates stale SWR entries in the background and emits update on change',
+    run: async () => {
+      const f = makeFetch([
+        ok({ id: 9, key: 'sw', name: 'Old', settings: {} }, { ETag: 'W/"v1"' }),
+        ok({ id: 9, key: 'sw', name: 'New', settings: {} }, { ETag: 'W/"v2"' }),
+        text(304, '', {}),
+      ]);
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f, swr: { metadata: { freshMs: 0, staleMs: 60000 } } });
+      const updates = [];
+      h.on('update', (evt) => updates.push(evt));
+
+      await h.getFormMetadata(9);
+      const stale = await h.getFormMetadata(9);
+      expect(stale.name).toBe('Old'); // answered from cache immediately
+      await new Promise(r => setTimeout(r, 0));
+      expect(f.calls[1].init.headers['If-None-Match']).toBe('W/"v1"');
+      expect(updates).toHaveLength(1);
+      expect(updates[0]).toMatchObject({ route: 'metadata', params: 9, data: { name: 'New' }, previous: { name: 'Old' } });
+
+      // 304 on the next refresh: cache keeps the new body, no further event
+      expect((await h.getFormMetadata(9)).name).toBe('New');
+      await new Promise(r => setTimeout(r, 0));
+      expect(f.calls[2].init.headers['If-None-Match']).toBe('W/"v2"');
+      expect(updates).toHaveLength(1);
+    }
+  },
+  {
+    name: 'hydrateMany returns per-key results within the concurrency limit',
+    run: async () => {
+      const r = { a: routes(1, 'a'), b: routes(2, 'b') };
+      let active = 0, peak = 0;
+      const f = byPath({
+        [r.a.idByKey]: () => ok({ id: 1 }),
+        [r.a.meta]: () => ok({ id: 1, key: 'a', name: 'A', settings: {} }),
+        [r.a.fields]: () => ok([]),
+        [r.b.idByKey]: () => ok({ id: 2 }),
+        [r.b.meta]: () => ok({ id: 2, key: 'b', name: 'B', settings: {} }),
+        [r.b.fields]: () => ok([]),
+        '/wp-json/custom/v1/form-id/missing': () => text(404, '{"code":"not_found"}'),
+      }, async () => { peak = Math.max(peak, ++active); await new Promise(res => setTimeout(res, 1)); active--; });
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f });
+      const res = await h.hydrateMany(['a', 'missing', 'b'], { concurrency: 1, batch: false });
+      expect(res.map(x => [x.key, x.status])).toEqual([['a', 'fulfilled'], ['missing', 'rejected'], ['b', 'fulfilled']]);
+      expect(res[2].value.metadata.name).toBe('B');
+      expect(res[1].reason.code).toBe('EHTTP_404');
+      expect(peak).toBeLessThanOrEqual(2); // one form at a time; metadata + fields run in parallel
+
+      // Invalid limits fall back to the default rather than hydrating nothing
+      for (const concurrency of [NaN, 'many', 0, -2, '1.5']) {
+        const again = await h.hydrateMany(['a', 'b'], { concurrency, batch: false });
+        expect(again.map(x => x.status)).toEqual(['fulfilled', 'fulfilled']);
+      }
+    }
+  },
+  {
+    name: 'hydrateMany resolves ids in one batch call when the server advertises it',
+    run: async () => {
+      const f = byPath({
+        '/wp-json/custom/v1': () => ok({ namespace: 'custom/v1', routes: { '/custom/v1': {}, '/custom/v1/form-ids': {} } }),
+        '/wp-json/custom/v1/form-ids': () => ok({ ids: { a: 1, b: 2 } }),
+        [routes(1).meta]: () => ok({ id: 1, key: 'a', name: 'A', settings: {} }),
+        [routes(1).fields]: () => ok([]),
+        [routes(2).meta]: () => ok({ id: 2, key: 'b', name: 'B', settings: {} }),
+        [routes(2).fields]: () => ok([]),
+      });
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f });
+      const res = await h.hydrateMany(['a', 'b']);
+      expect(res.every(x => x.status === 'fulfilled')).toBe(true);
+      expect(f.calls.filter(c => c.path.includes('/form-id/'))).toHaveLength(0);
+      expect(f.calls.find(c => c.path.endsWith('/form-ids')).url).toBe('https://s/wp-json/custom/v1/form-ids?keys=a,b');
+    }
+  },
+  {
+    name: 'hydrateMany asks for the batch route again after a failed lookup, but not after a 404',
+    run: async () => {
+      const index = [text(503, ''), ok({ namespace: 'custom/v1', routes: { '/custom/v1/form-ids': {} } })];
+      const forms = {};
+      for (const [id, key] of [[1, 'a'], [2, 'b']]) {
+        forms[routes(id, key).idByKey] = () => ok({ id });
+        forms[routes(id, key).meta] = () => ok({ id, key, name: key.toUpperCase(), settings: {} });
+        forms[routes(id, key).fields] = () => ok([]);
+      }
+      const f = byPath({ ...forms, '/wp-json/custom/v1': () => index.shift(), '/wp-json/custom/v1/form-ids': () => ok({ ids: { a: 1, b: 2 } }) });
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f, retry: { maxRetries: 0 } });
+      expect((await h.hydrateMany(['a', 'b'])).map(x => x.status)).toEqual(['fulfilled', 'fulfilled']); // by key after the 503
+      await h.hydrateMany(['a', 'b']);
+      expect(f.calls.filter(c => c.path === '/wp-json/custom/v1')).toHaveLength(2);
+      expect(f.calls.filter(c => c.path.endsWith('/form-ids'))).toHaveLength(1);
+
+      const missing = byPath({ ...forms, '/wp-json/custom/v1': () => text(404, '{"code":"rest_no_route"}') });
+      const g = new FormHydrator({ baseUrl: 'https://s', fetchImpl: missing, retry: { maxRetries: 0 } });
+      await g.hydrateMany(['a', 'b']);
+      await g.hydrateMany(['a', 'b']);
+      expect(missing.calls.filter(c => c.path === '/wp-json/custom/v1')).toHaveLength(1);
+    }
+  },
+  {
+    name: 'writes entries with nonce, JSON bodies, and structured errors',
+    run: async () => {
+      const f = makeFetch([
+        ok({ id: 55, item_key: 'abc' }),
+        ok({ id: 55 }),
+        { ok: true, status: 204, statusText: 'No Content', headers: { get: () => undefined }, json: async () => { throw new Error('no body'); } },
+        text(400, '{"code":"frm_validation","message":"Invalid","data":{"status":400}}'),
+      ]);
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f, wpNonce: 'n1' });
+      const created = await h.createEntry(7, { item_meta: { 12: 'Ada' } });
+      expect(created.item_key).toBe('abc');
+      expect(f.calls[0]).toMatchObject({ path: '/wp-json/frm/v2/forms/7/entries', init: { method: 'POST', body: '{"item_meta":{"12":"Ada"}}' } });
+      expect(f.calls[0].init.headers).toMatchObject({ 'X-WP-Nonce': 'n1', 'Content-Type': 'application/json' });
+
+      await h.updateEntry(55, { item_meta: { 12: 'Grace' } });
+      expect(f.calls[1]).toMatchObject({ path: '/wp-json/frm/v2/entries/55', init: { method: 'PUT' } });
+      expect(await h.deleteEntry(55)).toBeUndefined();
+      expect(f.calls[2].init.method).toBe('DELETE');
+
+      const err = await h.createEntry(7, {}).catch(e => e);
+      expect(err).toMatchObject({ code: 'EHTTP_400', status: 400, body: { code: 'frm_validation' } });
+    }
+  },
+  {
+    name: 'retries POSTs only when an idempotency key is supplied',
+    run: async () => {
+      const retry = { maxRetries: 2, jitter: false, backoffBaseMs: 1, backoffCapMs: 1 };
+      const plain = makeFetch([ text(503, ''), ok({ id: 1 }) ]);
+      await expect(new FormHydrator({ baseUrl: 'https://s', fetchImpl: plain, retry }).createEntry(7, {})).rejects.toMatchObject({ code: 'EHTTP_503' });
+      expect(plain.calls).toHaveLength(1);
+
+      const keyed = makeFetch([ text(503, ''), ok({ id: 2 }) ]);
+      const res = await new FormHydrator({ baseUrl: 'https://s', fetchImpl: keyed, retry }).createEntry(7, {}, { idempotencyKey: 'k-1' });
+      expect(res.id).toBe(2);
+      expect(keyed.calls.map(c => c.init.headers['Idempotency-Key'])).toEqual(['k-1', 'k-1']);
+    }
+  },
+  {
+    name: 'refreshes an expired nonce once and replays reads and writes',
+    run: async () => {
+      const expired = () => text(403, '{"code":"rest_cookie_invalid_nonce","message":"Cookie check failed","data":{"status":403}}');
+      const f = makeFetch([ expired(), expired(), ok({ id: 3, key: 'n', name: 'N', settings: {} }), ok({ id: 3, key: 'n', name: 'N', settings: {} }), expired(), ok({ id: 90 }) ]);
+      let provided = 0;
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f, wpNonce: 'old', nonceProvider: async () => `fresh-${++provided}` });
+
+      // Two concurrent reads (different headers, so not coalesced) share one refresh
+      await Promise.all([ h.getFormMetadata(3, { headers: { 'X-A': '1' } }), h.getFormMetadata(3, { headers: { 'X-A': '2' } }) ]);
+      expect(provided).toBe(1);
+      expect(f.calls.slice(2, 4).map(c => c.init.headers['X-WP-Nonce'])).toEqual(['fresh-1', 'fresh-1']);
+
+      const entry = await h.createEntry(3, {});
+      expect(entry.id).toBe(90);
+      expect(f.calls[5].init.headers['X-WP-Nonce']).toBe('fresh-2');
+    }
+  },
+  {
+    name: 'replays at most once and leaves other 403s alone',
+    run: async () => {
+      const expired = () => text(403, '{"code":"rest_cookie_invalid_nonce"}');
+      const f = makeFetch([ expired(), expired(), text(403, '{"code":"rest_forbidden"}') ]);
+      let provided = 0;
+      const h = new FormHydrator({ baseUrl: 'https://s', fetchImpl: f, nonceProvider: () => `n${++provided}` });
+      await expect(h.getFormMetadata(4)).rejects.toMatchObject({ code: 'EHTTP_403' });
+      await expect(h.getFormMetadata(5)).rejects.toMatchObject({ body: { code: 'rest_forbidden' } });
+      expect(provided).toBe(1);
+      expect(f.calls).toHaveLength(3);
+    }
+  },
+  {
+    name: 'normalizes the keyed fields response into an ordered, typed model',
+    run: async () => {
+      const fields = normalizeFields(fieldsFixture);
+      expect(fields.map(f => f.id)).toEqual([1, 2, 3, 4, 5, 229, 231, 230, 654]);
+      const first = fields[0];
+      expect(first).toMatchObject({
+        key: 'contact_form_first_name', type: 'text', name: 'Name', description: 'First',
+        order: 2, formId: 1, required: true, defaultValue: '', placeholder: '', options: [],
+        messages: { blank: 'This field cannot be blank.', invalid: 'Name is invalid', unique: 'This value must be unique.', confirm: 'The entered values do not match' },
+        layout: { classes: 'frm_first frm_half', labelPosition: '', align: 'block', inSection: 0, readOnly: false, max: undefined },
+        validation: { minnum: 1, maxnum: 10, step: 1, maxLimit: undefined, maxLimitType: 'char', unique: false },
+        calc: null, logic: null, currency: null, lookup: null,
+      });
+      expect(first.html).toContain('frm_field_[id]_container');
+      expect(first.config.classes).toBe('frm_first frm_half');
+      expect(fields[1].layout.labelPosition).toBe('hidden');
+      const consent = fields.find(f => f.type === 'checkbox');
+      expect(consent.options).toEqual([{ label: 'I consent to receive emails or texts from you', value: 'I consent to receive emails or texts from you' }]);
+      // The input is left untouched
+      expect(fieldsFixture.contact_form_first_name.required).toBe('1');
+    }
+  },
+  {
+    name: 'maps calc, conditional logic, currency, lookups and sections from field_options',
+    run: async () => {
+      const [field] = normalizeFields([{
+        id: '9', field_key: 'total', type: 'number', field_order: '1', required: '0', form_id: '2',
+        options: ['A', { label: 'B', value: 'b', image: '0' }],
+        field_options: {
+          calc: ' [7]*2 ', calc_type: '', calc_dec: '2', in_section: '12',
+          show_hide: 'hide', any_all: 'all', hide_field: ['7', '8'], hide_field_cond: ['>', '!='], hide_opt: ['3'],
+          is_currency: 1, custom_currency: 1, custom_symbol_left: '$', custom_decimals: '0',
+          get_values_form: '4', get_values_field: '40', watch_lookup: ['7', ''], get_most_recent_value: '1',
+          max_limit: '20', max_limit_type: 'word',
+        },
+      }]);
+      expect(field).toMatchObject({
+        id: 9, required: false, formId: 2,
+        options: [{ label: 'A', value: 'A' }, { label: 'B', value: 'b' }],
+        calc: { expression: '[7]*2', type: '', decimals: 2 },
+        logic: { action: 'hide', match: 'all', rules: [{ field: '7', operator: '>', value: '3' }, { field: '8', operator: '!=', value: '' }] },
+        currency: { symbolLeft: '$', symbolRight: '', thousandSeparator: ',', decimalSeparator: '.', decimals: 0, custom: true },
+        lookup: { formId: '4', fieldId: '40', watch: ['7'], mostRecent: true, filterCurrentUser: false },
+        layout: { inSection: 12 },
+        validation: { maxLimit: 20, maxLimitType: 'word' },
+      });
+    }
+  },
+  {
+    name: 'hydrate() accepts the keyed fields object and returns ordered FormFields',
+    run: async () => {
+      const f = makeFetch([ ok({ id: 1 }), ok({ id: 1, key: 'contact', name: 'Contact', settings: {} }), ok(fieldsFixture) ]);
+      const h = new FormHydrator({ baseUrl: 'https://site', fetchImpl: f, jitter: false });
+      const payload = await h.hydrate('contact');
+      expect(payload.fields).toHaveLength(9);
+      expect(payload.fields.at(-1)).toMatchObject({ type: 'submit', key: '50r7d', order: 17 });
+      expect(payload.fieldsRaw).toEqual(fieldsFixture);
+      expect(h.normalizeFields(fieldsFixture)).toEqual(payload.fields);
+    }
+  },
+  {
+    name: 'hydrateEntry() loads a form with one of its entries and rejects entries of other forms',
+    run: async () => {
+      const entry = { id: '55', item_key: 'k9x', form_id: '1', is_draft: '1', meta: { contact_form_first_name: 'Ada' } };
+      const f = byPath({
+        [routes(1, 'contact').idByKey]: () => ok({ id: 1 }),
+        [routes(1, 'contact').meta]: () => ok({ id: 1, key: 'contact', name: 'Contact', settings: {} }),
+        [routes(1, 'contact').fields]: () => ok(fieldsFixture),
+        '/wp-json/frm/v2/entries/k9x': () => ok(entry),
+        '/wp-json/frm/v2/entries/other': () => ok({ ...entry, form_id: '2' }),
+      });
+      const h = new FormHydrator({ baseUrl: 'https://site', fetchImpl: f });
+      const payload = await h.hydrateEntry('contact', 'k9x');
+      expect(payload).toMatchObject({ id: 1, entry });
+      expect(payload.fields).toHaveLength(9);
+      await expect(h.hydrateEntry('contact', 'other')).rejects.toMatchObject({ code: 'EBADARGS' });
+      await expect(h.hydrateEntry('contact', '')).rejects.toMatchObject({ code: 'EBADARGS' });
+    }
+  },
+  {
+    name: 'getCurrentUser() returns the user with roles, or null when logged out',
+    run: async () => {
+      const me = { id: 3, name: 'Ada', roles: ['editor'] };
+      const f = makeFetch([ ok(me), ok(me), text(401, '{"code":"rest_not_logged_in"}') ]);
+      const h = new FormHydrator({ baseUrl: 'https://site', fetchImpl: f });
+      await expect(h.getCurrentUser()).resolves.toEqual(me);
+      await expect(h.getCurrentUser()).resolves.toEqual(me);
+      await expect(h.getCurrentUser()).resolves.toBeNull();
+      expect(f.calls).toHaveLength(3); // never cached
+      expect(f.calls[0].url).toBe('https://site/wp-json/wp/v2/users/me?context=edit');
+    }
+  },
+  {
+    name: 'default guards accept the real REST payloads (string ids, form_key)',
+    run: async () => {
+      const f = makeFetch([ ok({ id: '1' }), ok(formFixture), ok(fieldsFixture) ]);
+      const h = new FormHydrator({ baseUrl: 'https://site', fetchImpl: f });
+      const payload = await h.hydrate('contact-form');
+      expect(payload.id).toBe(1);
+      expect(payload.metadata.form_key).toBe('contact-form');
+      expect(payload.metadata.id).toBe('1'); // basic mode never rewrites payloads
+      expect(() => new FormHydrator({ validation: 'loose' })).toThrow(expect.objectContaining({ code: 'EBADARGS' }));
+    }
+  },
+  {
+    name: 'strict validation lists every offending path in one EBADSHAPE',
+    run: async () => {
+      const badFields = { a: { id: 'x', field_key: 'a', type: 'text', required: 'yes' }, b: { id: '2', name: 7 } };
+      const f = makeFetch([ ok(formFixture), ok(badFields), ok({ id: '1', name: 'No key', options: [] }) ]);
+      const h = new FormHydrator({ baseUrl: 'https://site', fetchImpl: f, validation: 'strict' });
+      await expect(h.getFormMetadata(1)).resolves.toEqual(formFixture);
+      const err = await h.getFormFields(1).catch(e => e);
+      expect(err).toMatchObject({ code: 'EBADSHAPE' });
+      expect(err.issues.map(i => i.path)).toEqual(['fields.a.id', 'fields.a.required', 'fields.b.field_key', 'fields.b.type', 'fields.b.name']);
+      expect(err.message).toContain('fields.b.type (missing)');
+      const meta = await h.getFormMetadata(2).catch(e => e);
+      expect(meta.issues).toEqual([
+        { path: 'metadata.form_key', message: 'missing (one of form_key, key is required)' },
+        { path: 'metadata.options', message: 'expected an object, got array' },
+      ]);
+    }
+  },
+  {
+    name: 'lenient validation coerces ids and flags, warns on drift, and still rejects missing ids',
+    run: async () => {
+      const warnings = [];
+      const logger = { debug() {}, info() {}, warn: (...a) => warnings.push(a), error() {} };
+      const f = makeFetch([ ok({ id: '7' }), ok({ ...formFixture, id: '7', name: 42, options: 'x' }), ok({ a: { field_key: 'a', type: 'text' } }) ]);
+      const h = new FormHydrator({ baseUrl: 'https://site', fetchImpl: f, validation: 'lenient', logger });
+      expect(await h.getFormIdByKey('contact-form')).toBe(7);
+      const meta = await h.getFormMetadata(7);
+      expect(meta).toMatchObject({ id: 7, name: '42', parent_form_id: 0, logged_in: false, is_template: false, options: 'x' });
+      expect(warnings.at(-1)[1]).toEqual({
+        coerced: ['metadata.id', 'metadata.name', 'metadata.parent_form_id', 'metadata.logged_in', 'metadata.is_template'],
+        ignored: [{ path: 'metadata.options', message: 'expected an object, got string' }],
+      });
+      await expect(h.getFormFields(7)).rejects.toMatchObject({ code: 'EBADSHAPE', issues: [{ path: 'fields.a.id', message: 'missing' }] });
+    }
   }
 ];
 
+
 // ---------------------------------
 // Execute the table of cases
 // ---------------------------------
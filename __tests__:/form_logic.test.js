@@ -0,0 +1,120 @@
+/**
+ * Conditional logic — evaluator tests
+ * -----------------------------------
+ * Runs in plain Node: controls are plain objects shaped like form elements, so value
+ * reading is covered for every rendered field type without a DOM.
+ *
+ *   npx vitest run __tests__/form_logic.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compareValues, evaluateLogic, resolveVisibility, valueFromControls } from '../Book01_Headless_WordPress/Chapter04/form_logic.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+// Raw field with Formidable's parallel logic lists
+const withLogic = (id, rules, { action = 'show', match = 'all', inSection } = {}) => ({
+  id, field_key: `f${id}`, type: 'text', name: `F${id}`, field_order: id,
+  field_options: {
+    show_hide: action, any_all: match, in_section: inSection,
+    hide_field: rules.map(r => r[0]), hide_field_cond: rules.map(r => r[1]), hide_opt: rules.map(r => r[2]),
+  },
+});
+
+const cases = [
+  {
+    name: 'supports Formidable comparison and text operators, with aliases',
+    run: () => {
+      const table = [
+        ['==', '5', '5.0', true], ['==', 'a', 'A', false], ['!=', 'a', 'b', true],
+        ['>', '10', '9', true], ['<', '10', '9', false], ['>=', '3', '3', true], ['<=', '', '3', false],
+        ['>', '2024-05-01', '2024-04-30', true],
+        ['LIKE', 'Hello World', 'world', true], ['not LIKE', 'Hello', 'xyz', true], ['not LIKE', 'Hello', 'ell', false],
+        ['^', 'Formidable', 'form', true], ['LIKE%', 'Formidable', 'able', false],
+        ['$', 'Formidable', 'ABLE', true], ['%LIKE', 'Formidable', 'able', true],
+        ['unknown', 'x', 'x', true],
+      ];
+      for (const [op, actual, expected, result] of table) {
+        expect([op, actual, expected, compareValues(op, actual, expected)]).toEqual([op, actual, expected, result]);
+      }
+    }
+  },
+  {
+    name: 'matches multi-value answers on any value and negations on none',
+    run: () => {
+      expect(compareValues('==', ['red', 'blue'], 'blue')).toBe(true);
+      expect(compareValues('!=', ['red', 'blue'], 'blue')).toBe(false);
+      expect(compareValues('!=', ['red'], 'blue')).toBe(true);
+      expect(compareValues('LIKE', ['cv.pdf'], '.pdf')).toBe(true);
+      expect(compareValues('==', [], '')).toBe(true);
+    }
+  },
+  {
+    name: 'evaluates any/all matches with show and hide actions',
+    run: () => {
+      const answers = { 1: 'yes', 2: '7' };
+      const valueOf = (id) => answers[id] ?? '';
+      const [all, any, hide] = normalizeFields([
+        withLogic(10, [[1, '==', 'yes'], [2, '>', '9']]),
+        withLogic(11, [[1, '==', 'yes'], [2, '>', '9']], { match: 'any' }),
+        withLogic(12, [[1, '==', 'yes']], { action: 'hide' }),
+      ]);
+      expect([all, any, hide].map(f => evaluateLogic(f.logic, valueOf))).toEqual([false, true, false]);
+    }
+  },
+  {
+    name: 'cascades hiding through dependent fields and sections',
+    run: () => {
+      const fields = normalizeFields([
+        { id: 1, field_key: 'a', type: 'radio', name: 'A', field_order: 1 },
+        withLogic(2, [[1, '==', 'yes']]),
+        withLogic(3, [[2, '!=', '']]),
+        { ...withLogic(4, [[1, '==', 'yes']]), type: 'divider' },
+        { id: 5, field_key: 'e', type: 'text', name: 'E', field_order: 5, field_options: { in_section: 4 } },
+        withLogic(6, [[5, '==', 'x']]),
+      ]);
+      const answers = { 1: 'yes', 2: 'filled', 5: 'x' };
+      const visible = (a) => Object.fromEntries(resolveVisibility(fields, (id) => a[id] ?? ''));
+      expect(visible(answers)).toEqual({ 1: true, 2: true, 3: true, 4: true, 5: true, 6: true });
+      // Hiding 2 empties it, which hides 3; hiding section 4 hides 5, which hides 6
+      expect(visible({ ...answers, 1: 'no' })).toEqual({ 1: true, 2: false, 3: false, 4: false, 5: false, 6: false });
+    }
+  },
+  {
+    name: 'stops on circular rules instead of looping',
+    run: () => {
+      const fields = normalizeFields([withLogic(1, [[2, '==', '']]), withLogic(2, [[1, '==', '']])]);
+      expect(resolveVisibility(fields, () => '').size).toBe(2);
+    }
+  },
+  {
+    name: 'reads answers from every rendered control type',
+    run: () => {
+      const controls = [
+        { name: 'item_meta[1][]', type: 'checkbox', value: 'a', checked: true },
+        { name: 'item_meta[1][]', type: 'checkbox', value: 'b', checked: false },
+        { name: 'item_meta[1][]', type: 'checkbox', value: 'c', checked: true },
+        { name: 'item_meta[2]', type: 'radio', value: '4', checked: false },
+        { name: 'item_meta[2]', type: 'radio', value: '5', checked: true },
+        { name: 'item_meta[3][first]', type: 'text', value: 'Ada ' },
+        { name: 'item_meta[3][last]', type: 'text', value: 'Lovelace' },
+        { name: 'item_meta[4]', type: 'file', files: [{ name: 'cv.pdf' }] },
+        { name: 'item_meta[5][]', type: 'select-multiple', multiple: true, options: [{ value: 'x', selected: true }, { value: 'y', selected: false }] },
+        { name: 'item_meta[6]', type: 'text', value: 'plain' },
+        { name: 'item_meta[66]', type: 'text', value: 'other' },
+        { name: 'item_meta[7]', type: 'radio', value: 'n', checked: false },
+        { name: 'item_meta[9]', type: 'file', files: [] },
+        { name: 'item_meta[9]', type: 'hidden', value: '345' },
+      ];
+      const read = (id) => valueFromControls(controls, `item_meta[${id}]`);
+      expect([1, 2, 3, 4, 5, 6, 7, 8, 9].map(read)).toEqual([['a', 'c'], '5', 'Ada Lovelace', ['cv.pdf'], ['x'], 'plain', '', '', ['345']]);
+    }
+  }
+];
+
+describe('Conditional logic — operators, cascading, value reading', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
@@ -0,0 +1,449 @@
+/**
+ * Server-side renderer — markup parity tests
+ * ------------------------------------------
+ * Runs in plain Node with no DOM: renderFormToString() must produce the same structure
+ * as the DOM engine (containers, labels, item_meta names, hidden Formidable inputs) from
+ * the real Chapter 4 fields fixture.
+ *
+ *   npx vitest run __tests__/form_renderer_ssr.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { renderFormToString, renderFieldToString, renderSummaryToString, renderConfirmationToString, renderErrorSummaryToString, renderDraftMessageToString, renderAutosavePromptToString, renderFormMessageToString, renderFileReferencesToString, renderLoginPromptToString, renderControlToString, fieldParts, escapeHtml } from '../Book01_Headless_WordPress/Chapter04/form_renderer_ssr.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+import { splitPages, paginationSettings, pageTitle, nextLabel } from '../Book01_Headless_WordPress/Chapter04/form_pages.js';
+import { readItemMeta, summarize, formatValue } from '../Book01_Headless_WordPress/Chapter04/form_summary.js';
+import { nestSections, initialRowKeys, nextRowKey, canAddRow, canRemoveRow } from '../Book01_Headless_WordPress/Chapter04/form_sections.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`../Book01_Headless_WordPress/Chapter04/${name}`, import.meta.url), 'utf8'));
+const fieldsRaw = fixture('fetch_fields_result.json');
+const metadata = fixture('fetch_forms_result.json');
+const payload = { id: 1, metadata, fields: normalizeFields(fieldsRaw), fieldsRaw };
+
+// A collapsible "About you" section holding the name fields, closed by an end_divider.
+const sectioned = normalizeFields([
+  { id: '800', field_key: 'about', type: 'divider', name: 'About you', description: 'Who are you?', field_order: '1', field_options: { slide: '1', classes: 'frm_full' } },
+  { ...fieldsRaw.contact_form_first_name, field_options: { ...fieldsRaw.contact_form_first_name.field_options, in_section: '800' } },
+  { ...fieldsRaw.contact_form_last_name, field_options: { ...fieldsRaw.contact_form_last_name.field_options, in_section: '800' } },
+  { id: '801', field_key: 'about_end', type: 'end_divider', field_order: '4', field_options: { in_section: '800' } },
+  fieldsRaw.contact_form_email,
+]);
+
+// A repeatable "Guests" section (child form 12): two rows to start, at most three.
+const repeater = normalizeFields([
+  { id: '700', field_key: 'guests', type: 'divider', name: 'Guests', field_order: '1', field_options: { repeat: '1', form_select: '12', repeat_num: '2', repeat_limit: '3', add_label: 'Add guest', remove_label: '' } },
+  { ...fieldsRaw.contact_form_first_name, field_options: { ...fieldsRaw.contact_form_first_name.field_options, in_section: '700' } },
+  { id: '701', field_key: 'guests_end', type: 'end_divider', field_order: '3', field_options: { in_section: '700' } },
+]);
+
+// Three pages: the fixture's name fields, then email, then details + submit.
+const multiPage = {
+  id: 1,
+  metadata: { ...metadata, options: { ...metadata.options, rootline: 'rootline', rootline_titles_on: 1, rootline_titles: { 0: 'You', 900: 'Contact' }, prev_value: 'Back' } },
+  fields: normalizeFields([
+    fieldsRaw.contact_form_first_name,
+    { id: '900', field_key: 'p2', type: 'break', name: 'Continue', field_order: '4' },
+    fieldsRaw.contact_form_email,
+    { id: '901', field_key: 'p3', type: 'break', name: '', description: 'Details', field_order: '8' },
+    fieldsRaw.contact_form_details,
+    fieldsRaw['50r7d'],
+  ]),
+};
+
+const cases = [
+  {
+    name: 'renders the form shell with Formidable hidden inputs, in field_order',
+    run: () => {
+      const html = renderFormToString(payload, { customHtml: false });
+      expect(typeof document).toBe('undefined');
+      expect(html.startsWith('<form method="post" class="frm-show-form headless-formidable" id="form_contact-form">')).toBe(true);
+      expect(html).toContain('<input type="hidden" name="frm_action" value="create">');
+      expect(html).toContain('<input type="hidden" name="form_id" value="1">');
+      expect(html).toContain('<input type="hidden" name="form_key" value="contact-form">');
+      const order = [...html.matchAll(/id="frm_field_(\d+)_container"/g)].map(m => Number(m[1]));
+      expect(order).toEqual([1, 2, 3, 4, 5, 229, 231, 230]);
+      expect(html.endsWith('<div class="frm_submit"><button type="submit" class="frm_button_submit fm-form-submit">Send Message</button></div></form>')).toBe(true);
+    }
+  },
+  {
+    name: 'matches the DOM engine structure for a required text field',
+    run: () => {
+      expect(renderFieldToString(payload.fields[0], { customHtml: false })).toBe(
+        '<div id="frm_field_1_container" class="frm_form_field form-field frm_required_field frm_first frm_half">' +
+        '<label for="field_contact_form_first_name" id="field_contact_form_first_name_label" class="frm_primary_label">Name <span class="frm_required">*</span></label>' +
+        '<input type="text" name="item_meta[1]" id="field_contact_form_first_name" data-key="contact_form_first_name" data-reqmsg="This field cannot be blank." data-invmsg="Name is invalid" aria-required="true">' +
+        '<div id="frm_desc_field_contact_form_first_name" class="frm_description">First</div>' +
+        '</div>'
+      );
+    }
+  },
+  {
+    name: 'renders option groups, hidden inputs and captcha without labels where the engine omits them',
+    run: () => {
+      const html = renderFormToString(payload, { captchaSiteKey: 'site-key', customHtml: false });
+      expect(html).toContain('<input type="checkbox" name="item_meta[229][]" id="field_contact_form_gdpr_consent-0" value="I consent to receive emails or texts from you">');
+      expect(html).toContain('role="group" aria-labelledby="field_contact_form_gdpr_consent_label"');
+      expect(html).not.toContain('id="field_contact_form_ac_tag_label"');
+      expect(html).toContain('<input type="hidden" name="item_meta[231]" id="field_contact_form_ac_tag" value="masterminds-contact-us">');
+      expect(html).toContain('class="cf-turnstile" data-sitekey="site-key"');
+      expect(html).toMatch(/<textarea name="item_meta\[5\]"[^>]*rows="5"[^>]*><\/textarea>/);
+    }
+  },
+  {
+    name: 'accepts the raw keyed fields response and escapes untrusted values',
+    run: () => {
+      expect(renderFormToString({ ...payload, fields: undefined })).toBe(renderFormToString(payload));
+      const html = renderFormToString({
+        id: 2,
+        metadata: { id: 2, key: 'x"y' },
+        fields: [{ id: 9, field_key: 'k', type: 'select', name: '<b>Pick</b>', options: [{ label: 'A & B', value: '"a"' }], field_options: { blank: '' } }],
+      });
+      expect(html).toContain('id="form_x&quot;y"');
+      expect(html).toContain('>&lt;b&gt;Pick&lt;/b&gt;</label>');
+      expect(html).toContain('<option value="&quot;a&quot;">A &amp; B</option>');
+      expect(escapeHtml(undefined)).toBe('');
+    }
+  },
+  {
+    name: 'skips unknown field types instead of emitting broken markup',
+    run: () => {
+      expect(renderFieldToString(normalizeFields([{ id: 3, field_key: 'm', type: 'mystery' }])[0])).toBe('');
+    }
+  },
+  {
+    name: 'renders each field from its custom_html template',
+    run: () => {
+      const [first, , , , , consent] = payload.fields;
+      const html = renderFieldToString(first);
+      expect(html).toBe(
+        '<div id="frm_field_1_container" class="frm_form_field form-field  frm_required_field frm_first frm_half">\r\n' +
+        '    <label for="field_contact_form_first_name" id="field_contact_form_first_name_label" class="frm_primary_label">Name\r\n' +
+        '        <span class="frm_required">*</span>\r\n' +
+        '    </label>\r\n' +
+        '    <input type="text" name="item_meta[1]" id="field_contact_form_first_name" data-key="contact_form_first_name" data-reqmsg="This field cannot be blank." data-invmsg="Name is invalid" aria-required="true">\r\n' +
+        '    <div class="frm_description" id="frm_desc_field_contact_form_first_name">First</div>\r\n' +
+        '    \r\n' +
+        '</div>'
+      );
+      // The template owns the option container; [input] is just the options
+      const choices = renderFieldToString(consent);
+      expect(choices.match(/frm_opt_container/g)).toHaveLength(1);
+      expect(choices).toContain('<div class="frm_opt_container" aria-labelledby="field_contact_form_gdpr_consent_label" role="group"><div class="frm_checkbox">');
+      // Hidden label position and the submit field's own template
+      expect(renderFieldToString(payload.fields[1])).toContain('class="frm_form_field form-field  frm_required_field frm_hidden_container frm_half"');
+      expect(renderFieldToString(payload.fields.at(-1))).toBe('<div id="frm_field_654_container" class="frm_form_field form-field ">\n\t<button type="submit" class="frm_button_submit fm-form-submit">Send Message</button>\n</div>');
+    }
+  },
+  {
+    name: 'fills [if error] blocks from options.errors and escapes shortcode values',
+    run: () => {
+      const html = renderFieldToString(payload.fields[2], { errors: { 3: 'Enter a <valid> email' } });
+      expect(html).toContain(' frm_blank_field');
+      expect(html).toContain('<div class="frm_error" id="frm_error_field_contact_form_email">Enter a &lt;valid&gt; email</div>');
+      expect(renderFieldToString(payload.fields[2])).not.toContain('frm_error');
+    }
+  },
+  {
+    name: 'falls back safely on unknown shortcodes and templates without [input]',
+    run: () => {
+      const [field] = normalizeFields([{
+        id: 4, field_key: 'k', type: 'text', name: 'N',
+        field_options: { custom_html: '<p data-x="[mystery]">[field_name][if nope]gone?[/if nope][input class="wide"]</p>' },
+      }]);
+      expect(renderFieldToString(field)).toBe('<p data-x="[mystery]">N[if nope]gone?[/if nope]<input type="text" name="item_meta[4]" id="field_k" data-key="k" aria-required="false"></p>');
+      const noInput = { ...field, html: '<div>[field_name]</div>' };
+      expect(renderFieldToString(noInput)).toBe(renderFieldToString(noInput, { customHtml: false }));
+      expect(renderFieldToString(noInput)).toContain('id="frm_field_4_container"');
+    }
+  },
+  {
+    name: 'splits fields into pages at break fields and reads pagination settings',
+    run: () => {
+      const pages = splitPages(multiPage.fields);
+      expect(pages.map(p => p.fields.map(f => f.id))).toEqual([[1], [3], [5, 654]]);
+      expect(pages.map(p => p.breakField?.id ?? null)).toEqual([null, 900, 901]);
+      const settings = paginationSettings(multiPage.metadata);
+      expect(settings).toMatchObject({ rootline: 'rootline', showTitles: true, showNumbers: true, showLines: true, position: 'above', prevLabel: 'Back' });
+      expect(pages.map(p => pageTitle(p, settings))).toEqual(['You', 'Contact', 'Details']);
+      expect([1, 2, 3].map(n => nextLabel(pages, n))).toEqual(['Continue', 'Next', 'Next']);
+      expect(splitPages(payload.fields)).toHaveLength(1);
+      expect(paginationSettings({}).rootline).toBe('');
+    }
+  },
+  {
+    name: 'renders one page container per step with navigation and a rootline',
+    run: () => {
+      const html = renderFormToString(multiPage, { customHtml: false, page: 2 });
+      const pageTags = [...html.matchAll(/<div class="(frm_page_break[^"]*)" id="frm_page_1_(\d)" data-page="\d">/g)].map(m => m[1]);
+      expect(pageTags).toEqual(['frm_page_break', 'frm_page_break frm_active_page', 'frm_page_break']);
+      expect(html.indexOf('frm_rootline_group')).toBeLessThan(html.indexOf('frm_page_break'));
+      expect(html).toContain('<li class="frm_rootline_single frm_rootline_done" data-page="1"><span class="frm_rootline_number">1</span><span class="frm_rootline_title">You</span></li>');
+      expect(html).toContain('<li class="frm_rootline_single frm_current_page" data-page="2" aria-current="step">');
+      expect(html).toContain('<div class="frm_submit frm_page_nav"><button type="button" class="frm_next_page">Continue</button></div></div>');
+      expect(html).toContain('<button type="button" class="frm_prev_page" formnovalidate>Back</button><button type="button" class="frm_next_page">Next</button>');
+      // Only the last page has the real submit button
+      const last = html.slice(html.indexOf('id="frm_page_1_3"'));
+      expect(html.match(/type="submit"/g)).toHaveLength(1);
+      expect(last).toContain('type="submit"');
+      expect(last).not.toContain('frm_next_page');
+    }
+  },
+  {
+    name: 'renders a progress bar below the pages when configured',
+    run: () => {
+      const options = { ...multiPage.metadata.options, rootline: 'progress', pagination_position: 'below' };
+      const html = renderFormToString({ ...multiPage, metadata: { ...multiPage.metadata, options } }, { page: 9 });
+      expect(html).toContain('<div class="frm_rootline_group frm_progress" role="progressbar" aria-valuemin="1" aria-valuemax="3" aria-valuenow="3"><div class="frm_progress_line" style="width:100%"></div><div class="frm_rootline_title">Step 3 of 3: Details</div></div></form>');
+      expect(html).toContain('id="frm_page_1_3" data-page="3"');
+      expect(html).toContain('class="frm_page_break frm_active_page" id="frm_page_1_3"');
+    }
+  },
+  {
+    name: 'nests fields under their section by in_section and drops end_divider markers',
+    run: () => {
+      const tree = nestSections(sectioned);
+      expect(tree.map(n => n.field.id)).toEqual([800, 3]);
+      expect(tree[0].children.map(n => n.field.id)).toEqual([1, 2]);
+      expect(tree[0].field.section).toEqual({ collapsible: true, repeat: null });
+      expect(sectioned.find(f => f.id === 3).section).toBeNull();
+      // A child whose section is missing stays at the top level
+      expect(nestSections(sectioned.slice(1)).map(n => n.field.id)).toEqual([1, 2, 3]);
+    }
+  },
+  {
+    name: 'renders a section as a collapsible fieldset around its children',
+    run: () => {
+      const html = renderFormToString({ id: 1, metadata, fields: sectioned }, { customHtml: false });
+      expect(html).toContain(
+        '<div id="frm_field_800_container" class="frm_form_field frm_section_heading form-field frm_full" data-section="800">' +
+        '<fieldset><legend><h3><button type="button" class="frm_trigger" aria-expanded="false" aria-controls="frm_section_800_content">About you</button></h3></legend>' +
+        '<div class="frm_description">Who are you?</div>' +
+        '<div id="frm_section_800_content" class="frm_section_content" hidden><div id="frm_field_1_container"'
+      );
+      const section = html.slice(html.indexOf('frm_section_800_content'), html.indexOf('</fieldset>'));
+      expect(section).toContain('id="frm_field_2_container"');
+      expect(section).not.toContain('id="frm_field_3_container"');
+      expect(html).not.toContain('frm_field_801_container');
+      const open = renderFormToString({ id: 1, metadata, fields: normalizeFields([{ id: 5, field_key: 's', type: 'divider', name: 'Plain' }]) });
+      expect(open).toContain('<legend><h3>Plain</h3></legend><div id="frm_section_5_content" class="frm_section_content"></div>');
+    }
+  },
+  {
+    name: 'reads repeatable section settings and keeps row keys within the limits',
+    run: () => {
+      const { repeat } = repeater[0].section;
+      expect(repeat).toEqual({ formId: 12, rows: 2, min: 1, max: 3, addLabel: 'Add guest', removeLabel: 'Remove' });
+      expect(initialRowKeys(repeat)).toEqual([0, 1]);
+      expect(initialRowKeys({ ...repeat, rows: 5 })).toEqual([0, 1, 2]);
+      expect(nextRowKey([0, '3', 'i55'])).toBe(4);
+      expect(nextRowKey(['i55'])).toBe(0);
+      expect([canAddRow(repeat, 2), canAddRow(repeat, 3), canAddRow({ ...repeat, max: undefined }, 99)]).toEqual([true, false, true]);
+      expect([canRemoveRow(repeat, 1), canRemoveRow(repeat, 2)]).toEqual([false, true]);
+    }
+  },
+  {
+    name: 'renders repeater rows with nested item_meta names and an add-row template',
+    run: () => {
+      const html = renderFormToString({ id: 1, metadata, fields: repeater }, { customHtml: false });
+      expect(html).toContain('<div id="frm_field_700_container" class="frm_form_field frm_section_heading form-field frm_repeat_section" data-section="700" data-repeat-min="1" data-repeat-max="3">');
+      expect(html).toContain('<input type="hidden" name="item_meta[700][form]" value="12"><div class="frm_repeat_rows">');
+      const rows = html.slice(html.indexOf('frm_repeat_rows'), html.indexOf('<template'));
+      expect([...rows.matchAll(/name="item_meta\[700\]\[row_ids\]\[\]" value="(\d+)"/g)].map(m => m[1])).toEqual(['0', '1']);
+      expect(rows).toContain('<div id="frm_section_700-1" class="frm_repeat_sec frm_repeat_700" data-row="1">');
+      expect(rows).toContain('<div id="frm_field_1-700-1_container"');
+      expect(rows).toContain('name="item_meta[700][1][1]" id="field_contact_form_first_name-1"');
+      expect(rows).toContain('<label for="field_contact_form_first_name-1" id="field_contact_form_first_name-1_label"');
+      expect(rows).not.toContain('name="item_meta[1]"');
+      const template = html.slice(html.indexOf('<template'), html.indexOf('</template>'));
+      expect(template).toContain('name="item_meta[700][__row__][1]"');
+      expect(template).toContain('<button type="button" class="frm_remove_form_row">Remove</button>');
+      expect(html).toContain('<button type="button" class="frm_add_form_row">Add guest</button>');
+      const custom = renderFormToString({ id: 1, metadata, fields: repeater });
+      expect(custom).toContain('id="frm_field_1-700-0_container"');
+      expect(custom).toContain('name="item_meta[700][0][1]"');
+    }
+  },
+  {
+    name: 'summarizes answers with option labels, joined parts and file names, skipping hidden fields',
+    run: () => {
+      const fields = normalizeFields([
+        { id: 1, field_key: 'name', type: 'name', name: 'Name', field_order: 1 },
+        { id: 2, field_key: 'size', type: 'radio', name: 'Size', field_order: 2, options: [{ label: 'Large', value: 'l' }, { label: 'Small', value: 's' }] },
+        { id: 3, field_key: 'p2', type: 'break', name: 'Next', field_order: 3 },
+        { id: 4, field_key: 'addr', type: 'address', name: 'Address', field_order: 4 },
+        { id: 5, field_key: 'cv', type: 'file', name: 'CV', field_order: 5, field_options: { multiple: 1 } },
+        { id: 6, field_key: 'pw', type: 'password', name: 'Password', field_order: 6 },
+        { id: 7, field_key: 'why', type: 'text', name: 'Why', field_order: 7 },
+        { id: 8, field_key: 'note', type: 'text', name: 'Note', field_order: 8 },
+        { id: 9, field_key: 'sum', type: 'summary', name: 'Review', field_order: 9, field_options: { exclude_fields: '8' } },
+      ]);
+      const meta = readItemMeta([
+        ['form_id', '1'],
+        ['item_meta[1][first]', 'Ada'], ['item_meta[1][last]', 'Lovelace'],
+        ['item_meta[2]', 'l'],
+        ['item_meta[4][line1]', '1 Main St'], ['item_meta[4][city]', 'Springfield'], ['item_meta[4][state]', 'IL'], ['item_meta[4][zip]', '62701'],
+        ['item_meta[5][]', { name: 'cv.pdf' }], ['item_meta[5][]', { name: 'photo.png' }],
+        ['item_meta[6]', 'secret'], ['item_meta[7]', 'because'], ['item_meta[8]', 'n'],
+      ]);
+      expect(meta[1]).toEqual({ first: 'Ada', last: 'Lovelace' });
+      const items = summarize(fields, meta, { isHidden: (f) => f.id === 7, exclude: fields[8].config.exclude_fields });
+      expect(items.map(i => [i.label, i.value, i.page])).toEqual([
+        ['Name', 'Ada Lovelace', 1],
+        ['Size', 'Large', 1],
+        ['Address', '1 Main St, Springfield, IL 62701', 2],
+        ['CV', 'cv.pdf, photo.png', 2],
+      ]);
+      const html = renderSummaryToString(fields[8], items.slice(1, 2), { formKey: 'apply' });
+      expect(html).toBe(
+        '<div id="field_sum" class="frm_summary" aria-live="polite"><h3>Review</h3>' +
+        '<div class="frm_summary_row"><span class="frm_summary_label">Size</span><span class="frm_summary_value">Large</span>' +
+        '<a class="frm_summary_edit" href="#form_apply-step-1" data-field="2" data-page="1" aria-label="Edit Size">Edit</a></div></div>'
+      );
+    }
+  },
+  {
+    name: 'summarizes repeater rows in row order and links single-page edits to the control',
+    run: () => {
+      const meta = readItemMeta([
+        ['item_meta[700][form]', '12'],
+        ['item_meta[700][row_ids][]', '3'], ['item_meta[700][row_ids][]', '0'],
+        ['item_meta[700][0][1]', 'Ann'], ['item_meta[700][3][1]', 'Bob'],
+      ]);
+      const items = summarize(repeater, meta);
+      expect(items.map(i => [i.label, i.value, i.row, i.page])).toEqual([['Guests 1: Name', 'Bob', '3', null], ['Guests 2: Name', 'Ann', '0', null]]);
+      expect(summarize(repeater, meta, { isHidden: (f, row) => row === '0' }).map(i => i.value)).toEqual(['Bob']);
+      expect(renderSummaryToString(repeater[0], items)).toContain('href="#field_contact_form_first_name-3" data-field="1" data-row="3"');
+      expect(formatValue(repeater[1], '')).toBe('');
+    }
+  },
+  {
+    name: 'renders a confirmation input after fields with conf_field set',
+    run: () => {
+      const fields = normalizeFields([{ ...fieldsRaw.contact_form_email, field_options: { ...fieldsRaw.contact_form_email.field_options, conf_field: 'below', conf_input: 'Repeat email', conf_desc: 'Must match' } }]);
+      const html = renderFormToString({ id: 1, metadata, fields }, { customHtml: false });
+      expect(html).toContain(
+        '</div><div id="frm_field_conf_3_container" class="frm_form_field form-field frm_conf_field frm_required_field frm_full">' +
+        '<label for="field_conf_contact_form_email" id="field_conf_contact_form_email_label" class="frm_primary_label">Repeat email <span class="frm_required">*</span></label>' +
+        '<input type="email" name="item_meta[conf_3]" id="field_conf_contact_form_email" placeholder="Repeat email" aria-required="true">' +
+        '<div id="frm_desc_field_conf_contact_form_email" class="frm_description">Must match</div></div>'
+      );
+      expect(renderConfirmationToString(normalizeFields([fieldsRaw.contact_form_email])[0])).toBe('');
+    }
+  },
+  {
+    name: 'marks server errors on built-in markup and lists them in a summary',
+    run: () => {
+      const [name] = normalizeFields([fieldsRaw.contact_form_first_name]);
+      const html = renderFieldToString(name, { customHtml: false, errors: { 1: 'Too short' } });
+      expect(html).toContain('class="frm_form_field form-field frm_required_field frm_blank_field frm_first frm_half"');
+      expect(html).toContain('aria-invalid="true" aria-describedby="frm_error_field_contact_form_first_name"');
+      expect(html).toContain('<div id="frm_error_field_contact_form_first_name" class="frm_error" role="alert">Too short</div></div>');
+      expect(renderErrorSummaryToString(['Please fix the errors'], [{ field: name, message: 'Too short' }, { field: name, message: 'Required', row: '2' }])).toBe(
+        '<div class="frm_error_style" role="alert" tabindex="-1"><p>Please fix the errors</p><ul>' +
+        '<li><a href="#field_contact_form_first_name">Name: Too short</a></li>' +
+        '<li><a href="#field_contact_form_first_name-2">Name: Required</a></li></ul></div>'
+      );
+      expect(renderErrorSummaryToString([])).toBe('');
+    }
+  },
+  {
+    name: 'adds the Save Draft link after the submit button when drafts are enabled',
+    run: () => {
+      expect(renderFormToString(payload)).not.toContain('frm_save_draft');
+      const drafts = { ...payload, metadata: { ...metadata, options: { ...metadata.options, save_draft: 1, draft_label: 'Save & <finish later>' } } };
+      const link = '<a href="#" tabindex="0" class="frm_save_draft" role="button">Save &amp; &lt;finish later&gt;</a>';
+      expect(renderFormToString(drafts)).toContain(`Send Message</button>${link}`);
+      expect(renderFormToString(drafts, { customHtml: false })).toContain(`Send Message</button>${link}</div>`);
+      expect(renderDraftMessageToString({ message: 'Saved.' }, 'https://x.test/?frm_resume=k9x')).toBe(
+        '<div class="frm_message frm_draft_msg" role="status"><p>Saved.</p>' +
+        '<p>Resume later: <a class="frm_resume_link" href="https://x.test/?frm_resume=k9x">https://x.test/?frm_resume=k9x</a></p></div>'
+      );
+    }
+  },
+  {
+    name: 'renders the form for editing an entry: update inputs, edit_value, no draft link',
+    run: () => {
+      const drafts = { ...payload, metadata: { ...metadata, options: { ...metadata.options, save_draft: 1 } } };
+      const html = renderFormToString(drafts, { entry: { id: '55', item_key: 'k9x', is_draft: '0' } });
+      expect(html).toContain('<input type="hidden" name="frm_action" value="update"><input type="hidden" name="id" value="55"><input type="hidden" name="item_key" value="k9x"><input type="hidden" name="form_id" value="1">');
+      expect(html).toContain('fm-form-submit">Update</button>');
+      expect(html).not.toContain('frm_save_draft');
+      const draft = renderFormToString(drafts, { entry: { id: '55', item_key: 'k9x', is_draft: '1' } });
+      expect(draft).toContain('Send Message</button><a href="#" tabindex="0" class="frm_save_draft"');
+      const guests = renderFormToString({ ...payload, fields: [...repeater, ...payload.fields] }, { entry: { id: '55', item_key: 'k9x', is_draft: '0' } });
+      expect(guests).not.toContain('frm_repeat_section');
+      expect(guests).toContain('name="item_meta[3]"');
+      // A resumed draft keeps its repeatable sections so it can be finished
+      const resumed = renderFormToString({ ...payload, fields: [...repeater, ...payload.fields] }, { entry: { id: '55', item_key: 'k9x', is_draft: '1' } });
+      expect(resumed).toContain('frm_repeat_section');
+      expect(resumed).toContain('name="item_meta[700][0][1]"');
+    }
+  },
+  {
+    name: 'lists stored uploads with hidden references and remove buttons',
+    run: () => {
+      const [single, multiple] = normalizeFields([
+        { id: 12, field_key: 'cv', type: 'file', name: 'CV', field_order: 1 },
+        { id: 13, field_key: 'pics', type: 'file', name: 'Pictures', field_order: 2, field_options: { multiple: 1 } },
+      ]);
+      expect(renderFileReferencesToString(single, [{ value: '345', url: 'https://x.test/cv.pdf', name: 'cv.pdf' }])).toBe(
+        '<div class="frm_uploaded_files"><div class="frm_uploaded_file"><input type="hidden" name="item_meta[12]" value="345">' +
+        '<a href="https://x.test/cv.pdf" target="_blank" rel="noopener">cv.pdf</a> <button type="button" class="frm_remove_link" aria-label="Remove cv.pdf">Remove</button></div></div>'
+      );
+      expect(renderFileReferencesToString(multiple, [{ value: '7', url: null, name: 'File 7' }])).toContain('name="item_meta[13][]" value="7"><span>File 7</span>');
+      expect(renderFileReferencesToString(single, [])).toBe('');
+    }
+  },
+  {
+    name: 'renders name and address parts and file inputs with Formidable item_meta names',
+    run: () => {
+      const [name, address, cv, pics] = normalizeFields([
+        { id: 20, field_key: 'who', type: 'name', name: 'Name', required: '1', field_order: 1, field_options: { name_layout: 'first_middle_last' } },
+        { id: 21, field_key: 'addr', type: 'address', name: 'Address', field_order: 2, field_options: { address_type: 'us' } },
+        { id: 22, field_key: 'cv', type: 'file', name: 'CV', field_order: 3 },
+        { id: 23, field_key: 'pics', type: 'file', name: 'Pictures', field_order: 4, field_options: { multiple: 1 } },
+      ]);
+      expect(fieldParts(name)).toEqual(['first', 'middle', 'last']);
+      expect(fieldParts(address)).toEqual(['line1', 'line2', 'city', 'state', 'zip']);
+      expect(fieldParts(cv)).toEqual([]);
+
+      const html = renderControlToString(name);
+      expect(html).toMatch(/^<div id="field_who" class="frm_combo_inputs_container" role="group" aria-labelledby="field_who_label">/);
+      expect(html).toContain('<div class="frm_form_subfield-first"><input type="text" name="item_meta[20][first]" id="field_who_first" data-key="who" aria-required="true">');
+      expect(html).toContain('name="item_meta[20][middle]" id="field_who_middle" data-key="who" aria-required="false">');
+      expect(html).toContain('<label class="frm_description" for="field_who_last">Last</label>');
+      expect(renderControlToString(address)).not.toContain('[country]');
+      expect(renderFieldToString(address)).toContain('<label for="field_addr" id="field_addr_label" class="frm_primary_label">Address</label><div id="field_addr"');
+
+      expect(renderControlToString(cv)).toBe('<input type="file" name="item_meta[22]" id="field_cv" data-key="cv" aria-required="false">');
+      expect(renderControlToString(pics)).toBe('<input type="file" name="item_meta[23][]" id="field_pics" data-key="pics" aria-required="false" multiple>');
+    }
+  },
+  {
+    name: 'wraps plain messages in a paragraph, passes HTML messages through and links the login prompt',
+    run: () => {
+      expect(renderFormMessageToString('Saved.')).toBe('<div class="frm_message" role="status"><p>Saved.</p></div>');
+      expect(renderFormMessageToString('<p>Closed.</p>', 'error')).toBe('<div class="frm_error_style" role="alert"><p>Closed.</p></div>');
+      expect(renderLoginPromptToString('Please log in.', '/wp-login.php?redirect_to=a&b')).toBe(
+        '<div class="frm_message frm_login_prompt" role="status"><p>Please log in.</p><p><a class="frm_login_link" href="/wp-login.php?redirect_to=a&amp;b">Log in</a></p></div>'
+      );
+    }
+  },
+  {
+    name: 'offers autosaved answers with buttons that do not submit',
+    run: () => {
+      const html = renderAutosavePromptToString();
+      expect(html).toMatch(/^<div class="frm_message frm_autosave_prompt" role="region" aria-label="Saved answers">/);
+      expect(html.match(/<button type="button" class="frm_autosave_(restore|discard)">/g)).toHaveLength(2);
+    }
+  }
+];
+
+describe('renderFormToString — SSR markup', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
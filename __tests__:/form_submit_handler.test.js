@@ -0,0 +1,254 @@
+/**
+ * FormidableSubmitHandler — submission lifecycle tests
+ * ----------------------------------------------------
+ * Runs in plain Node: the form is an EventTarget with just the element surface the
+ * handler touches, and fetch is injected through fetchImpl into the handler's default
+ * FormHydrator (retries and backoff are the hydrator's, so failures here are not retried).
+ *
+ *   npx vitest run __tests__/form_submit_handler.test.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { FormidableSubmitHandler, SUBMIT_EVENTS } from '../Book01_Headless_WordPress/Chapter04/form_submit_handler.js';
+
+// FormData(form) reads the fake form's entries
+const RealFormData = globalThis.FormData;
+beforeEach(() => vi.stubGlobal('FormData', class extends RealFormData {
+  constructor(form) {
+    super();
+    form?.entries.forEach(([name, value]) => this.append(name, value));
+  }
+}));
+afterEach(() => vi.unstubAllGlobals());
+
+class FakeForm extends EventTarget {
+  constructor({ honeypot = '' } = {}) {
+    super();
+    this.entries = [['form_id', '7'], ['form_key', 'contact'], ['item_meta[1]', 'Ada']];
+    this.button = { tagName: 'BUTTON', disabled: false, textContent: 'Send' };
+    this.honeypot = { value: honeypot };
+    this.classes = new Set();
+    this.classList = { add: (c) => this.classes.add(c), remove: (c) => this.classes.delete(c) };
+    this.attributes = {};
+    this.events = [];
+    Object.values(SUBMIT_EVENTS).forEach(name => this.addEventListener(name, (e) => this.events.push([name, e.detail])));
+  }
+  setAttribute(name, value) { this.attributes[name] = value; }
+  removeAttribute(name) { delete this.attributes[name]; }
+  querySelector(selector) { return selector === 'input[name="form_key"]' ? { value: 'contact' } : null; }
+  querySelectorAll(selector) { return selector.includes('submit') ? [this.button] : selector.includes('honeypot') ? [this.honeypot] : []; }
+  submit() { this.dispatchEvent(new Event('submit', { cancelable: true })); }
+}
+
+const json = (status, body) => ({
+  ok: status < 400, status, statusText: '', headers: { get: () => undefined },
+  json: async () => body, text: async () => JSON.stringify(body),
+});
+
+// fetch that stays pending until release() is called
+const deferredFetch = (response) => {
+  let release;
+  const calls = [];
+  const fetchImpl = (url, init) => {
+    calls.push([url, init]);
+    return new Promise(resolve => { release = () => resolve(response); });
+  };
+  return { fetchImpl, calls, release: () => release() };
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const cases = [
+  {
+    name: 'posts the form with the nonce and reports submit, success and complete',
+    run: async () => {
+      const form = new FakeForm();
+      const { fetchImpl, calls, release } = deferredFetch(json(200, { id: 99 }));
+      new FormidableSubmitHandler(form, { nonce: 'abc', loadingText: 'Sending…', fetchImpl }).attach();
+      form.submit();
+      await settle();
+
+      expect(calls[0][0]).toBe('/wp-json/frm/v2/forms/7/entries');
+      expect(calls[0][1]).toMatchObject({ method: 'POST', headers: { 'X-WP-Nonce': 'abc' } });
+      expect(calls[0][1].body.get('item_meta[1]')).toBe('Ada');
+      expect([form.button.disabled, form.button.textContent, form.attributes['aria-busy'], form.classes.has('frm_loading_form')]).toEqual([true, 'Sending…', 'true', true]);
+
+      release();
+      await settle();
+      expect([form.button.disabled, form.button.textContent, form.attributes['aria-busy'], form.classes.size]).toEqual([false, 'Send', undefined, 0]);
+      expect(form.events.map(([name]) => name)).toEqual(['formidable:submit', 'formidable:success', 'formidable:complete']);
+      expect(form.events[1][1]).toMatchObject({ formKey: 'contact', result: { id: 99 } });
+      expect(form.events[2][1]).toEqual({ formKey: 'contact', ok: true, draft: false });
+    }
+  },
+  {
+    name: 'ignores a second submit while the first is in flight',
+    run: async () => {
+      const form = new FakeForm();
+      const { fetchImpl, calls, release } = deferredFetch(json(200, {}));
+      const handler = new FormidableSubmitHandler(form, { fetchImpl }).attach();
+      form.submit();
+      await settle();
+      expect(handler.submitting).toBe(true);
+      expect(await handler.submit()).toBeNull();
+      form.submit();
+      release();
+      await settle();
+      expect(calls.length).toBe(1);
+      expect(handler.submitting).toBe(false);
+    }
+  },
+  {
+    name: 'stops before the request on a filled honeypot, failed validation or a cancelled submit event',
+    run: async () => {
+      const fetchImpl = vi.fn(async () => json(200, {}));
+      const validate = vi.fn(async () => false);
+      expect(await new FormidableSubmitHandler(new FakeForm({ honeypot: 'bot' }), { validate, fetchImpl }).submit()).toBeNull();
+      expect(validate).not.toHaveBeenCalled();
+
+      const form = new FakeForm();
+      expect(await new FormidableSubmitHandler(form, { validate, fetchImpl }).submit()).toBeNull();
+      expect(validate).toHaveBeenCalledWith(form);
+
+      const cancelled = new FakeForm();
+      cancelled.addEventListener(SUBMIT_EVENTS.submit, (e) => e.preventDefault());
+      expect(await new FormidableSubmitHandler(cancelled, { fetchImpl }).submit()).toBeNull();
+      expect(fetchImpl).not.toHaveBeenCalled();
+      expect(cancelled.events.map(([name]) => name)).toEqual(['formidable:submit']);
+      expect(await new FormidableSubmitHandler(new FakeForm({ honeypot: 'bot' }), { honeypotSelector: null, fetchImpl }).submit()).toMatchObject({ ok: true });
+    }
+  },
+  {
+    name: 'reports error responses with their body and status, and network failures as FormHydratorErrors',
+    run: async () => {
+      const form = new FakeForm();
+      const rejected = await new FormidableSubmitHandler(form, { fetchImpl: async () => json(400, { code: 'frm_validation', data: { errors: { 1: 'Bad' } } }) }).submit();
+      expect(rejected).toMatchObject({ ok: false, status: 400, body: { code: 'frm_validation' }, error: { name: 'FormHydratorError', code: 'EHTTP_400' } });
+      expect(form.events.map(([name]) => name)).toEqual(['formidable:submit', 'formidable:error', 'formidable:complete']);
+      expect(form.events[1][1].body.data.errors).toEqual({ 1: 'Bad' });
+
+      const offline = new FakeForm();
+      const failure = new TypeError('Failed to fetch');
+      await new FormidableSubmitHandler(offline, { fetchImpl: async () => { throw failure; } }).submit();
+      expect(offline.events[1][1]).toMatchObject({ body: null, error: { code: 'ENETWORK', cause: failure } });
+      expect(offline.events[2][1].ok).toBe(false);
+      expect(offline.button.disabled).toBe(false);
+    }
+  },
+  {
+    name: 'reports a validator that throws as an error without posting',
+    run: async () => {
+      const form = new FakeForm();
+      const fetchImpl = vi.fn(async () => json(200, {}));
+      const failure = new Error('Uniqueness lookup failed');
+      const handler = new FormidableSubmitHandler(form, { validate: async () => { throw failure; }, fetchImpl });
+      expect(await handler.submit()).toEqual({ ok: false, error: failure });
+      expect(fetchImpl).not.toHaveBeenCalled();
+      expect(form.events).toEqual([
+        ['formidable:error', { formKey: 'contact', body: null, error: failure, draft: false }],
+        ['formidable:complete', { formKey: 'contact', ok: false, draft: false }],
+      ]);
+      expect(handler.submitting).toBe(false);
+    }
+  },
+  {
+    name: 'saves drafts without validation and updates the same entry until the final submit',
+    run: async () => {
+      const form = new FakeForm();
+      const responses = [json(200, { id: 55, item_key: 'k9x' }), json(200, { id: 55, item_key: 'k9x' }), json(200, { id: 55 })];
+      const fetchImpl = vi.fn(async () => responses.shift());
+      const validate = vi.fn(() => true);
+      const handler = new FormidableSubmitHandler(form, { validate, fetchImpl }).attach();
+
+      const link = { closest: (selector) => (selector === '.frm_save_draft' ? link : null) };
+      const click = new Event('click', { cancelable: true });
+      Object.defineProperty(click, 'target', { value: link });
+      form.dispatchEvent(click);
+      await settle();
+      expect(click.defaultPrevented).toBe(true);
+      expect(validate).not.toHaveBeenCalled();
+      expect(handler.entry).toEqual({ id: 55, key: 'k9x' });
+      const [url, init] = fetchImpl.mock.calls[0];
+      expect([url, init.body.get('is_draft'), init.body.get('frm_saving_draft')]).toEqual(['/wp-json/frm/v2/forms/7/entries', '1', '1']);
+
+      await handler.saveDraft();
+      expect(fetchImpl.mock.calls[1][0]).toBe('/wp-json/frm/v2/entries/55');
+      // Updates are PUTs, which WordPress reads url-encoded
+      expect(fetchImpl.mock.calls[1][1].method).toBe('PUT');
+      expect(fetchImpl.mock.calls[1][1].body).toBeInstanceOf(URLSearchParams);
+      await handler.submit();
+      expect(fetchImpl.mock.calls[2][0]).toBe('/wp-json/frm/v2/entries/55');
+      expect(fetchImpl.mock.calls[2][1].body.get('is_draft')).toBe('0');
+      expect(validate).toHaveBeenCalledTimes(1);
+      expect(handler.entry).toBeNull();
+      expect(form.events.filter(([name]) => name !== 'formidable:submit').map(([name, detail]) => [name, detail.draft])).toEqual([
+        ['formidable:draft', undefined], ['formidable:complete', true],
+        ['formidable:draft', undefined], ['formidable:complete', true],
+        ['formidable:success', undefined], ['formidable:complete', false],
+      ]);
+      expect(form.events.find(([name]) => name === 'formidable:draft')[1].entry).toEqual({ id: 55, key: 'k9x' });
+    }
+  },
+  {
+    name: 'continues a resumed draft passed as entry',
+    run: async () => {
+      const fetchImpl = vi.fn(async () => json(200, { id: 8, item_key: 'r2' }));
+      const handler = new FormidableSubmitHandler(new FakeForm(), { entry: { id: 8, key: 'r2' }, fetchImpl });
+      await handler.saveDraft();
+      expect(fetchImpl.mock.calls[0][0]).toBe('/wp-json/frm/v2/entries/8');
+    }
+  },
+  {
+    name: 'keeps an edited entry (frm_action=update) after each successful update',
+    run: async () => {
+      const form = new FakeForm();
+      form.entries.push(['frm_action', 'update'], ['id', '8']);
+      const fetchImpl = vi.fn(async () => json(200, { id: 8 }));
+      const handler = new FormidableSubmitHandler(form, { entry: { id: 8, key: 'r2' }, fetchImpl });
+      await handler.submit();
+      await handler.submit();
+      expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual(['/wp-json/frm/v2/entries/8', '/wp-json/frm/v2/entries/8']);
+      expect(handler.entry).toEqual({ id: 8, key: 'r2' });
+    }
+  },
+  {
+    name: 'sends through the given hydrator and treats a saved entry without a JSON body as a success',
+    run: async () => {
+      const hydrator = { createEntry: vi.fn(async () => ({ id: 9 })), updateEntry: vi.fn(async () => ({ id: 9 })) };
+      const handler = new FormidableSubmitHandler(new FakeForm(), { hydrator });
+      expect(await handler.saveDraft()).toEqual({ ok: true, result: { id: 9 } });
+      expect(hydrator.createEntry).toHaveBeenCalledWith(7, expect.any(FormData));
+      await handler.submit();
+      expect(hydrator.updateEntry.mock.calls[0][0]).toBe(9);
+      expect(hydrator.updateEntry.mock.calls[0][1].get('item_meta[1]')).toBe('Ada');
+
+      const form = new FakeForm();
+      const notJson = { ...json(201, null), json: async () => { throw new SyntaxError('Unexpected token <'); } };
+      expect(await new FormidableSubmitHandler(form, { fetchImpl: async () => notJson }).submit()).toEqual({ ok: true, result: null });
+      expect(form.events.map(([name]) => name)).toEqual(['formidable:submit', 'formidable:success', 'formidable:complete']);
+    }
+  },
+  {
+    name: 'attaches once and stops handling submits after detach',
+    run: async () => {
+      const form = new FakeForm();
+      const fetchImpl = vi.fn(async () => json(200, {}));
+      const handler = new FormidableSubmitHandler(form, { fetchImpl }).attach().attach();
+      form.submit();
+      await settle();
+      handler.detach();
+      form.submit();
+      await settle();
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+      expect(() => new FormidableSubmitHandler(null)).toThrow(TypeError);
+    }
+  }
+];
+
+describe('FormidableSubmitHandler — honeypot, validation, lifecycle events', () => {
+  for (const c of cases) {
+    it(c.name, async () => {
+      await c.run();
+    });
+  }
+});
@@ -0,0 +1,82 @@
+/**
+ * Success — after-submit settings tests
+ * -------------------------------------
+ * Runs in plain Node: settings come from the form metadata fixture and entries are shaped
+ * like the entries API response.
+ *
+ *   npx vitest run __tests__/form_success.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { successSettings, fillShortcodes, successOutcome, DEFAULT_SUCCESS_MESSAGE } from '../Book01_Headless_WordPress/Chapter04/form_success.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+const metadata = JSON.parse(readFileSync(new URL('../Book01_Headless_WordPress/Chapter04/fetch_forms_result.json', import.meta.url), 'utf8'));
+
+const fields = normalizeFields([
+  { id: 1, field_key: 'name', type: 'name', name: 'Name', field_order: 1 },
+  { id: 2, field_key: 'email', type: 'email', name: 'Email', field_order: 2 },
+  { id: 3, field_key: 'size', type: 'radio', name: 'Size', field_order: 3, options: [{ label: 'Large', value: 'l' }] },
+]);
+
+const entry = { id: 55, item_key: 'k9x', meta: { name: { first: 'Ada', last: '<Lovelace>' }, size: 'l' } };
+const context = { entry, fields, answers: { 2: 'ada@example.com' }, formName: 'Contact Us', href: 'https://example.com/contact/?ref=ad' };
+
+const cases = [
+  {
+    name: 'reads success_action, success_msg, success_url, success_page_id and show_form',
+    run: () => {
+      expect(successSettings(metadata)).toEqual({
+        action: 'message', message: 'Your responses were successfully submitted. Thank you!', url: '', pageId: '', showForm: false,
+      });
+      expect(successSettings({ options: { success_action: 'page', success_page_id: 12, show_form: '1' } })).toEqual({
+        action: 'page', message: DEFAULT_SUCCESS_MESSAGE, url: '', pageId: '12', showForm: true,
+      });
+      expect(successSettings({ options: { success_action: 'bogus' } }).action).toBe('message');
+      expect(successSettings(metadata, { editing: true })).toEqual({
+        action: 'message', message: 'Your submission was successfully saved.', url: '', pageId: '', showForm: true,
+      });
+    }
+  },
+  {
+    name: 'fills shortcodes from the entry and the submitted answers',
+    run: () => {
+      const template = '<p>Thanks [name] ([email], [3]) for entry [id]/[key] on [form_name]. [unknown]</p>';
+      expect(fillShortcodes(template, context)).toBe('<p>Thanks Ada <Lovelace> (ada@example.com, Large) for entry 55/k9x on Contact Us. [unknown]</p>');
+      expect(fillShortcodes('[name]', context, encodeURIComponent)).toBe('Ada%20%3CLovelace%3E');
+      expect(fillShortcodes('[email]', { entry: null, fields })).toBe('');
+    }
+  },
+  {
+    name: 'shows the message with answers escaped, keeping the form only with show_form',
+    run: () => {
+      const settings = successSettings({ options: { success_msg: 'Thanks [name]!' } });
+      expect(successOutcome(settings, context)).toEqual({ message: 'Thanks Ada &lt;Lovelace&gt;!', showForm: false });
+      expect(successOutcome({ ...settings, showForm: true }, context).showForm).toBe(true);
+      // A redirect without a target falls back to the message
+      expect(successOutcome({ ...settings, action: 'redirect' }, context)).toHaveProperty('message');
+      expect(successOutcome({ ...settings, action: 'page' }, context)).toHaveProperty('message');
+      // So does a success_url that is not a URL
+      expect(successOutcome({ ...settings, action: 'redirect', url: 'https://[broken/thanks' }, context))
+        .toEqual({ message: 'Thanks Ada &lt;Lovelace&gt;!', showForm: false });
+    }
+  },
+  {
+    name: 'redirects to success_url or the success page with the entry parameter',
+    run: () => {
+      const redirect = successSettings({ options: { success_action: 'redirect', success_url: '/thanks/?email=[email]#top' } });
+      expect(successOutcome(redirect, context)).toEqual({ redirect: 'https://example.com/thanks/?email=ada%40example.com&entry=k9x#top' });
+      const page = successSettings({ options: { success_action: 'page', success_page_id: '12' } });
+      expect(successOutcome(page, { ...context, entry: { id: 55 } })).toEqual({ redirect: 'https://example.com/?page_id=12&entry=55' });
+    }
+  }
+];
+
+describe('Success — settings, shortcodes, messages, redirects', () => {
+  for (const c of cases) {
+    it(c.name, () => {
+      c.run();
+    });
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * Validation — rule engine tests
+ * ------------------------------
+ * Runs in plain Node: answers are passed as the renderers read them from the controls,
+ * and messages come from the normalized field model.
+ *
+ *   npx vitest run __tests__/form_validation.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateValue, formatPattern, fieldMessage, parseServerErrors, DEFAULT_RULES } from '../Book01_Headless_WordPress/Chapter04/form_validation.js';
+import { normalizeFields } from '../Book01_Headless_WordPress/Chapter04/form_hydrator_class_vanilla.js';
+
+const field = (type, options = {}, extra = {}) => normalizeFields([{ id: 5, field_key: 'f5', type, name: 'Thing', field_options: options, ...extra }])[0];
+const noContext = { valueOf: () => '' };
+const check = (f, value, context = noContext, rules) => validateValue(f, value, context, rules);
+
+const cases = [
+  {
+    name: 'requires answers only on required fields, using blank or the default message',
+    run: async () => {
+      expect(await check(field('text', { blank: 'Fill me' }, { required: '1' }), '  ')).toBe('Fill me');
+      expect(await check(field('checkbox', {}, { required: '1' }), [])).toBe('This field cannot be blank.');
+      expect(await check(field('email'), '')).toBe('');
+    }
+  },
+  {
+    name: 'checks formats as regex or Formidable masks',
+    run: async () => {
+      expect(formatPattern('(999) 999-9999').test('(555) 123-4567')).toBe(true);
+      expect(formatPattern('aa-**').test('AB-x9')).toBe(true);
+      expect(formatPattern('aa-**').test('A1-x9')).toBe(false);
+      expect(formatPattern('^[')).toBeNull();
+      const zip = field('text', { format: '^\\d{5}$', invalid: 'Bad ZIP' });
+      expect([await check(zip, '12345'), await check(zip, '1234')]).toEqual(['', 'Bad ZIP']);
+      const masked = field('phone', { format: '999-9999' });
+      expect([await check(masked, '555-1234'), await check(masked, '+1 555 123 4567')]).toEqual(['', 'Thing is invalid']);
+    }
+  },
+  {
+    name: 'checks email, url and phone syntax',
+    run: async () => {
+      const table = [
+        ['email', 'a@b.co', ''], ['email', 'a@b', 'Thing is invalid'],
+        ['url', 'example.com/path', ''], ['url', 'https://x.org', ''], ['url', 'not a url', 'Thing is invalid'],
+        ['phone', '+1 (555) 123-4567', ''], ['phone', '12ab', 'Thing is invalid'],
+      ];
+      for (const [type, value, message] of table) {
+        expect([type, value, await check(field(type), value)]).toEqual([type, value, message]);
+      }
+    }
+  },
+  {
+    name: 'checks number ranges, character and word limits and file sizes',
+    run: async () => {
+      const age = field('number', { minnum: '18', maxnum: '99', invalid: 'Age out of range' });
+      expect([await check(age, '18'), await check(age, '17'), await check(age, 'x')]).toEqual(['', 'Age out of range', 'Age out of range']);
+      const words = field('textarea', { max_limit: '3', max_limit_type: 'word' });
+      expect([await check(words, 'one two three'), await check(words, 'one two three four')]).toEqual(['', 'Thing is invalid']);
+      expect(await check(field('text', { max_limit: '3' }), 'abcd')).toBe('Thing is invalid');
+      const upload = field('file', { size: '1' });
+      expect(upload.validation.maxSize).toBe(1);
+      expect(await check(upload, ['a.pdf'], { ...noContext, files: [{ name: 'a.pdf', size: 2 * 1024 * 1024 }] })).toBe('Thing is invalid');
+      expect(await check(upload, ['a.pdf'], { ...noContext, files: [{ name: 'a.pdf', size: 1000 }] })).toBe('');
+    }
+  },
+  {
+    name: 'compares confirmation inputs and checks uniqueness through the caller',
+    run: async () => {
+      const email = field('email', { conf_field: 'inline', conf_msg: 'Emails differ', unique: '1', unique_msg: 'Taken' });
+      const confirm = (value) => ({ valueOf: (ref) => (ref === 'conf_5' ? value : '') });
+      expect([await check(email, 'a@b.co', confirm('a@b.co')), await check(email, 'a@b.co', confirm('x@b.co'))]).toEqual(['', 'Emails differ']);
+      const seen = [];
+      const isUnique = async (f, value) => { seen.push([f.id, value]); return value !== 'taken@b.co'; };
+      expect(await check(email, 'taken@b.co', { ...confirm('taken@b.co'), isUnique })).toBe('Taken');
+      expect(seen).toEqual([[5, 'taken@b.co']]);
+      expect(await check(email, 'taken@b.co', confirm('taken@b.co'))).toBe('');
+    }
+  },
+  {
+    name: 'treats a failed or undecided uniqueness lookup as unknown',
+    run: async () => {
+      const email = field('email', { unique: '1', unique_msg: 'Taken' });
+      const context = (isUnique) => ({ ...noContext, isUnique });
+      expect(await check(email, 'a@b.co', context(async () => { throw new Error('offline'); }))).toBe('');
+      expect(await check(email, 'a@b.co', context(() => { throw new Error('offline'); }))).toBe('');
+      expect(await check(email, 'a@b.co', context(async () => null))).toBe('');
+      expect(await check(email, 'a@b.co', context(() => false))).toBe('Taken');
+    }
+  },
+  {
+    name: 'runs extra rules after the defaults and stops at the first message',
+    run: async () => {
+      const calls = [];
+      const noGmail = { name: 'no-gmail', applies: (f) => f.type === 'email', test: (v, f) => { calls.push(v); return v.endsWith('@gmail.com') ? `${f.name} must be a work address` : null; } };
+      const rules = [...DEFAULT_RULES, noGmail];
+      expect(await check(field('email'), 'me@gmail.com', noContext, rules)).toBe('Thing must be a work address');
+      expect(await check(field('email'), 'broken', noContext, rules)).toBe('Thing is invalid');
+      expect(calls).toEqual(['me@gmail.com']);
+      expect(fieldMessage(field('text', { invalid: '%s looks wrong' }), 'invalid')).toBe('Thing looks wrong');
+    }
+  },
+  {
+    name: 'maps server errors keyed by id, field key or repeater row onto fields',
+    run: () => {
+      const fields = normalizeFields([
+        { id: 5, field_key: 'email', type: 'email', name: 'Email' },
+        { id: 7, field_key: 'guest', type: 'text', name: 'Guest', field_options: { in_section: 9 } },
+      ]);
+      const body = { code: 'frm_validation', message: 'Please fix the errors', data: { status: 400, errors: { field5: 'Taken', 'field7-9-2': ['Too', 'short'], spam: 'Looks like spam' } } };
+      const { fieldErrors, formErrors } = parseServerErrors(body, fields);
+      expect(fieldErrors.map(e => [e.field.id, e.message, e.row])).toEqual([[5, 'Taken', undefined], [7, 'Too short', '2']]);
+      expect(formErrors).toEqual(['Please fix the errors', 'Looks like spam']);
+      expect(parseServerErrors({ errors: { email: 'Bad' } }, fields).fieldErrors[0].field.id).toBe(5);
+      expect(parseServerErrors({ data: { 5: 'Bad' } }, fields).formErrors).toEqual(['There was a problem with your submission. Errors are marked below.']);
+      expect(parseServerErrors(null, fields)).toEqual({ fieldErrors: [], formErrors: ['There was a problem with your submission. Please try again.'] });
+    }
+  }
+];
+
+describe('Validation — rules from the field model', () => {
+  for (const c of cases) {
+    it(c.name, async () => {
+      await c.run();
+    });
+  }
+});